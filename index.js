@@ -1,15 +1,31 @@
 // index.js
+// Load env vars before any module reads process.env at import time
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import helmet from "helmet";
 import cors from "cors";
 import rateLimit from "express-rate-limit";
 import http from "http";
 
-import ttsRouter from "./routes/tts.js"; // ✅ only this route
-
-// Load env vars
-dotenv.config();
+import ttsRouter from "./routes/tts.js";
+import jobsRouter from "./routes/jobs.js";
+import podcastRouter from "./routes/podcast.js";
+import assetsRouter from "./routes/assets.js";
+import showsRouter from "./routes/shows.js";
+import feedsRouter from "./routes/feeds.js";
+import lexiconRouter from "./routes/lexicon.js";
+import ingestRouter from "./routes/ingest.js";
+import usageRouter from "./routes/usage.js";
+import keysRouter from "./routes/keys.js";
+import { recoverJobs } from "./utils/jobStore.js";
+import { keyLimits, listApiKeys } from "./utils/apiKeys.js";
+import {
+  authDisabled,
+  authenticate,
+  requireAuth,
+  requireScope,
+} from "./utils/auth.js";
+import { STORAGE_BACKEND, localStorageRouter } from "./utils/storage.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -47,17 +63,37 @@ app.use(
   })
 );
 
-// Rate limiting
+// API key (Authorization: Bearer / X-API-Key) -> req.apiKey and tenant scope
+app.use(authenticate);
+
+// Rate limiting: per API key (its rateLimit), per IP for anonymous requests
 const limiter = rateLimit({
   windowMs: 60 * 1000, // 1 min
-  max: 100, // max requests per IP
+  max: (req) => (req.apiKey ? keyLimits(req.apiKey).rateLimit : 100),
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
 });
 app.use(limiter);
 
 // ----------------------
 // Routes
 // ----------------------
+// Everything under /api needs an API key; feeds, files and health stay public
+app.use("/api", requireAuth);
+app.use("/api/keys", requireScope("admin"), keysRouter);
 app.use("/api/tts", ttsRouter);
+app.use("/api/jobs", jobsRouter);
+app.use("/api/podcast", podcastRouter);
+app.use("/api/assets", assetsRouter);
+app.use("/api/shows", showsRouter);
+app.use("/api/lexicon", lexiconRouter);
+app.use("/api/ingest", ingestRouter);
+app.use("/api/usage", usageRouter);
+app.use("/feeds", feedsRouter);
+
+// Local storage backend serves its buckets at /files/<bucket>/<key>
+if (STORAGE_BACKEND === "local") {
+  app.use("/files", localStorageRouter());
+}
 
 // Health check
 app.get("/health", (_req, res) => {
@@ -77,7 +113,8 @@ app.use((err, _req, res, _next) => {
 // ----------------------
 const PORT = process.env.PORT || 3001;
 
-// ⚠️ Cloudflare kills requests >100s. Use async jobs (done in routes/tts.js).
+// ⚠️ Cloudflare kills requests >100s. Long work runs as async jobs
+// (POST returns 202 + job id, poll /api/jobs/:id).
 server.setTimeout(580000); // ~9m40s
 app.use((req, res, next) => {
   res.setTimeout(580000, () => {
@@ -87,6 +124,22 @@ app.use((req, res, next) => {
   next();
 });
 
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-});
+// Without keys every /api request is rejected
+async function warnIfLockedOut() {
+  if (authDisabled() || process.env.ADMIN_API_KEY) return;
+  const keys = await listApiKeys().catch(() => []);
+  if (!keys.some((key) => !key.revokedAt)) {
+    console.warn(
+      "⚠️ No API keys: set ADMIN_API_KEY to create some, or AUTH_DISABLED=true"
+    );
+  }
+}
+
+recoverJobs()
+  .catch((err) => console.error("Job recovery failed:", err))
+  .then(warnIfLockedOut)
+  .finally(() => {
+    server.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+    });
+  });
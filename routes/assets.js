@@ -0,0 +1,65 @@
+import express from "express";
+
+import { listObjects, publicUrl, putObject } from "../utils/storage.js";
+import { requireScope } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+const ASSET_KEY_PATTERN = /^[\w.-]+(\/[\w.-]+)*$/;
+
+/**
+ * PUT /assets/<key>
+ * Raw audio/image body stored in the assets bucket (intros, outros, artwork).
+ * The key can then be passed wherever an intro/outro reference is accepted. Assets
+ * live under the API key's tenant, so keys only resolve for that tenant's jobs and shows.
+ */
+router.put(
+  "/*",
+  requireScope("publish"),
+  express.raw({ type: () => true, limit: process.env.MAX_ASSET_SIZE || "50mb" }),
+  async (req, res) => {
+    const key = req.params[0];
+
+    if (!ASSET_KEY_PATTERN.test(key) || key.split("/").includes("..")) {
+      return res.status(400).json({ error: "Invalid asset key" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Empty asset body" });
+    }
+
+    try {
+      const url = await putObject("assets", key, req.body, {
+        contentType: req.get("content-type") || "application/octet-stream",
+      });
+      res.status(201).json({ key, url, size: req.body.length });
+    } catch (err) {
+      logger.error("Asset upload failed", { key, error: err.message });
+      res.status(500).json({ error: "Failed to upload asset" });
+    }
+  }
+);
+
+/**
+ * GET /assets?prefix=intros/
+ * Lists the tenant's stored assets
+ */
+router.get("/", async (req, res) => {
+  const prefix = typeof req.query.prefix === "string" ? req.query.prefix : "";
+
+  if (prefix.split("/").includes("..")) {
+    return res.status(400).json({ error: "Invalid prefix" });
+  }
+
+  try {
+    const objects = await listObjects("assets", prefix);
+    res.json({
+      assets: objects.map((o) => ({ ...o, url: publicUrl("assets", o.key) })),
+    });
+  } catch (err) {
+    logger.error("Asset listing failed", { error: err.message });
+    res.status(500).json({ error: "Failed to list assets" });
+  }
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+
+import { getShow } from "../utils/shows.js";
+import { listEpisodes } from "../utils/episodes.js";
+import { buildFeed } from "../utils/rssFeed.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * GET /feeds/:show.xml
+ * RSS 2.0 feed for a show with itunes: and podcast: namespace tags
+ */
+router.get("/:show.xml", async (req, res) => {
+  const { show: showId } = req.params;
+
+  try {
+    const show = await getShow(showId);
+    const episodes = await listEpisodes(show.id);
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const feedUrl = `${baseUrl.replace(/\/+$/, "")}/feeds/${show.id}.xml`;
+
+    res.type("application/rss+xml; charset=utf-8").send(buildFeed(show, episodes, feedUrl));
+  } catch (err) {
+    if (err.status === 404) return res.status(404).json({ error: err.message });
+    logger.error("Failed to build feed", { show: showId, error: err.message });
+    res.status(500).json({ error: "Failed to build feed" });
+  }
+});
+
+export default router;
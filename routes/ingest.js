@@ -0,0 +1,41 @@
+import express from "express";
+
+import { extractTextFromUrls } from "../utils/extractText.js";
+import { requireScope } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+const MAX_URLS = parseInt(process.env.INGEST_MAX_URLS, 10) || 10;
+
+/**
+ * POST /ingest
+ * Body: { urls: string[] }
+ * Fetches the pages concurrently and extracts each one's main article.
+ * Responds with { articles: [{ url, status: "success", finalUrl, title, byline,
+ * publishedAt, paragraphs, text, wordCount } | { url, status: "error", error, code }] }
+ * in request order. URLs on private or loopback addresses fail with code 403.
+ */
+router.post("/", requireScope("synthesize"), async (req, res) => {
+  const { urls } = req.body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({ error: "urls must be a non-empty array" });
+  }
+  if (urls.length > MAX_URLS) {
+    return res.status(400).json({ error: `At most ${MAX_URLS} urls per request` });
+  }
+  if (urls.some((url) => typeof url !== "string" || !url.trim())) {
+    return res.status(400).json({ error: "Every url must be a non-empty string" });
+  }
+
+  try {
+    const articles = await extractTextFromUrls(urls.map((url) => url.trim()));
+    res.json({ articles: articles.map(({ index, ...article }) => article) });
+  } catch (err) {
+    logger.error("URL ingestion failed", { error: err.message });
+    res.status(500).json({ error: "Failed to ingest URLs" });
+  }
+});
+
+export default router;
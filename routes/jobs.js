@@ -0,0 +1,30 @@
+import express from "express";
+
+import { getJob } from "../utils/jobStore.js";
+import { isAdmin } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * GET /jobs/:id
+ * Returns job status: stage (chunking, synthesizing n/m, merging, mastering,
+ * uploading), result URLs once completed, or the error if it failed.
+ * Jobs of other tenants are reported as not found.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || (!isAdmin(req) && (job.tenant ?? null) !== (req.apiKey?.tenant ?? null))) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const { input, ...status } = job;
+    res.json(status);
+  } catch (err) {
+    logger.error("Failed to fetch job", { jobId: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+export default router;
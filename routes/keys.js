@@ -0,0 +1,56 @@
+import express from "express";
+
+import { createApiKey, listApiKeys, revokeApiKey } from "../utils/apiKeys.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * GET /keys
+ * Lists API keys (never their secrets), revoked ones included
+ */
+router.get("/", async (_req, res) => {
+  try {
+    res.json({ keys: await listApiKeys() });
+  } catch (err) {
+    logger.error("Failed to list API keys", { error: err.message });
+    res.status(500).json({ error: "Failed to list API keys" });
+  }
+});
+
+/**
+ * POST /keys
+ * Body: { name: string, tenant?: string, scopes: ("synthesize" | "publish" | "admin")[],
+ *         rateLimit?: number, maxConcurrentJobs?: number }
+ * Responds 201 with the key record and its plaintext `key`, which is only ever shown here;
+ * only its hash is stored. Keys without the admin scope need a tenant.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const key = await createApiKey(req.body);
+    logger.info("API key created", { id: key.id, tenant: key.tenant, scopes: key.scopes });
+    res.status(201).json(key);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to create API key", { error: err.message });
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+/**
+ * DELETE /keys/:id
+ * Revokes a key; requests with it fail with 401 from then on
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.params.id);
+    logger.info("API key revoked", { id: key.id });
+    res.json(key);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to revoke API key", { id: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+export default router;
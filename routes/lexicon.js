@@ -0,0 +1,119 @@
+import express from "express";
+
+import {
+  deleteLexiconEntry,
+  getLexiconEntry,
+  listLexicon,
+  saveLexiconEntry,
+} from "../utils/lexicon.js";
+import { canManageShow, getShow } from "../utils/shows.js";
+import { requestActor, requireScope } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+// Per-show entries must name an existing show the caller may change
+async function checkShow(entry, actor) {
+  if (typeof entry?.show !== "string") return;
+  const show = await getShow(entry.show);
+  if (!canManageShow(show, actor)) {
+    const error = new Error(`Show "${show.id}" belongs to another tenant`);
+    error.status = 403;
+    throw error;
+  }
+}
+
+/**
+ * GET /lexicon?show=<id>
+ * Lists pronunciation entries (stored and built-in tech terms). With `show`,
+ * only global entries and that show's entries are returned. Keys without the
+ * admin scope see the global entries (they apply to every tenant) and their
+ * tenant's show entries.
+ */
+router.get("/", async (req, res) => {
+  const { show } = req.query;
+  const actor = requestActor(req);
+
+  try {
+    const entries = await listLexicon({ show: typeof show === "string" ? show : undefined });
+    res.json({
+      entries: entries.filter(
+        (entry) => actor.admin || entry.show === null || entry.tenant === actor.tenant
+      ),
+    });
+  } catch (err) {
+    logger.error("Failed to list lexicon", { error: err.message });
+    res.status(500).json({ error: "Failed to list lexicon" });
+  }
+});
+
+/**
+ * GET /lexicon/:id
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.json(await getLexiconEntry(req.params.id));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to fetch lexicon entry", { id: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to fetch lexicon entry" });
+  }
+});
+
+/**
+ * POST /lexicon
+ * Body: { term, type: "phoneme" | "sub", alphabet?: "ipa" | "x-sampa", ph?, alias?,
+ *         show?: string | null, caseSensitive?: boolean }
+ * e.g. { term: "Nguyen", type: "phoneme", ph: "wɪn" } or
+ *      { term: "k8s", type: "sub", alias: "kubernetes", show: "weekly" }
+ * Responds 201 with the entry; 409 if the term already has an entry in that scope.
+ * Global entries (no show) need the admin scope; show entries need a show the key's
+ * tenant owns (403 otherwise) and belong to that tenant.
+ */
+router.post("/", requireScope("publish"), async (req, res) => {
+  const actor = requestActor(req);
+
+  try {
+    await checkShow(req.body, actor);
+    res.status(201).json(await saveLexiconEntry(req.body, undefined, actor));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to save lexicon entry", { error: err.message });
+    res.status(500).json({ error: "Failed to save lexicon entry" });
+  }
+});
+
+/**
+ * PUT /lexicon/:id
+ * Body: as for POST; replaces the entry. Only its tenant or an admin may replace it.
+ */
+router.put("/:id", requireScope("publish"), async (req, res) => {
+  const actor = requestActor(req);
+
+  try {
+    await checkShow(req.body, actor);
+    res.json(await saveLexiconEntry(req.body, req.params.id, actor));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to save lexicon entry", { id: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to save lexicon entry" });
+  }
+});
+
+/**
+ * DELETE /lexicon/:id
+ * Same ownership rules as PUT
+ */
+router.delete("/:id", requireScope("publish"), async (req, res) => {
+  try {
+    const removed = await deleteLexiconEntry(req.params.id, requestActor(req));
+    if (!removed) return res.status(404).json({ error: "Lexicon entry not found" });
+    res.status(204).end();
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to delete lexicon entry", { id: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to delete lexicon entry" });
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+
+import { createJob, runJob } from "../utils/jobStore.js";
+import { runPodcastPipeline } from "../utils/podcastPipeline.js";
+import { resolveSynthesisOptions } from "../utils/ttsProviders.js";
+import { assertCanPublishToShow, getShow } from "../utils/shows.js";
+import { validateTagOverrides } from "../utils/episodeTags.js";
+import { assertWithinBudget } from "../utils/usage.js";
+import {
+  assertJobQuota,
+  assertScope,
+  jobOwner,
+  requestActor,
+  requireScope,
+} from "../utils/auth.js";
+
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+function isAudioRef(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * POST /podcast
+ * Body: {
+ *   sessionId?: string,   // use <sessionId>/merged.mp3 from the merged bucket
+ *   mergedUrl?: string,   // or any narration URL
+ *   text?: string,        // or one-shot: synthesize the narration first
+ *   intro: string,        // URL or key in the assets bucket
+ *   outro: string,
+ *   show?: string,        // show template id (default "default", admin-only)
+ *   music?: string|false, // music bed URL or asset key; false disables the show's bed
+ *   episode?: { title, description, season, episodeNumber, explicit, artwork },
+ *   tags?: { title, artist, album, year, comment, track, genre, artwork }, // ID3 overrides
+ *   provider?, voice?, audioConfig?, format?, sectionGap?, normalize?, enhance?,
+ *   noCache?, concurrency?, speakers?, turnGap?  // one-shot synthesis options
+ * }
+ * Responds 202 with a job id; the job result is the createPodcast result
+ * (podcastUrl, duration, timings, technicalDetails). 402 once a monthly budget the show
+ * counts against is exhausted, 429 while the API key has its maximum of queued or running
+ * jobs. Requires the "publish" scope, and "synthesize" too for one-shot text; sessionId
+ * must belong to the key's tenant, and a show that is not the key's tenant's is refused
+ * with 403 (tenantless shows such as "default" take episodes from admins only).
+ */
+router.post("/", requireScope("publish"), async (req, res) => {
+  const { sessionId: requestedSessionId, mergedUrl, text, intro, outro, music, episode, tags } =
+    req.body;
+
+  if (!isAudioRef(intro) || !isAudioRef(outro)) {
+    return res.status(400).json({ error: "intro and outro are required" });
+  }
+  if (text !== undefined && (typeof text !== "string" || !text.trim())) {
+    return res.status(400).json({ error: "Missing or invalid text input" });
+  }
+  if (!text && !mergedUrl && !requestedSessionId) {
+    return res.status(400).json({ error: "Provide text, sessionId or mergedUrl" });
+  }
+  if (music !== undefined && music !== false && !isAudioRef(music)) {
+    return res.status(400).json({ error: "Invalid music reference" });
+  }
+  if (episode !== undefined && (typeof episode !== "object" || Array.isArray(episode))) {
+    return res.status(400).json({ error: "episode must be an object" });
+  }
+  if (tags !== undefined) {
+    const errors = validateTagOverrides(tags);
+    if (errors.length) {
+      return res.status(400).json({ error: `Invalid tags: ${errors.join("; ")}` });
+    }
+  }
+  if (mergedUrl !== undefined && !isAudioRef(mergedUrl)) {
+    return res.status(400).json({ error: "Invalid mergedUrl" });
+  }
+  if (requestedSessionId !== undefined && !SESSION_ID_PATTERN.test(requestedSessionId)) {
+    return res.status(400).json({ error: "Invalid sessionId" });
+  }
+
+  let options = {};
+  let show;
+  try {
+    show = await getShow(req.body.show);
+    assertCanPublishToShow(show, requestActor(req));
+    if (text) {
+      assertScope(req, "synthesize");
+      options = resolveSynthesisOptions(req.body);
+    }
+    assertJobQuota(req);
+    await assertWithinBudget({ show: show.id, apiKey: req.apiKey?.id });
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
+  // One-shot jobs always start a fresh session
+  const sessionId = text ? uuidv4() : requestedSessionId || uuidv4();
+
+  try {
+    const input = {
+      sessionId,
+      show: show.id,
+      episode,
+      tags,
+      text,
+      mergedUrl,
+      intro,
+      outro,
+      music,
+      ...options,
+    };
+    const job = await createJob("podcast", input, { sessionId, show: show.id, ...jobOwner(req) });
+
+    runJob(job, ({ setStage }) => runPodcastPipeline({ ...input, jobId: job.id }, setStage));
+
+    logger.info("Podcast job queued", { jobId: job.id, sessionId, oneShot: Boolean(text) });
+    res.status(202).json({ jobId: job.id, sessionId, statusUrl: `/api/jobs/${job.id}` });
+  } catch (err) {
+    logger.error("Failed to queue podcast job", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "Failed to queue podcast job" });
+  }
+});
+
+export default router;
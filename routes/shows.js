@@ -0,0 +1,116 @@
+import express from "express";
+
+import { canManageShow, deleteShow, getShow, listShows, saveShow } from "../utils/shows.js";
+import { listEpisodes } from "../utils/episodes.js";
+import { retagEpisode } from "../utils/episodeTags.js";
+import { requestActor, requireScope } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * GET /shows
+ * Lists show definitions. Admins see every show (always including "default"); other keys
+ * only their tenant's.
+ */
+router.get("/", async (req, res) => {
+  const actor = requestActor(req);
+
+  try {
+    const shows = await listShows();
+    res.json({ shows: shows.filter((show) => canManageShow(show, actor)) });
+  } catch (err) {
+    logger.error("Failed to list shows", { error: err.message });
+    res.status(500).json({ error: "Failed to list shows" });
+  }
+});
+
+/**
+ * GET /shows/:id
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.json(await getShow(req.params.id));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to fetch show", { show: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to fetch show" });
+  }
+});
+
+/**
+ * GET /shows/:id/episodes
+ * Episode registry for a show, newest first. Keys without the admin scope only see
+ * their tenant's episodes.
+ */
+router.get("/:id/episodes", async (req, res) => {
+  const actor = requestActor(req);
+
+  try {
+    const show = await getShow(req.params.id);
+    const episodes = (await listEpisodes(show.id)).filter(
+      (episode) => actor.admin || (episode.tenant ?? null) === actor.tenant
+    );
+    res.json({ show: show.id, episodes });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to list episodes", { show: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to list episodes" });
+  }
+});
+
+/**
+ * PUT /shows/:id/episodes/:episodeId/tags
+ * Body: ID3 overrides ({ title, artist, album, year, comment, track, genre, artwork }).
+ * Rewrites the tags of the published MP3 without re-rendering the audio. The episode is
+ * looked up in the key's tenant; admins pick another tenant's episode with ?tenant=<id>.
+ */
+router.put("/:id/episodes/:episodeId/tags", requireScope("publish"), async (req, res) => {
+  const { id, episodeId } = req.params;
+  const actor = requestActor(req);
+  const tenant =
+    actor.admin && typeof req.query.tenant === "string" ? req.query.tenant || null : actor.tenant;
+
+  try {
+    res.json(await retagEpisode(id, episodeId, req.body, tenant));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to re-tag episode", { show: id, episodeId, error: err.message });
+    res.status(500).json({ error: "Failed to re-tag episode" });
+  }
+});
+
+/**
+ * PUT /shows/:id
+ * Body: show definition, e.g. { name, audio: { intro, content, outro, crossfade } }.
+ * Omitted fields fall back to the defaults. A new show belongs to the key's tenant; only
+ * that tenant or an admin may change it later (403 otherwise). Shows without a tenant,
+ * such as "default", are admin-only.
+ */
+router.put("/:id", requireScope("publish"), async (req, res) => {
+  try {
+    res.json(await saveShow(req.params.id, req.body, requestActor(req)));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to save show", { show: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to save show" });
+  }
+});
+
+/**
+ * DELETE /shows/:id
+ * Same ownership rules as PUT
+ */
+router.delete("/:id", requireScope("publish"), async (req, res) => {
+  try {
+    const removed = await deleteShow(req.params.id, requestActor(req));
+    if (!removed) return res.status(404).json({ error: "Show not found" });
+    res.status(204).end();
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to delete show", { show: req.params.id, error: err.message });
+    res.status(500).json({ error: "Failed to delete show" });
+  }
+});
+
+export default router;
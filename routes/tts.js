@@ -1,70 +1,209 @@
 import express from "express";
 import { v4 as uuidv4 } from "uuid";
 
-import { processTTSChunk } from "../utils/processorTTS.js";
-import { mergeChunksWithFFmpeg } from "../utils/mergeTTSChunks.js";
-import { getURLsBySessionId } from "../utils/textchunksR2.js";
+import { getURLsBySessionId, readSessionManifest } from "../utils/textchunksR2.js";
+import { createJob, runJob } from "../utils/jobStore.js";
+import {
+  isSessionActive,
+  resumeTTSPipeline,
+  runTTSPipeline,
+  unfinishedChunks,
+} from "../utils/ttsPipeline.js";
+import { resolveSynthesisOptions } from "../utils/ttsProviders.js";
+import { assertCanPublishToShow, getShow } from "../utils/shows.js";
+import { clearSynthesisCache, synthesisCacheStats } from "../utils/synthesisCache.js";
+import { assertWithinBudget } from "../utils/usage.js";
+import { assertJobQuota, jobOwner, requestActor, requireScope } from "../utils/auth.js";
 
 import logger from "../utils/logger.js";
 
 const router = express.Router();
 
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
 /**
  * POST /tts
- * Body: { text: string }
+ * Body: { text: string, provider?: "google" | "offline", voice?: object, audioConfig?: object,
+ *         format?: "text" | "markdown" | "html", sectionGap?: number,
+ *         normalize?: false | { locale?, dateFormat?, timeFormat?, currencies? }, show?: string,
+ *         enhance?: { mode?, baseUrl?, model?, prompt?, temperature? }, noCache?: boolean,
+ *         concurrency?: number,
+ *         speakers?: { [name]: { voice, speakingRate?, pitch? } }, turnGap?: number }
+ * With `speakers` the text is a dialogue script of "NAME: line" turns. `show` adds that
+ * show's pronunciation lexicon entries to the global ones and supplies its `enhance`
+ * settings where the request leaves them out. Chunks synthesized before are reused from
+ * the synthesis cache unless `noCache` is true.
+ * Responds 202 with a job id; poll GET /api/jobs/:id for progress and result URLs.
+ * If some chunks still fail after retries the job fails and the session can be resumed.
+ * 403 when `show` is not the key's tenant's (tenantless shows are admin-only), 402 once a
+ * monthly budget the request counts against is exhausted, 429 while the API key has its
+ * maximum of queued or running jobs. Requires the "synthesize" scope.
  */
-router.post("/", async (req, res) => {
+router.post("/", requireScope("synthesize"), async (req, res) => {
   const { text } = req.body;
 
   if (!text || typeof text !== "string") {
     return res.status(400).json({ error: "Missing or invalid text input" });
   }
 
+  let options;
+  try {
+    options = resolveSynthesisOptions(req.body);
+    if (req.body.show !== undefined) {
+      const show = await getShow(req.body.show);
+      assertCanPublishToShow(show, requestActor(req));
+      options.show = show.id;
+    }
+    assertJobQuota(req);
+    await assertWithinBudget({ show: options.show, apiKey: req.apiKey?.id });
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
   const sessionId = uuidv4();
-  logger.info("TTS request received", { sessionId, textLength: text.length });
+  logger.info("TTS request received", {
+    sessionId,
+    textLength: text.length,
+    provider: options.provider,
+    voice: options.voice.name,
+  });
 
   try {
-    // Split text into chunks (e.g., sentences, 500 chars max)
-    const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [text];
-    let chunkIndex = 0;
-
-    for (const sentence of sentences) {
-      // TODO: Replace with real TTS API call (currently mocked)
-      const fakeAudioBuffer = Buffer.from(`FAKEAUDIO_${sentence}`, "utf8");
+    const input = { sessionId, text, ...options };
+    const job = await createJob("tts", input, {
+      sessionId,
+      show: options.show ?? null,
+      ...jobOwner(req),
+    });
 
-      await processTTSChunk(sessionId, chunkIndex, fakeAudioBuffer);
-      chunkIndex++;
-    }
+    runJob(job, ({ setStage }) => runTTSPipeline(input, setStage));
 
-    // Merge all uploaded chunks into one file
-    const mergedUrl = await mergeChunksWithFFmpeg(
-      sessionId,
-      Array.from({ length: chunkIndex }, (_, i) => `${sessionId}/chunk_${i}.mp3`)
-    );
+    res.status(202).json({ jobId: job.id, sessionId, statusUrl: `/api/jobs/${job.id}` });
+  } catch (err) {
+    logger.error("Failed to queue TTS job", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "Failed to queue TTS job" });
+  }
+});
 
-    logger.info("TTS completed successfully", { sessionId, mergedUrl });
-    res.json({ sessionId, mergedUrl });
+/**
+ * GET /tts/cache
+ * Synthesis cache size, hit/miss counters and eviction bounds (admin)
+ */
+router.get("/cache", requireScope("admin"), async (req, res) => {
+  try {
+    res.json(await synthesisCacheStats());
+  } catch (err) {
+    logger.error("Failed to read synthesis cache stats", { error: err.message });
+    res.status(500).json({ error: "Failed to read synthesis cache stats" });
+  }
+});
 
+/**
+ * DELETE /tts/cache
+ * Removes every cached chunk and resets the counters (admin)
+ */
+router.delete("/cache", requireScope("admin"), async (req, res) => {
+  try {
+    const removed = await clearSynthesisCache();
+    logger.info("Synthesis cache cleared", { removed });
+    res.json({ removed });
   } catch (err) {
-    logger.error("TTS processing failed", { error: err.message, stack: err.stack });
-    res.status(500).json({ error: "Failed to process TTS" });
+    logger.error("Failed to clear synthesis cache", { error: err.message });
+    res.status(500).json({ error: "Failed to clear synthesis cache" });
   }
 });
 
 /**
  * GET /tts/:sessionId
- * Returns list of chunk URLs already in R2
+ * Returns the session's chunks in index order with size, ETag and public URL. Sessions
+ * live under the API key's tenant, so other tenants' sessions come back empty.
  */
 router.get("/:sessionId", async (req, res) => {
   const { sessionId } = req.params;
 
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    return res.status(400).json({ error: "Invalid sessionId" });
+  }
+
   try {
-    const urls = await getURLsBySessionId(sessionId);
-    res.json({ sessionId, urls });
+    const chunks = await getURLsBySessionId(sessionId);
+    res.json({ sessionId, count: chunks.length, chunks });
   } catch (err) {
     logger.error("Failed to fetch chunk URLs", { sessionId, error: err.message });
     res.status(500).json({ error: "Failed to fetch chunk URLs" });
   }
 });
 
+/**
+ * GET /tts/:sessionId/manifest
+ * Returns manifest.json: chunk text and SSML, voice, merged/podcast URLs
+ */
+router.get("/:sessionId/manifest", async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    return res.status(400).json({ error: "Invalid sessionId" });
+  }
+
+  try {
+    const manifest = await readSessionManifest(sessionId);
+    if (!manifest) {
+      return res.status(404).json({ error: "Manifest not found" });
+    }
+    res.json(manifest);
+  } catch (err) {
+    logger.error("Failed to fetch session manifest", { sessionId, error: err.message });
+    res.status(500).json({ error: "Failed to fetch session manifest" });
+  }
+});
+
+/**
+ * POST /tts/:sessionId/resume
+ * Re-synthesizes the session's failed or missing chunks with its original settings
+ * (concurrency included),
+ * then merges. Responds 202 with a job id and the chunk indices to be synthesized;
+ * 404 for an unknown session, 409 while it is running or once it is complete, 402 once
+ * a monthly budget the session counts against is exhausted, 429 while the API key has its
+ * maximum of queued or running jobs. Requires the "synthesize" scope.
+ */
+router.post("/:sessionId/resume", requireScope("synthesize"), async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    return res.status(400).json({ error: "Invalid sessionId" });
+  }
+  if (isSessionActive(sessionId)) {
+    return res.status(409).json({ error: "Session is already being synthesized" });
+  }
+
+  try {
+    const manifest = await readSessionManifest(sessionId);
+    if (!manifest?.chunks) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const chunks = await unfinishedChunks(manifest);
+    if (!chunks.length && manifest.mergedUrl) {
+      return res.status(409).json({ error: "Session is already complete" });
+    }
+
+    assertJobQuota(req);
+    await assertWithinBudget({ show: manifest.show, apiKey: req.apiKey?.id });
+
+    const input = { sessionId, resume: true };
+    const job = await createJob("tts", input, {
+      sessionId,
+      show: manifest.show ?? null,
+      ...jobOwner(req),
+    });
+    runJob(job, ({ setStage }) => resumeTTSPipeline(input, setStage));
+
+    logger.info("TTS resume requested", { sessionId, chunks });
+    res.status(202).json({ jobId: job.id, sessionId, chunks, statusUrl: `/api/jobs/${job.id}` });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to queue TTS resume", { sessionId, error: err.message });
+    res.status(500).json({ error: "Failed to queue TTS resume" });
+  }
+});
+
 export default router;
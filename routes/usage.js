@@ -0,0 +1,72 @@
+import express from "express";
+
+import { getBudgets, saveBudgets, summarizeUsage, usagePrices } from "../utils/usage.js";
+import { isAdmin, requireScope } from "../utils/auth.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * GET /usage?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|apiKey|show|session
+ *           &apiKey=<id>&show=<id>&sessionId=<id>
+ * Metered usage (TTS characters by voice tier, LLM tokens, storage bytes, ffmpeg wall-clock seconds)
+ * and its cost, for this month unless from/to are given. With groupBy the totals are also
+ * broken down per day, API key, show or session (episode). Keys without the admin scope
+ * only see their own usage.
+ */
+router.get("/", async (req, res) => {
+  const query = Object.fromEntries(
+    ["from", "to", "groupBy", "apiKey", "show", "sessionId"]
+      .filter((name) => typeof req.query[name] === "string")
+      .map((name) => [name, req.query[name]])
+  );
+  if (!isAdmin(req)) query.apiKey = req.apiKey.id;
+
+  try {
+    res.json(await summarizeUsage(query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to summarize usage", { error: err.message });
+    res.status(500).json({ error: "Failed to summarize usage" });
+  }
+});
+
+/**
+ * GET /usage/prices
+ * The price table costs are computed with (defaults plus USAGE_PRICES)
+ */
+router.get("/prices", (req, res) => {
+  res.json(usagePrices());
+});
+
+/**
+ * GET /usage/budgets
+ * Monthly budgets: { total, shows: { [id]: amount }, apiKeys: { [id]: amount } } (admin)
+ */
+router.get("/budgets", requireScope("admin"), async (req, res) => {
+  try {
+    res.json(await getBudgets());
+  } catch (err) {
+    logger.error("Failed to read budgets", { error: err.message });
+    res.status(500).json({ error: "Failed to read budgets" });
+  }
+});
+
+/**
+ * PUT /usage/budgets
+ * Body: { total?: number | null, shows?: { [id]: number | null },
+ *         apiKeys?: { [id]: number | null } }
+ * Replaces the budgets. New TTS and podcast jobs are rejected with 402 while the month's
+ * spend has reached a budget they count against. Requires the "admin" scope.
+ */
+router.put("/budgets", requireScope("admin"), async (req, res) => {
+  try {
+    res.json(await saveBudgets(req.body));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error("Failed to save budgets", { error: err.message });
+    res.status(500).json({ error: "Failed to save budgets" });
+  }
+});
+
+export default router;
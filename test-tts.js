@@ -7,6 +7,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '.env') });
 
 const BASE_URL = `http://localhost:${process.env.PORT || 3000}`;
+// A key with the synthesize scope (or ADMIN_API_KEY)
+const API_KEY = process.env.TEST_API_KEY || process.env.ADMIN_API_KEY;
 const TEST_URLS = [
   'https://example.com',
   'https://example.org'
@@ -14,11 +16,12 @@ const TEST_URLS = [
 
 async function testEndpoint() {
   try {
-    console.log('Testing /URL_Text endpoint...');
+    console.log('Testing /api/ingest endpoint...');
     
-    const response = await axios.post(`${BASE_URL}/URL_Text`, {
-      sessionId: 'test-' + Date.now(),
+    const response = await axios.post(`${BASE_URL}/api/ingest`, {
       urls: TEST_URLS
+    }, {
+      headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {}
     });
     
     console.log('Test successful! Response:');
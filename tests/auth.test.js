@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-auth-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+process.env.API_KEY_MAX_JOBS = '1';
+delete process.env.ADMIN_API_KEY;
+delete process.env.AUTH_DISABLED;
+
+const { createApiKey, revokeApiKey, verifyApiKey } = await import('../utils/apiKeys.js');
+const { assertJobQuota, authenticate, requireAuth, requireScope } =
+  await import('../utils/auth.js');
+const { createJob } = await import('../utils/jobStore.js');
+
+function mockRequest(headers = {}) {
+  return { get: (name) => headers[name.toLowerCase()] };
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('API keys', () => {
+  test('a revoked key is rejected', async () => {
+    const { id, key } = await createApiKey({ name: 'ci', tenant: 'acme', scopes: ['publish'] });
+    expect(await verifyApiKey(key)).toMatchObject({ id, tenant: 'acme' });
+
+    await revokeApiKey(id);
+    expect(await verifyApiKey(key)).toBeNull();
+
+    const req = mockRequest({ 'x-api-key': key });
+    const res = mockResponse();
+    await new Promise((resolve) => authenticate(req, res, resolve));
+    const next = jest.fn();
+    requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid or revoked API key' });
+  });
+});
+
+describe('requireScope', () => {
+  test('a key without the scope gets 403', () => {
+    const req = { apiKey: { id: 'k1', tenant: 'acme', scopes: ['synthesize'] } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireScope('publish')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'API key lacks the "publish" scope' });
+  });
+
+  test('admin keys have every scope', () => {
+    const next = jest.fn();
+    requireScope('publish')({ apiKey: { id: 'admin', scopes: ['admin'] } }, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('assertJobQuota', () => {
+  test('rejects with 429 once the key has API_KEY_MAX_JOBS active jobs', async () => {
+    const req = { apiKey: { id: 'quota-key', tenant: 'acme', scopes: ['synthesize'] } };
+    expect(() => assertJobQuota(req)).not.toThrow();
+
+    await createJob('tts', {}, { apiKey: 'quota-key', tenant: 'acme' });
+
+    expect(() => assertJobQuota(req)).toThrow(expect.objectContaining({ status: 429 }));
+  });
+});
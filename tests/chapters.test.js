@@ -0,0 +1,85 @@
+import {
+  buildChapters,
+  parseScriptSections,
+  sectionStartTimes,
+  toChaptersJson,
+} from '../utils/chapters.js';
+
+describe('parseScriptSections', () => {
+  test('splits at heading lines and keeps untitled leading text', () => {
+    const script = 'Welcome.\n\n# The news ##\nFirst story.\n\n## Weather\nSunny.\n# Empty\n';
+    expect(parseScriptSections(script)).toEqual([
+      { title: null, text: 'Welcome.' },
+      { title: 'The news', text: 'First story.' },
+      { title: 'Weather', text: 'Sunny.' },
+    ]);
+  });
+
+  test('hashtags inside sentences are not headings', () => {
+    expect(parseScriptSections('Use #hashtags often.')).toEqual([
+      { title: null, text: 'Use #hashtags often.' },
+    ]);
+  });
+});
+
+describe('sectionStartTimes', () => {
+  const manifest = {
+    sections: [
+      { index: 0, title: 'One', firstChunk: 0 },
+      { index: 1, title: 'Two', firstChunk: 2 },
+    ],
+    chunks: [
+      { section: 0, durationSeconds: 4.5 },
+      { section: 0, durationSeconds: 3 },
+      { section: 1, durationSeconds: 6 },
+    ],
+  };
+
+  test('adds up measured chunk durations', () => {
+    expect(sectionStartTimes(manifest)).toEqual([
+      { title: 'One', startTime: 0 },
+      { title: 'Two', startTime: 7.5 },
+    ]);
+  });
+
+  test('is empty when the script had no headings', () => {
+    expect(sectionStartTimes({ sections: [{ index: 0, title: null }], chunks: [] })).toEqual([]);
+    expect(sectionStartTimes(null)).toEqual([]);
+  });
+});
+
+describe('buildChapters', () => {
+  test('offsets sections by the intro and covers the whole episode', () => {
+    const chapters = buildChapters(
+      [
+        { title: null, startTime: 0 },
+        { title: 'Two', startTime: 7.5 },
+      ],
+      { contentStart: 10.1234, duration: 40 }
+    );
+    expect(chapters).toEqual([
+      { title: 'Introduction', startTime: 0, endTime: 17.623 },
+      { title: 'Two', startTime: 17.623, endTime: 40 },
+    ]);
+  });
+
+  test('clamps starts to the episode duration', () => {
+    const [, last] = buildChapters(
+      [
+        { title: 'A', startTime: 0 },
+        { title: 'B', startTime: 100 },
+      ],
+      { contentStart: 5, duration: 50 }
+    );
+    expect(last).toEqual({ title: 'B', startTime: 50, endTime: 50 });
+  });
+});
+
+describe('toChaptersJson', () => {
+  test('renders Podcasting 2.0 JSON chapters', () => {
+    expect(toChaptersJson([{ title: 'A', startTime: 0, endTime: 3 }])).toEqual({
+      version: '1.2.0',
+      chapters: [{ startTime: 0, title: 'A' }],
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-enhance-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.SSML_MODE;
+delete process.env.LLM_MODEL;
+delete process.env.LLM_PROMPT;
+delete process.env.LLM_ALLOWED_BASE_URLS;
+process.env.OPENAI_API_KEY = 'sk-test';
+
+const { checkRefinedSSML, enhanceChunkSSML, resolveEnhanceConfig, validateEnhanceOptions } =
+  await import('../utils/chatgptSSMLGenerator.js');
+
+const original = '<speak>Hello there, <break time="200ms"/> friend.</speak>';
+
+// Stand-in for an OpenAI-compatible endpoint; replies with `reply`
+let reply = '';
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (data) => (body += data));
+  req.on('end', () => {
+    requests.push({ authorization: req.headers.authorization, body: JSON.parse(body) });
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+  });
+});
+
+beforeAll(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('checkRefinedSSML', () => {
+  const check = (refined, maxBytes = 3400) => checkRefinedSSML(refined, original, { maxBytes });
+
+  test('accepts added markup around the same words', () => {
+    expect(
+      check('<speak>Hello <emphasis>there</emphasis>, <break time="300ms"/> friend.</speak>')
+    ).toEqual({ ok: true, reason: null });
+  });
+
+  test('rejects missing documents, oversized and invalid SSML', () => {
+    expect(check(null).reason).toBe('no SSML document in the response');
+    expect(check(original, 20).reason).toBe('longer than 20 bytes');
+    expect(check('<speak>Hello there <b>friend</b>.</speak>').reason).toMatch(/^invalid SSML/);
+  });
+
+  test('rejects changed, added or dropped words', () => {
+    expect(check('<speak>Hello there, pal.</speak>').reason).toBe(
+      'spoken words changed at word 3 ("friend" -> "pal")'
+    );
+    expect(check('<speak>Hello there, friend. Bye.</speak>').ok).toBe(false);
+    expect(check('<speak>Hello there.</speak>').ok).toBe(false);
+  });
+});
+
+describe('enhancement settings', () => {
+  test('baseUrl must be LLM_BASE_URL or allow-listed', () => {
+    expect(validateEnhanceOptions({ baseUrl: `${process.env.LLM_BASE_URL}/` })).toEqual([]);
+    expect(validateEnhanceOptions({ baseUrl: 'http://169.254.169.254/v1' })).toEqual([
+      'enhance.baseUrl must be LLM_BASE_URL or listed in LLM_ALLOWED_BASE_URLS',
+    ]);
+    process.env.LLM_ALLOWED_BASE_URLS = 'https://llm.example.com/v1';
+    expect(validateEnhanceOptions({ baseUrl: 'https://llm.example.com/v1' })).toEqual([]);
+    delete process.env.LLM_ALLOWED_BASE_URLS;
+  });
+
+  test('rejects unknown fields and bad values', () => {
+    expect(
+      validateEnhanceOptions({ mode: 'magic', temperature: 3, extra: 1 }, 'show.enhance')
+    ).toHaveLength(3);
+  });
+
+  test('layers win in order and the API key only goes to LLM_BASE_URL', () => {
+    const config = resolveEnhanceConfig({ mode: 'hybrid' }, { mode: 'chatgpt', model: 'm1' });
+    expect(config).toMatchObject({ mode: 'hybrid', model: 'm1', apiKey: 'sk-test' });
+    expect(resolveEnhanceConfig({ baseUrl: 'https://llm.example.com/v1' }).apiKey).toBeNull();
+    expect(resolveEnhanceConfig().mode).toBe('deterministic');
+  });
+});
+
+describe('enhanceChunkSSML', () => {
+  const config = () => resolveEnhanceConfig({ mode: 'hybrid' });
+
+  test('keeps a refined document that passes the gate', async () => {
+    const refined =
+      '<speak>Hello <emphasis>there</emphasis>, <break time="200ms"/> friend.</speak>';
+    reply = `Sure!\n\`\`\`xml\n${refined}\n\`\`\``;
+
+    expect(await enhanceChunkSSML(original, 'Hello there, friend.', config())).toEqual({
+      ssml: refined,
+      enhanced: true,
+      reason: null,
+    });
+    expect(requests.at(-1).authorization).toBe('Bearer sk-test');
+    expect(requests.at(-1).body.messages[1].content).toBe(original);
+  });
+
+  test('falls back to the deterministic SSML when the words change', async () => {
+    reply = '<speak>Goodbye there, friend.</speak>';
+    const result = await enhanceChunkSSML(original, 'Hello there, friend.', {
+      ...config(),
+      temperature: 0.5,
+    });
+    expect(result).toMatchObject({ ssml: original, enhanced: false });
+    expect(result.reason).toMatch(/^spoken words changed/);
+  });
+
+  test('caches responses so the same chunk is sent once', async () => {
+    const before = requests.length;
+    await enhanceChunkSSML(original, 'Hello there, friend.', config());
+    expect(requests.length).toBe(before);
+  });
+
+  test('deterministic mode never calls the LLM', async () => {
+    const before = requests.length;
+    const result = await enhanceChunkSSML(original, 'x', resolveEnhanceConfig());
+    expect(result).toEqual({ ssml: original, enhanced: false, reason: null });
+    expect(requests.length).toBe(before);
+  });
+});
@@ -0,0 +1,54 @@
+import { parseDialogueTurns } from '../utils/dialogue.js';
+import { resolveAudioConfig, resolveSpeakers } from '../utils/ttsProviders.js';
+
+describe('parseDialogueTurns', () => {
+  test('splits turns at known speaker lines, case-insensitively', () => {
+    const script = [
+      'Cold open.',
+      'host: Welcome to the show.',
+      'It is a good one.',
+      'GUEST: Thanks: glad to be here.',
+      'Note: this is not a speaker.',
+    ].join('\n');
+
+    expect(parseDialogueTurns(script, ['HOST', 'GUEST'])).toEqual([
+      { speaker: null, text: 'Cold open.' },
+      { speaker: 'HOST', text: 'Welcome to the show.\nIt is a good one.' },
+      { speaker: 'GUEST', text: 'Thanks: glad to be here.\nNote: this is not a speaker.' },
+    ]);
+  });
+
+  test('drops turns without text', () => {
+    expect(parseDialogueTurns('HOST:\nGUEST: Hi', ['HOST', 'GUEST'])).toEqual([
+      { speaker: 'GUEST', text: 'Hi' },
+    ]);
+  });
+});
+
+describe('resolveSpeakers', () => {
+  const audioConfig = resolveAudioConfig({ speakingRate: 1, pitch: 0 });
+
+  test('resolves voice names and per-speaker rate and pitch', () => {
+    const speakers = resolveSpeakers(
+      {
+        HOST: { voice: 'en-GB-Neural2-B', pitch: -2 },
+        GUEST: { voice: { name: 'en-US-Neural2-F' }, speakingRate: 1.1 },
+      },
+      audioConfig
+    );
+
+    expect(speakers.HOST.voice).toEqual({ name: 'en-GB-Neural2-B', languageCode: 'en-GB' });
+    expect(speakers.HOST.audioConfig).toMatchObject({ pitch: -2, speakingRate: 1 });
+    expect(speakers.GUEST.voice.languageCode).toBe('en-US');
+    expect(speakers.GUEST.audioConfig.speakingRate).toBe(1.1);
+  });
+
+  test.each([
+    [[], 'speakers must be an object'],
+    [{}, 'at least one speaker'],
+    [{ 'no:colon': {} }, 'Invalid speaker name'],
+    [{ HOST: 'en-GB-Neural2-B' }, 'speakers.HOST must be an object'],
+  ])('rejects %p', (speakers, message) => {
+    expect(() => resolveSpeakers(speakers, audioConfig)).toThrow(message);
+  });
+});
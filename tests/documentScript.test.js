@@ -0,0 +1,59 @@
+import { documentToScript } from '../utils/documentScript.js';
+
+describe('documentToScript (markdown)', () => {
+  const markdown = (content, options) => documentToScript(content, 'markdown', options);
+
+  test('headings become section lines and front matter is skipped', () => {
+    expect(markdown('---\ntitle: x\n---\n# Intro\n\nHello.\n\nPart two\n--------\n\nBye.')).toBe(
+      '# Intro\n\nHello.\n\n# Part two\n\nBye.'
+    );
+  });
+
+  test('lists are enumerated and ordered lists start from their first number', () => {
+    expect(markdown('- apples\n- pears')).toBe('First, apples.\nSecond, pears.');
+    expect(markdown('3. three\n4. four')).toBe('Third, three.\nFourth, four.');
+  });
+
+  test('emphasis follows the voice', () => {
+    expect(markdown('Some **bold** and *soft* words.')).toBe(
+      'Some <emphasis level="strong">bold</emphasis> and ' +
+        '<emphasis level="moderate">soft</emphasis> words.'
+    );
+    expect(markdown('Some **bold** and _soft_ words.', { emphasis: false })).toBe(
+      'Some bold and soft words.'
+    );
+    expect(markdown('snake_case_name stays')).toBe('snake_case_name stays');
+  });
+
+  test('links read their text; code and images are skipped', () => {
+    expect(
+      markdown('See [the docs](http://x) ![diagram](a.png) here.\n\n```js\ncode();\n```\n\nEnd.')
+    ).toBe('See the docs  here.\n\nEnd.');
+  });
+
+  test('tables are read row by row', () => {
+    expect(markdown('| a | b |\n|---|---|\n| 1 | 2 |')).toBe('a, b.\n1, 2.');
+  });
+
+  test('escapes text, keeps written entities and inline SSML, drops other tags', () => {
+    expect(markdown('Fish & <break time="1s"/> chips &amp; <span>more</span>.')).toBe(
+      'Fish &amp; <break time="1s"/> chips &amp; more.'
+    );
+  });
+});
+
+describe('documentToScript (html)', () => {
+  test('reads the body, skipping scripts, styles, code, images and comments', () => {
+    const html =
+      '<html><head><script>x()</script><style>p{}</style></head><body>' +
+      '<h2>Title</h2><p>Hi <em>you</em> &amp; <a href="x">them</a><img src="a.png"></p>' +
+      '<!-- note --><ul><li>a</li><li>b</li></ul><pre>code</pre></body></html>';
+    expect(documentToScript(html, 'html')).toBe(
+      '# Title\n\nHi <emphasis level="moderate">you</emphasis> &amp; them\n\nFirst, a.\nSecond, b.'
+    );
+  });
+});
+
+test('plain text is returned unchanged', () => {
+  expect(documentToScript('plain *x* <b>', 'text')).toBe('plain *x* <b>');
+});
@@ -0,0 +1,117 @@
+import { buildId3Tag, stripId3, writeId3Tags } from '../utils/id3.js';
+import { resolveEpisodeTags, validateTagOverrides } from '../utils/episodeTags.js';
+
+function syncsafe(buffer, offset) {
+  return (
+    (buffer[offset] << 21) |
+    (buffer[offset + 1] << 14) |
+    (buffer[offset + 2] << 7) |
+    buffer[offset + 3]
+  );
+}
+
+// Splits a tag (or a CHAP frame's embedded frames) into { id, body } frames
+function readFrames(buffer, offset = 10, end = 10 + syncsafe(buffer, 6)) {
+  const frames = [];
+  while (offset < end) {
+    const size = syncsafe(buffer, offset + 4);
+    frames.push({
+      id: buffer.toString('latin1', offset, offset + 4),
+      body: buffer.subarray(offset + 10, offset + 10 + size),
+    });
+    offset += 10 + size;
+  }
+  return frames;
+}
+
+const audio = Buffer.from([0xff, 0xf3, 0x44, 0xc0, 0x00, 0x00]);
+
+describe('buildId3Tag', () => {
+  test('writes an ID3v2.4 header and UTF-8 text frames', () => {
+    const tag = buildId3Tag({ title: 'Épisode 1', artist: 'Ada', track: 3, genre: '' });
+
+    expect(tag.toString('latin1', 0, 3)).toBe('ID3');
+    expect(tag[3]).toBe(4);
+    const frames = readFrames(tag);
+    expect(frames.map((f) => f.id)).toEqual(['TIT2', 'TPE1', 'TRCK']);
+    expect(frames[0].body[0]).toBe(0x03);
+    expect(frames[0].body.subarray(1).toString('utf8')).toBe('Épisode 1');
+  });
+
+  test('writes a CTOC frame and one CHAP frame per chapter', () => {
+    const tag = buildId3Tag({
+      chapters: [
+        { title: 'Intro', startTime: 0, endTime: 12.5 },
+        { title: 'Main', startTime: 12.5, endTime: 60 },
+      ],
+    });
+    const [toc, ...chapters] = readFrames(tag);
+
+    expect(toc.id).toBe('CTOC');
+    expect(toc.body.toString('latin1')).toBe('toc\0\x03\x02chp0\0chp1\0');
+
+    expect(chapters.map((f) => f.id)).toEqual(['CHAP', 'CHAP']);
+    const { body } = chapters[1];
+    expect(body.toString('latin1', 0, 5)).toBe('chp1\0');
+    expect(body.readUInt32BE(5)).toBe(12500);
+    expect(body.readUInt32BE(9)).toBe(60000);
+    expect(body.readUInt32BE(13)).toBe(0xffffffff);
+    const [title] = readFrames(body, 21, body.length);
+    expect(title.id).toBe('TIT2');
+    expect(title.body.subarray(1).toString('utf8')).toBe('Main');
+  });
+
+  test('rejects more than 255 chapters', () => {
+    const chapters = Array.from({ length: 256 }, (_, i) => ({
+      title: `${i}`,
+      startTime: i,
+      endTime: i + 1,
+    }));
+    expect(() => buildId3Tag({ chapters })).toThrow('at most 255 chapters');
+  });
+});
+
+describe('writeId3Tags', () => {
+  test('replaces an existing tag instead of stacking them', () => {
+    const once = writeId3Tags(audio, { title: 'One' });
+    const twice = writeId3Tags(once, { title: 'Two' });
+
+    expect(stripId3(twice)).toEqual(audio);
+    expect(readFrames(twice)[0].body.subarray(1).toString()).toBe('Two');
+  });
+
+  test('leaves untagged audio alone', () => {
+    expect(stripId3(audio)).toBe(audio);
+  });
+});
+
+describe('episode tags', () => {
+  const show = {
+    name: 'Weekly',
+    feed: { author: 'Ada', title: null, artwork: 'cover.jpg' },
+    tags: { artist: null, album: null, genre: 'Podcast' },
+  };
+
+  test('overrides win over episode fields and show defaults', () => {
+    const tags = resolveEpisodeTags(
+      show,
+      { episodeNumber: 4, description: 'About things' },
+      { artist: 'Guest', artwork: null }
+    );
+    expect(tags).toMatchObject({
+      title: 'Episode 4',
+      artist: 'Guest',
+      album: 'Weekly',
+      comment: 'About things',
+      track: 4,
+      genre: 'Podcast',
+      artwork: null,
+    });
+  });
+
+  test('validateTagOverrides rejects unknown fields and non-scalar values', () => {
+    expect(validateTagOverrides({ title: 'x', year: 2026 })).toEqual([]);
+    expect(validateTagOverrides({ bitrate: 1, title: {} })).toHaveLength(2);
+    expect(validateTagOverrides([])).toEqual(['tags must be an object']);
+  });
+});
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-jobs-'));
+process.env.DATA_DIR = dataDir;
+process.env.JOB_CACHE_TTL_SECONDS = '60';
+
+const { createJob, getJob, recoverJobs, runJob } = await import('../utils/jobStore.js');
+
+// Waits for the status to be written to disk, not just set in memory
+async function waitForStatus(id, status) {
+  const file = path.join(dataDir, 'jobs', `${id}.json`);
+  for (let i = 0; i < 5000; i++) {
+    if (fs.existsSync(file) && JSON.parse(fs.readFileSync(file, 'utf8')).status === status) return;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  throw new Error(`Job ${id} never reached ${status}`);
+}
+
+afterEach(() => jest.useRealTimers());
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('job store', () => {
+  test('finished jobs are evicted after the TTL and read back from disk', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const job = await createJob('tts', { text: 'hi' });
+    runJob(job, async () => ({ ok: true }));
+    await waitForStatus(job.id, 'completed');
+    expect(await getJob(job.id)).toBe(job);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const reloaded = await getJob(job.id);
+    expect(reloaded).not.toBe(job);
+    expect(reloaded).toMatchObject({ id: job.id, status: 'completed', result: { ok: true } });
+  });
+
+  test('recoverJobs fails interrupted jobs and skips finished ones', async () => {
+    const write = (job) =>
+      fs.writeFileSync(path.join(dataDir, 'jobs', `${job.id}.json`), JSON.stringify(job));
+    write({ id: 'done-job', status: 'completed', stage: 'done' });
+    write({ id: 'stuck-job', status: 'running', stage: 'merging' });
+
+    expect(await recoverJobs()).toBe(1);
+    expect(await getJob('stuck-job')).toMatchObject({
+      status: 'failed',
+      error: 'Interrupted by service restart during merging',
+    });
+    expect(await getJob('done-job')).toMatchObject({ status: 'completed' });
+  });
+
+  test('unknown and malformed ids return null', async () => {
+    expect(await getJob('missing')).toBeNull();
+    expect(await getJob('../etc/passwd')).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-lexicon-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.SSML_TECH_TERMS;
+
+const {
+  applyLexicon,
+  compileLexicon,
+  deleteLexiconEntry,
+  listLexicon,
+  loadLexicon,
+  saveLexiconEntry,
+  validateLexiconEntry,
+} = await import('../utils/lexicon.js');
+
+const acme = { tenant: 'acme', admin: false };
+const globex = { tenant: 'globex', admin: false };
+const admin = { tenant: null, admin: true };
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('applyLexicon', () => {
+  const lexicon = compileLexicon([
+    { term: 'Nguyen', type: 'phoneme', alphabet: 'ipa', ph: 'wɪn', show: null },
+    { term: 'k8s', type: 'sub', alias: 'kubernetes', show: null },
+    { term: 'SQL', type: 'sub', alias: 'sequel', show: null, caseSensitive: true },
+    { term: 'k8s', type: 'sub', alias: 'kates', show: 'weekly' },
+  ]);
+
+  test('replaces whole words with phoneme and sub markup', () => {
+    expect(applyLexicon('Ask nguyen about K8s and k8s-ish.', lexicon)).toBe(
+      'Ask <phoneme alphabet="ipa" ph="wɪn">nguyen</phoneme> about ' +
+        '<sub alias="kubernetes">K8s</sub> and <sub alias="kubernetes">k8s</sub>-ish.'
+    );
+  });
+
+  test('respects caseSensitive and leaves partial words alone', () => {
+    expect(applyLexicon('SQL, sql and MySQL', lexicon)).toBe(
+      '<sub alias="sequel">SQL</sub>, sql and MySQL'
+    );
+  });
+
+  test('does not touch marked-up text and is idempotent', () => {
+    const once = applyLexicon('Nguyen <sub alias="x">k8s</sub>', lexicon);
+    expect(once).toBe('<phoneme alphabet="ipa" ph="wɪn">Nguyen</phoneme> <sub alias="x">k8s</sub>');
+    expect(applyLexicon(once, lexicon)).toBe(once);
+  });
+
+  test("a show's entry overrides the global one", () => {
+    const weekly = compileLexicon(
+      [
+        { term: 'k8s', type: 'sub', alias: 'kubernetes', show: null },
+        { term: 'k8s', type: 'sub', alias: 'kates', show: 'weekly' },
+      ],
+      'weekly'
+    );
+    expect(applyLexicon('k8s', weekly)).toBe('<sub alias="kates">k8s</sub>');
+  });
+
+  test('a missing or empty lexicon leaves text unchanged', () => {
+    expect(applyLexicon('Nguyen', null)).toBe('Nguyen');
+    expect(applyLexicon('Nguyen', compileLexicon([]))).toBe('Nguyen');
+  });
+});
+
+describe('validateLexiconEntry', () => {
+  test('needs the fields of its type', () => {
+    expect(validateLexiconEntry({ term: 'x', type: 'sub', alias: 'ex' })).toEqual([]);
+    expect(validateLexiconEntry({ term: 'x', type: 'phoneme' }).length).toBeGreaterThan(0);
+    expect(validateLexiconEntry({ term: '<x>', type: 'sub', alias: 'a' }).length).toBe(1);
+    expect(validateLexiconEntry(null)).toEqual(['Lexicon entry must be an object']);
+  });
+});
+
+describe('stored entries and ownership', () => {
+  test('built-in tech terms apply until a stored entry replaces them', async () => {
+    expect(applyLexicon('JSON', await loadLexicon())).toBe('<sub alias="jason">JSON</sub>');
+
+    await saveLexiconEntry({ term: 'JSON', type: 'sub', alias: 'jay son', caseSensitive: true });
+    expect(applyLexicon('JSON', await loadLexicon())).toBe('<sub alias="jay son">JSON</sub>');
+  });
+
+  test('only admins may create global entries', async () => {
+    await expect(
+      saveLexiconEntry({ term: 'foo', type: 'sub', alias: 'f' }, undefined, acme)
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(
+      saveLexiconEntry({ term: 'foo', type: 'sub', alias: 'f' }, undefined, admin)
+    ).resolves.toMatchObject({ show: null, tenant: null });
+  });
+
+  test('show entries belong to their tenant and others cannot change them', async () => {
+    const entry = await saveLexiconEntry(
+      { term: 'bar', type: 'sub', alias: 'b', show: 'weekly' },
+      undefined,
+      acme
+    );
+    expect(entry.tenant).toBe('acme');
+
+    await expect(
+      saveLexiconEntry({ term: 'bar', type: 'sub', alias: 'x', show: 'weekly' }, entry.id, globex)
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(deleteLexiconEntry(entry.id, globex)).rejects.toMatchObject({ status: 403 });
+
+    const updated = await saveLexiconEntry(
+      { term: 'bar', type: 'sub', alias: 'baa', show: 'weekly' },
+      entry.id,
+      acme
+    );
+    expect(updated).toMatchObject({ id: entry.id, alias: 'baa', tenant: 'acme' });
+    expect(await deleteLexiconEntry(entry.id, acme)).toBe(true);
+    expect(await deleteLexiconEntry(entry.id, acme)).toBe(false);
+  });
+
+  test('a term has at most one entry per scope', async () => {
+    await saveLexiconEntry({ term: 'baz', type: 'sub', alias: 'b' });
+    await expect(saveLexiconEntry({ term: 'BAZ', type: 'sub', alias: 'c' })).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+
+  test('concurrent saves are all kept', async () => {
+    await Promise.all(
+      ['a1', 'a2', 'a3', 'a4'].map((term) => saveLexiconEntry({ term, type: 'sub', alias: term }))
+    );
+    const terms = (await listLexicon()).map((entry) => entry.term);
+    expect(terms).toEqual(expect.arrayContaining(['a1', 'a2', 'a3', 'a4']));
+  });
+});
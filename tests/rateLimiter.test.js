@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { acquireProviderCapacity, providerRateLimits } from '../utils/rateLimiter.js';
+
+let providers = 0;
+const provider = (rateLimits) => ({ name: `test-${++providers}`, rateLimits });
+
+// Resolves to whether the promise settled within the advanced time
+async function settlesWithin(promise, ms) {
+  let settled = false;
+  promise.then(() => (settled = true));
+  await jest.advanceTimersByTimeAsync(ms);
+  return settled;
+}
+
+beforeEach(() => jest.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z') }));
+afterEach(() => {
+  jest.useRealTimers();
+  delete process.env.TEST_1_TTS_RPM;
+});
+
+describe('providerRateLimits', () => {
+  test('environment overrides the provider defaults and 0 turns a limit off', () => {
+    const limited = { name: 'test-1', rateLimits: { requestsPerMinute: 10 } };
+    expect(providerRateLimits(limited)).toEqual({
+      requestsPerMinute: 10,
+      charactersPerMinute: null,
+    });
+    process.env.TEST_1_TTS_RPM = '20';
+    expect(providerRateLimits(limited).requestsPerMinute).toBe(20);
+    process.env.TEST_1_TTS_RPM = '0';
+    expect(providerRateLimits(limited).requestsPerMinute).toBeNull();
+  });
+});
+
+describe('acquireProviderCapacity', () => {
+  test('unlimited providers never wait', async () => {
+    const unlimited = provider();
+    for (let i = 0; i < 100; i++) await acquireProviderCapacity(unlimited, 5000);
+  });
+
+  test('requests wait for the bucket to refill', async () => {
+    const limited = provider({ requestsPerMinute: 2 });
+    await acquireProviderCapacity(limited, 10);
+    await acquireProviderCapacity(limited, 10);
+
+    const third = acquireProviderCapacity(limited, 10);
+    expect(await settlesWithin(third, 29000)).toBe(false);
+    expect(await settlesWithin(third, 1000)).toBe(true);
+  });
+
+  test('characters are metered per request', async () => {
+    const limited = provider({ charactersPerMinute: 600 });
+    await acquireProviderCapacity(limited, 500);
+
+    const next = acquireProviderCapacity(limited, 200);
+    // 100 characters left; 100 more refill in 10 s
+    expect(await settlesWithin(next, 9000)).toBe(false);
+    expect(await settlesWithin(next, 1000)).toBe(true);
+  });
+
+  test('a request larger than the quota waits for a full bucket', async () => {
+    const limited = provider({ charactersPerMinute: 100 });
+    await acquireProviderCapacity(limited, 50);
+    expect(await settlesWithin(acquireProviderCapacity(limited, 1000), 30000)).toBe(true);
+  });
+
+  test('callers are served in arrival order', async () => {
+    const limited = provider({ charactersPerMinute: 600 });
+    await acquireProviderCapacity(limited, 600);
+
+    const order = [];
+    const large = acquireProviderCapacity(limited, 500).then(() => order.push('large'));
+    const small = acquireProviderCapacity(limited, 10).then(() => order.push('small'));
+    await jest.advanceTimersByTimeAsync(60000);
+    await Promise.all([large, small]);
+    expect(order).toEqual(['large', 'small']);
+  });
+});
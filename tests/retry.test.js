@@ -0,0 +1,109 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-retry-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+delete process.env.LOCAL_STORAGE_DIR;
+
+const { isTransientError, withRetry } = await import('../utils/retry.js');
+const { resumeTTSPipeline, unfinishedChunks } = await import('../utils/ttsPipeline.js');
+const { putObject } = await import('../utils/storage.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const withStatus = (status, headers = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+describe('isTransientError', () => {
+  test.each([
+    ['HTTP 429', withStatus(429)],
+    ['HTTP 503', withStatus(503)],
+    ['HTTP 408', withStatus(408)],
+    ['gRPC UNAVAILABLE', Object.assign(new Error('x'), { code: 14 })],
+    ['ECONNRESET', Object.assign(new Error('x'), { code: 'ECONNRESET' })],
+    ['S3 retryable', Object.assign(new Error('x'), { $retryable: {} })],
+    ['S3 500', Object.assign(new Error('x'), { $metadata: { httpStatusCode: 500 } })],
+  ])('retries %s', (_name, error) => {
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  test.each([
+    ['HTTP 400', withStatus(400)],
+    ['HTTP 401', withStatus(401)],
+    ['gRPC INVALID_ARGUMENT', Object.assign(new Error('x'), { code: 3 })],
+    ['unknown errors', new Error('x')],
+    ['errors marked permanent', Object.assign(withStatus(503), { transient: false })],
+  ])('does not retry %s', (_name, error) => {
+    expect(isTransientError(error)).toBe(false);
+  });
+});
+
+describe('withRetry', () => {
+  const options = { retries: 2, baseDelayMs: 1, maxDelayMs: 2 };
+
+  test('retries transient failures until one succeeds', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(withStatus(503))
+      .mockRejectedValueOnce(withStatus(429))
+      .mockResolvedValue('ok');
+    expect(await withRetry(fn, options)).toBe('ok');
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+  });
+
+  test('gives up after the configured retries', async () => {
+    const fn = jest.fn().mockRejectedValue(withStatus(503));
+    await expect(withRetry(fn, options)).rejects.toMatchObject({
+      attempts: 3,
+      transient: true,
+    });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('permanent errors fail on the first attempt', async () => {
+    const fn = jest.fn().mockRejectedValue(withStatus(400));
+    await expect(withRetry(fn, options)).rejects.toMatchObject({
+      attempts: 1,
+      transient: false,
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('honours Retry-After when it asks for longer', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(withStatus(429, { 'retry-after': '0.05' }))
+      .mockResolvedValue('ok');
+    const started = Date.now();
+    await withRetry(fn, options);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+});
+
+describe('resume', () => {
+  test('unfinished chunks are those not done or missing from the bucket', async () => {
+    for (const index of [0, 1, 3]) {
+      await putObject('chunks', `session-r/chunk_${index}.mp3`, Buffer.from('audio'));
+    }
+    const manifest = {
+      sessionId: 'session-r',
+      chunks: [
+        { index: 0, status: 'done' },
+        { index: 1, status: 'failed' },
+        { index: 2, status: 'done' },
+        { index: 3 },
+        { index: 4, status: 'pending' },
+      ],
+    };
+    expect(await unfinishedChunks(manifest)).toEqual([1, 2, 4]);
+  });
+
+  test('unknown sessions cannot be resumed', async () => {
+    await expect(resumeTTSPipeline({ sessionId: 'missing' })).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-feed-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+process.env.PUBLIC_BASE_URL = 'https://cdn.example.com';
+
+const { buildFeed, escapeXml, podcastGuid } = await import('../utils/rssFeed.js');
+const { getEpisode, listEpisodes, nextEpisodeNumber, saveEpisode } =
+  await import('../utils/episodes.js');
+
+const FEED_URL = 'https://api.example.com/feeds/weekly.xml';
+
+const show = {
+  id: 'weekly',
+  name: 'Weekly & More',
+  feed: {
+    title: null,
+    description: '',
+    author: 'Ada',
+    ownerName: '',
+    ownerEmail: 'ada@example.com',
+    artwork: 'art/cover.jpg',
+    category: 'Technology',
+    subcategory: 'Podcasting',
+    explicit: false,
+    language: 'en-gb',
+    link: null,
+    type: 'episodic',
+    guid: null,
+    locked: true,
+  },
+};
+
+const episode = {
+  id: 'session-1',
+  title: 'Pilot <1>',
+  description: 'First one',
+  episodeNumber: 1,
+  season: 2,
+  publishedAt: '2026-01-05T10:00:00.000Z',
+  updatedAt: '2026-01-06T10:00:00.000Z',
+  podcastUrl: 'https://cdn.example.com/files/podcast/session-1.mp3',
+  fileSize: 12345,
+  durationSeconds: 61.6,
+  chaptersUrl: 'https://cdn.example.com/files/podcast/session-1.chapters.json',
+  transcripts: [{ url: 'https://cdn.example.com/t.vtt', type: 'text/vtt', rel: 'captions' }],
+};
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('buildFeed', () => {
+  const xml = buildFeed(show, [episode], FEED_URL);
+
+  test('renders the channel with iTunes and Podcasting 2.0 tags', () => {
+    expect(xml).toContain('<title>Weekly &amp; More</title>');
+    expect(xml).toContain(`<link>${FEED_URL}</link>`);
+    expect(xml).toContain(
+      '<itunes:category text="Technology"><itunes:category text="Podcasting"/></itunes:category>'
+    );
+    expect(xml).toContain(
+      '<itunes:image href="https://cdn.example.com/files/assets/art/cover.jpg"/>'
+    );
+    expect(xml).toContain(`<podcast:guid>${podcastGuid(FEED_URL)}</podcast:guid>`);
+    expect(xml).toContain('<podcast:locked owner="ada@example.com">yes</podcast:locked>');
+    expect(xml).toContain('<itunes:name>Ada</itunes:name>');
+  });
+
+  test('renders each episode as an item', () => {
+    expect(xml).toContain('<title>Pilot &lt;1&gt;</title>');
+    expect(xml).toContain('<guid isPermaLink="false">session-1</guid>');
+    expect(xml).toContain(
+      '<enclosure url="https://cdn.example.com/files/podcast/session-1.mp3" length="12345" type="audio/mpeg"/>'
+    );
+    expect(xml).toContain('<itunes:duration>62</itunes:duration>');
+    expect(xml).toContain('<itunes:episode>1</itunes:episode>');
+    expect(xml).toContain('<podcast:season>2</podcast:season>');
+    expect(xml).toContain('type="application/json+chapters"');
+    expect(xml).toContain(
+      '<podcast:transcript url="https://cdn.example.com/t.vtt" type="text/vtt" language="en-gb" rel="captions"/>'
+    );
+  });
+
+  test("asset keys resolve under the show's and episode's tenant", () => {
+    const tenantXml = buildFeed(
+      { ...show, tenant: 'acme' },
+      [{ ...episode, tenant: 'globex', artwork: 'art/ep.jpg' }],
+      FEED_URL
+    );
+    expect(tenantXml).toContain(
+      '<itunes:image href="https://cdn.example.com/files/assets/tenants/acme/art/cover.jpg"/>'
+    );
+    expect(tenantXml).toContain(
+      '<itunes:image href="https://cdn.example.com/files/assets/tenants/globex/art/ep.jpg"/>'
+    );
+  });
+
+  test('an empty show still renders a valid channel', () => {
+    const empty = buildFeed(show, [], FEED_URL);
+    expect(empty).not.toContain('<item>');
+    expect(empty).not.toContain('lastBuildDate');
+    expect(empty.trim().endsWith('</rss>')).toBe(true);
+  });
+});
+
+describe('podcastGuid', () => {
+  test('ignores the scheme and trailing slashes', () => {
+    expect(podcastGuid('https://example.com/feed/')).toBe(podcastGuid('http://example.com/feed'));
+    expect(podcastGuid('https://example.com/feed')).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('escapeXml', () => {
+  test('escapes markup characters', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe(
+      '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;'
+    );
+  });
+});
+
+describe('episode registry', () => {
+  test('concurrent episodes get distinct numbers', async () => {
+    const ids = ['a', 'b', 'c', 'd'];
+    const numbers = await Promise.all(ids.map((id) => nextEpisodeNumber('registry', id)));
+    await Promise.all(ids.map((id) => saveEpisode('registry', { id })));
+
+    expect(new Set(numbers).size).toBe(ids.length);
+    const stored = await listEpisodes('registry');
+    expect(stored.map((e) => e.episodeNumber).sort()).toEqual([...numbers].sort());
+  });
+
+  test('updates keep the episode number and episodes are keyed by tenant', async () => {
+    const first = await saveEpisode('tenants', { id: 's1', tenant: 'acme', title: 'A' });
+    const other = await saveEpisode('tenants', { id: 's1', tenant: 'globex', title: 'B' });
+    const updated = await saveEpisode('tenants', { id: 's1', tenant: 'acme', title: 'A2' });
+
+    expect(other.episodeNumber).toBe(first.episodeNumber + 1);
+    expect(updated.episodeNumber).toBe(first.episodeNumber);
+    expect(await getEpisode('tenants', 's1', 'acme')).toMatchObject({ title: 'A2' });
+    expect(await getEpisode('tenants', 's1', 'globex')).toMatchObject({ title: 'B' });
+    expect(await getEpisode('tenants', 's1')).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+import { chunkScript, convertToSSML, sentenceSpans } from '../utils/ssmlTools.js';
+
+const bytes = (text) => Buffer.byteLength(text, 'utf8');
+const words = (text) =>
+  text
+    .replace(/<[^>]*>/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+function expectWithinLimit(chunks, maxBytes) {
+  for (const chunk of chunks) expect(bytes(convertToSSML(chunk))).toBeLessThanOrEqual(maxBytes);
+}
+
+describe('chunkScript', () => {
+  const wrapper = bytes(convertToSSML(''));
+
+  test('keeps short scripts in one chunk', () => {
+    expect(chunkScript('Hello world. Goodbye.')).toEqual(['Hello world. Goodbye.']);
+  });
+
+  test('every chunk fits the limit and no words are lost', () => {
+    const script = Array.from({ length: 60 }, (_, i) => `Sentence number ${i}, with a clause.`)
+      .join(' ')
+      .concat('\n\nA second paragraph follows here.');
+    const maxBytes = wrapper + 300;
+    const chunks = chunkScript(script, { maxBytes });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expectWithinLimit(chunks, maxBytes);
+    expect(words(chunks.join(' '))).toEqual(words(script));
+  });
+
+  test('prefers paragraph breaks, then sentence ends', () => {
+    const first = 'One two three. Four five six.';
+    const second = 'Seven eight nine.';
+    const maxBytes = bytes(convertToSSML(first)) + 10;
+
+    expect(chunkScript(`${first}\n\n${second}`, { maxBytes })).toEqual([first, second]);
+    expect(chunkScript('Alpha beta gamma. Delta epsilon zeta eta.', { maxBytes })).toEqual([
+      'Alpha beta gamma.',
+      'Delta epsilon zeta eta.',
+    ]);
+  });
+
+  test('abbreviations neither end a sentence nor get a sentence pause', () => {
+    const script = 'Ask Dr. Smith about it today. Then go home now.';
+    expect(chunkScript(script, { maxBytes: wrapper + 60 })).toEqual([
+      'Ask Dr. Smith about it today.',
+      'Then go home now.',
+    ]);
+    expect(convertToSSML('Ask Dr. Smith. Ok')).toContain('Ask Dr. Smith. <break time="400ms"/> Ok');
+  });
+
+  test('closes and reopens elements open at a cut', () => {
+    const script = `<emphasis level="strong">${'word '.repeat(40).trim()}</emphasis>`;
+    const maxBytes = wrapper + 120;
+    const chunks = chunkScript(script, { maxBytes });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expectWithinLimit(chunks, maxBytes);
+    for (const chunk of chunks) {
+      expect(chunk.startsWith('<emphasis level="strong">')).toBe(true);
+      expect(chunk.endsWith('</emphasis>')).toBe(true);
+    }
+  });
+
+  test('splits a single word longer than the limit', () => {
+    const chunks = chunkScript('x'.repeat(500), { maxBytes: wrapper + 100 });
+    expect(chunks.join('')).toBe('x'.repeat(500));
+    expectWithinLimit(chunks, wrapper + 100);
+  });
+
+  test('escapes text outside tags', () => {
+    expect(convertToSSML('Tom & Jerry <3')).toContain('Tom &amp; Jerry &lt;3');
+  });
+
+  test('rejects limits smaller than the SSML wrapper', () => {
+    expect(() => chunkScript('Hi', { maxBytes: 10 })).toThrow('too small');
+  });
+});
+
+describe('sentenceSpans', () => {
+  test('finds sentences without breaking at abbreviations', () => {
+    const text = 'Meet Dr. Who today. Then leave!';
+    expect(sentenceSpans(text).map(({ start, end }) => text.slice(start, end))).toEqual([
+      'Meet Dr. Who today.',
+      'Then leave!',
+    ]);
+  });
+});
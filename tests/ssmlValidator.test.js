@@ -0,0 +1,95 @@
+import { parseProsodyValue, repairSSML, spokenText, validateSSML } from '../utils/ssmlValidator.js';
+
+describe('validateSSML', () => {
+  test('accepts well-formed SSML the provider supports', () => {
+    expect(validateSSML('<speak>Hello <break time="1s"/> world</speak>')).toMatchObject({
+      errors: [],
+      isValid: true,
+      provider: 'google',
+    });
+  });
+
+  test('reports unclosed elements', () => {
+    expect(validateSSML('<speak>Hello <emphasis>x</speak>').errors).toEqual([
+      '<emphasis> is not closed before </speak>',
+    ]);
+  });
+
+  test('unsupported tags are errors in strict mode and warnings otherwise', () => {
+    const ssml = '<speak>Hello <b>x</b></speak>';
+    expect(validateSSML(ssml).errors).toEqual(['<b> is not supported by Google Cloud TTS']);
+    expect(validateSSML(ssml, { strict: false })).toMatchObject({
+      isValid: true,
+      warnings: ['<b> is not supported by Google Cloud TTS'],
+    });
+  });
+
+  test('checks markup against the chosen provider profile', () => {
+    const ssml = '<speak><amazon:breath duration="short"/>hi</speak>';
+    expect(validateSSML(ssml, { provider: 'polly' }).isValid).toBe(true);
+    expect(validateSSML(ssml, { provider: 'google' }).isValid).toBe(false);
+  });
+
+  test('reads prosody values in their units', () => {
+    expect(validateSSML('<speak><prosody rate="-1">hi</prosody></speak>').errors).toEqual([
+      'Invalid prosody rate "-1"',
+    ]);
+    expect(validateSSML('<speak><prosody rate="3">hi</prosody></speak>').warnings).toEqual([
+      'Prosody rate "3" (3x) is outside the recommended range (0.6 to 2x)',
+    ]);
+  });
+
+  test('rejects empty documents and unknown profiles', () => {
+    expect(validateSSML('  ').errors).toEqual(['SSML content is empty']);
+    expect(() => validateSSML('<speak/>', { provider: 'nope' })).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
+
+describe('repairSSML', () => {
+  test('escapes stray ampersands, unwraps unsupported tags and closes open ones', () => {
+    const { ssml, changes, isValid } = repairSSML(
+      '<speak>Tom & Jerry <emphasis>loud <b>x</b></speak>'
+    );
+    expect(ssml).toBe('<speak>Tom &amp; Jerry <emphasis>loud x</emphasis></speak>');
+    expect(changes).toHaveLength(3);
+    expect(isValid).toBe(true);
+  });
+
+  test('drops unmatched closing tags and bad attributes and clamps breaks', () => {
+    const { ssml, changes } = repairSSML(
+      '<speak>a</emphasis><break time="30s"/> b <prosody foo="1">c</prosody></speak>'
+    );
+    expect(ssml).toBe('<speak>a<break time="10s"/> b <prosody>c</prosody></speak>');
+    expect(changes).toEqual([
+      'Removed unmatched </emphasis>',
+      'Changed time="30s" to "10s" on <break>',
+      expect.stringContaining('Removed attribute "foo" from <prosody>'),
+    ]);
+  });
+
+  test('leaves valid SSML unchanged', () => {
+    const ssml = '<speak><p>Hi <break time="500ms"/> there</p></speak>';
+    expect(repairSSML(ssml)).toMatchObject({ ssml, changes: [] });
+  });
+});
+
+describe('parseProsodyValue', () => {
+  test.each([
+    ['-3.0st', { number: -3, unit: 'st', signed: true }],
+    ['85%', { number: 85, unit: '%', signed: false }],
+    ['x-slow', { keyword: 'x-slow' }],
+    ['3 apples', null],
+  ])('%s', (value, expected) => {
+    expect(parseProsodyValue(value)).toEqual(expected);
+  });
+});
+
+describe('spokenText', () => {
+  test('decodes entities and drops tags', () => {
+    expect(spokenText('<speak>Fish &amp; chips<break/>&#233;</speak>').trim()).toBe(
+      'Fish & chips é'
+    );
+  });
+});
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-storage-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+delete process.env.LOCAL_STORAGE_DIR;
+
+const { default: express } = await import('express');
+const { getObject, localStorageRouter, putObject, runAsTenant } =
+  await import('../utils/storage.js');
+const { readSessionManifest, writeSessionManifest } = await import('../utils/textchunksR2.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('tenant storage scope', () => {
+  test("a tenant cannot read another tenant's manifest", async () => {
+    await runAsTenant('tenant-a', () => writeSessionManifest('session-1', { chunks: [] }));
+
+    const own = await runAsTenant('tenant-a', () => readSessionManifest('session-1'));
+    const other = await runAsTenant('tenant-b', () => readSessionManifest('session-1'));
+
+    expect(own).toMatchObject({ sessionId: 'session-1', chunks: [] });
+    expect(other).toBeNull();
+  });
+
+  test('keys with .. are rejected under a tenant prefix', async () => {
+    await expect(
+      runAsTenant('tenant-b', () => getObject('chunks', '../tenant-a/session-1/manifest.json'))
+    ).rejects.toThrow('Invalid storage key');
+  });
+});
+
+describe('private objects', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/files', localStorageRouter());
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/files`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test('manifests are readable through storage but not served publicly', async () => {
+    const url = await writeSessionManifest('session-2', { chunks: [] });
+    await putObject('chunks', 'session-2/chunk_0.mp3', Buffer.from('audio'));
+
+    expect(url).toBe('/api/tts/session-2/manifest');
+    expect(await readSessionManifest('session-2')).toMatchObject({ sessionId: 'session-2' });
+    expect((await fetch(`${baseUrl}/chunks/session-2/manifest.json`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/chunks/session-2/manifest.json.private`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/chunks/session-2/chunk_0.mp3`)).status).toBe(200);
+  });
+
+  test('overwriting a private object as public makes it servable', async () => {
+    await putObject('chunks', 'session-3/notes.txt', 'a', { isPrivate: true });
+    expect((await fetch(`${baseUrl}/chunks/session-3/notes.txt`)).status).toBe(404);
+
+    await putObject('chunks', 'session-3/notes.txt', 'b');
+    expect((await fetch(`${baseUrl}/chunks/session-3/notes.txt`)).status).toBe(200);
+  });
+});
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-synth-cache-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+delete process.env.LOCAL_STORAGE_DIR;
+delete process.env.SYNTH_CACHE;
+process.env.SYNTH_CACHE_TTL_DAYS = '1';
+// 104 bytes: room for two 40-byte chunks
+process.env.SYNTH_CACHE_MAX_MB = '0.0001';
+
+const {
+  clearSynthesisCache,
+  getCachedSynthesis,
+  storeSynthesis,
+  synthesisCacheKey,
+  synthesisCacheStats,
+} = await import('../utils/synthesisCache.js');
+const { getObject, runAsTenant } = await import('../utils/storage.js');
+
+const DAY = 24 * 3600 * 1000;
+const start = Date.parse('2026-01-01T00:00:00Z');
+const audio = (fill) => Buffer.alloc(40, fill);
+const key = (ssml) => synthesisCacheKey({ provider: 'offline', voice: {}, audioConfig: {}, ssml });
+const at = (offset) => jest.setSystemTime(start + offset);
+const store = (name) =>
+  storeSynthesis(key(name), audio(name), { provider: 'offline', durationSeconds: 1 });
+
+beforeEach(async () => {
+  jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+  await clearSynthesisCache();
+});
+
+afterEach(() => jest.useRealTimers());
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('synthesisCacheKey', () => {
+  const parts = { provider: 'google', voice: { name: 'a', languageCode: 'en-US' }, ssml: 'x' };
+
+  test('ignores key order', () => {
+    expect(synthesisCacheKey({ ...parts, voice: { languageCode: 'en-US', name: 'a' } })).toBe(
+      synthesisCacheKey(parts)
+    );
+  });
+
+  test('tenants never share entries', () => {
+    expect(synthesisCacheKey({ ...parts, tenant: 'a' })).not.toBe(synthesisCacheKey(parts));
+    expect(synthesisCacheKey({ ...parts, tenant: 'a' })).not.toBe(
+      synthesisCacheKey({ ...parts, tenant: 'b' })
+    );
+  });
+});
+
+describe('synthesis cache', () => {
+  test('returns stored audio and counts hits and misses', async () => {
+    await store('a');
+    expect(await getCachedSynthesis(key('a'))).toEqual({ audio: audio('a'), durationSeconds: 1 });
+    expect(await getCachedSynthesis(key('b'))).toBeNull();
+    expect(await synthesisCacheStats()).toMatchObject({
+      entries: 1,
+      bytes: 40,
+      hits: 1,
+      misses: 1,
+      hitRate: 0.5,
+    });
+  });
+
+  test('audio is stored outside any tenant prefix', async () => {
+    await runAsTenant('tenant-a', () => store('a'));
+    const stored = await runAsTenant(null, () => getObject('chunks', `cache/${key('a')}.mp3`));
+    expect(stored).toEqual(audio('a'));
+  });
+
+  test('evicts the least recently used entries past the size bound', async () => {
+    await store('a');
+    at(1000);
+    await store('b');
+    at(2000);
+    await getCachedSynthesis(key('a'));
+    at(3000);
+    await store('c');
+
+    expect(await getCachedSynthesis(key('b'))).toBeNull();
+    expect(await getCachedSynthesis(key('a'))).not.toBeNull();
+    expect(await getCachedSynthesis(key('c'))).not.toBeNull();
+    expect(await synthesisCacheStats()).toMatchObject({ entries: 2, bytes: 80, evictions: 1 });
+    const removed = await runAsTenant(null, () => getObject('chunks', `cache/${key('b')}.mp3`));
+    expect(removed).toBeNull();
+  });
+
+  test('entries unused for longer than the TTL expire', async () => {
+    await store('a');
+    at(DAY / 2);
+    expect(await getCachedSynthesis(key('a'))).not.toBeNull();
+    at(DAY / 2 + DAY + 1);
+    expect(await getCachedSynthesis(key('a'))).toBeNull();
+    expect((await synthesisCacheStats()).entries).toBe(0);
+  });
+
+  test('storing evicts expired entries', async () => {
+    await store('a');
+    at(2 * DAY);
+    await store('b');
+    expect(await synthesisCacheStats()).toMatchObject({ entries: 1, evictions: 1 });
+  });
+
+  test('clearing removes every entry and resets the counters', async () => {
+    await store('a');
+    await store('b');
+    expect(await clearSynthesisCache()).toBe(2);
+    expect(await synthesisCacheStats()).toMatchObject({ entries: 0, hits: 0, misses: 0 });
+  });
+});
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-tenant-routes-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+delete process.env.LOCAL_STORAGE_DIR;
+delete process.env.ADMIN_API_KEY;
+delete process.env.AUTH_DISABLED;
+
+const { default: express } = await import('express');
+const { createApiKey } = await import('../utils/apiKeys.js');
+const { authenticate, requireAuth } = await import('../utils/auth.js');
+const { saveShow } = await import('../utils/shows.js');
+const { saveLexiconEntry } = await import('../utils/lexicon.js');
+const { default: ttsRouter } = await import('../routes/tts.js');
+const { default: assetsRouter } = await import('../routes/assets.js');
+const { default: showsRouter } = await import('../routes/shows.js');
+const { default: lexiconRouter } = await import('../routes/lexicon.js');
+
+let server;
+let baseUrl;
+const keys = {};
+
+// Same mounting as index.js for the routes under test
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.use('/api', requireAuth);
+  app.use('/api/tts', ttsRouter);
+  app.use('/api/assets', assetsRouter);
+  app.use('/api/shows', showsRouter);
+  app.use('/api/lexicon', lexiconRouter);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  for (const tenant of ['acme', 'globex']) {
+    keys[tenant] = (
+      await createApiKey({ name: tenant, tenant, scopes: ['synthesize', 'publish'] })
+    ).key;
+  }
+  keys.admin = (await createApiKey({ name: 'ops', scopes: ['admin'] })).key;
+  const acme = { tenant: 'acme', admin: false };
+  await saveShow('acme-weekly', { name: 'Acme Weekly' }, acme);
+  await saveLexiconEntry({ term: 'Nguyen', type: 'phoneme', ph: 'wɪn' });
+  await saveLexiconEntry(
+    { term: 'k8s', type: 'sub', alias: 'kubernetes', show: 'acme-weekly' },
+    undefined,
+    acme
+  );
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, url, tenant, body) {
+  const raw = Buffer.isBuffer(body);
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'x-api-key': keys[tenant],
+      'content-type': raw ? 'audio/mpeg' : 'application/json',
+    },
+    body: raw ? body : body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('POST /api/tts', () => {
+  test("another tenant's show is refused", async () => {
+    const response = await request('POST', '/api/tts', 'globex', {
+      text: 'Hello.',
+      provider: 'offline',
+      show: 'acme-weekly',
+    });
+    expect(response).toEqual({
+      status: 403,
+      body: { error: 'Show "acme-weekly" belongs to another tenant' },
+    });
+  });
+
+  test('shows without a tenant are admin-only', async () => {
+    const response = await request('POST', '/api/tts', 'acme', {
+      text: 'Hello.',
+      show: 'default',
+    });
+    expect(response).toEqual({
+      status: 403,
+      body: { error: 'Only admins may publish into show "default"' },
+    });
+  });
+
+  test('unknown shows are 404', async () => {
+    const response = await request('POST', '/api/tts', 'acme', { text: 'Hi.', show: 'nope' });
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('/api/assets', () => {
+  test('uploads are stored under the tenant and listed only to it', async () => {
+    const upload = await request('PUT', '/api/assets/intros/theme.mp3', 'acme', Buffer.alloc(10));
+    expect(upload.status).toBe(201);
+    expect(upload.body.url).toMatch(/\/files\/assets\/tenants\/acme\/intros\/theme\.mp3$/);
+
+    const own = await request('GET', '/api/assets?prefix=intros/', 'acme');
+    expect(own.body.assets.map((asset) => asset.key)).toEqual(['intros/theme.mp3']);
+    const other = await request('GET', '/api/assets', 'globex');
+    expect(other.body.assets).toEqual([]);
+  });
+
+  test('prefixes cannot leave the tenant', async () => {
+    const response = await request('GET', '/api/assets?prefix=../acme/', 'globex');
+    expect(response).toEqual({ status: 400, body: { error: 'Invalid prefix' } });
+  });
+});
+
+describe('listings', () => {
+  const ids = (items) => items.map((item) => item.id).sort();
+
+  test("GET /api/shows lists only the key's own shows", async () => {
+    expect(ids((await request('GET', '/api/shows', 'acme')).body.shows)).toEqual(['acme-weekly']);
+    expect((await request('GET', '/api/shows', 'globex')).body.shows).toEqual([]);
+    expect(ids((await request('GET', '/api/shows', 'admin')).body.shows)).toEqual([
+      'acme-weekly',
+      'default',
+    ]);
+  });
+
+  test("GET /api/lexicon hides other tenants' show entries", async () => {
+    const stored = (entries) => entries.filter((entry) => !entry.builtIn).map((e) => e.term);
+    expect(stored((await request('GET', '/api/lexicon', 'acme')).body.entries).sort()).toEqual([
+      'Nguyen',
+      'k8s',
+    ]);
+    expect(stored((await request('GET', '/api/lexicon', 'globex')).body.entries)).toEqual([
+      'Nguyen',
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+delete process.env.DEFAULT_VOICE;
+delete process.env.SSML_DATE_FORMAT;
+delete process.env.SSML_TIME_FORMAT;
+delete process.env.SSML_CURRENCIES;
+
+const { normalizeForLocale, registerLocale, resolveNormalizeOptions } =
+  await import('../utils/textNormalizer.js');
+
+const sayAs = (type, text, attrs = '') => `<say-as interpret-as="${type}"${attrs}>${text}</say-as>`;
+
+describe('normalizeForLocale', () => {
+  test('marks up en-GB dates, times, money, ordinals, postcodes and phone numbers', () => {
+    const text =
+      'Meet on 12/03/2024 at 14:30, costs £1,234.56 or £5m. The 21st. ' +
+      'Post to SW1A 1AA or call 020 7946 0958.';
+    expect(normalizeForLocale(text, { locale: 'en-GB' })).toBe(
+      `Meet on ${sayAs('date', '12/03/2024', ' format="dmy"')} at ` +
+        `${sayAs('time', '14:30', ' format="hms24"')}, costs ` +
+        `${sayAs('currency', '£1,234.56', ' language="en-GB"')} or £5m. ` +
+        `The ${sayAs('ordinal', '21')}. Post to ${sayAs('characters', 'SW1A 1AA')} or call ` +
+        `${sayAs('telephone', '020 7946 0958', ' format="44"')}.`
+    );
+  });
+
+  test('uses the locale defaults for en-US', () => {
+    expect(normalizeForLocale('On 12/03/2024 at 2:30pm pay $5.', { locale: 'en-US' })).toBe(
+      `On ${sayAs('date', '12/03/2024', ' format="mdy"')} at ` +
+        `${sayAs('time', '2:30pm', ' format="hms12"')} pay ` +
+        `${sayAs('currency', '$5', ' language="en-US"')}.`
+    );
+  });
+
+  test('request options override the locale defaults', () => {
+    expect(normalizeForLocale('12/03/2024', { locale: 'en-GB', dateFormat: 'mdy' })).toBe(
+      sayAs('date', '12/03/2024', ' format="mdy"')
+    );
+    expect(normalizeForLocale('£5', { locale: 'en-GB', currencies: false })).toBe('£5');
+  });
+
+  test('never touches text that is already marked up', () => {
+    const marked = `Already ${sayAs('date', '12/03/2024')} and <sub alias="x">14:30</sub>`;
+    expect(normalizeForLocale(marked, { locale: 'en-GB' })).toBe(marked);
+  });
+
+  test('is idempotent', () => {
+    const once = normalizeForLocale('Pay £10 on 2024-03-12.', { locale: 'en-GB' });
+    expect(normalizeForLocale(once, { locale: 'en-GB' })).toBe(once);
+  });
+
+  test('falls back to a locale of the same language and skips unknown languages', () => {
+    expect(normalizeForLocale('12/03/2024', { locale: 'en-AU' })).toBe(
+      sayAs('date', '12/03/2024', ' format="dmy"')
+    );
+    expect(normalizeForLocale('12/03/2024', { locale: 'fr-FR' })).toBe('12/03/2024');
+  });
+
+  test('registered locales are used', () => {
+    registerLocale('xx-TEST', {
+      dateFormat: 'ymd',
+      timeFormat: 'hms24',
+      rules: [{ pattern: /\bseven\b/g, render: () => sayAs('cardinal', '7') }],
+    });
+    expect(normalizeForLocale('seven days', { locale: 'xx-TEST' })).toBe(
+      `${sayAs('cardinal', '7')} days`
+    );
+  });
+});
+
+describe('resolveNormalizeOptions', () => {
+  test('accepts false to skip normalisation', () => {
+    expect(resolveNormalizeOptions(false)).toBe(false);
+  });
+
+  test.each([
+    [[], 'normalize must be an object or false'],
+    [{ locale: 'zz-ZZ' }, 'Unknown normalize.locale'],
+    [{ dateFormat: 'xyz' }, 'normalize.dateFormat must be one of dmy, mdy, ymd'],
+    [{ timeFormat: 'h' }, 'normalize.timeFormat'],
+    [{ currencies: 'yes' }, 'normalize.currencies must be a boolean'],
+  ])('rejects %p with 400', (options, message) => {
+    expect(() => resolveNormalizeOptions(options)).toThrow(message);
+    expect(() => resolveNormalizeOptions(options)).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
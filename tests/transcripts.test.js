@@ -0,0 +1,96 @@
+import {
+  buildTranscriptCues,
+  parseSpokenSSML,
+  timeChunkSentences,
+  toSRT,
+  toTranscriptJson,
+  toWebVTT,
+} from '../utils/transcripts.js';
+
+const chunk = {
+  index: 0,
+  ssml: '<speak>Hello there. <break time="1s"/>Bye &amp; now.</speak>',
+  durationSeconds: 5,
+};
+
+describe('parseSpokenSSML', () => {
+  test('returns the spoken text and where pauses fall', () => {
+    expect(parseSpokenSSML(chunk.ssml)).toEqual({
+      text: 'Hello there. Bye & now.',
+      pauses: [{ offset: 13, seconds: 1 }],
+    });
+    expect(parseSpokenSSML('<speak>a<break time="250ms"/>b</speak>').pauses).toEqual([
+      { offset: 1, seconds: 0.25 },
+    ]);
+  });
+});
+
+describe('timeChunkSentences', () => {
+  test('shares speech time by characters and adds break pauses', () => {
+    // 11 + 8 non-blank characters share 4 seconds of speech; the break adds 1s
+    const [first, second] = timeChunkSentences(chunk);
+    const rate = 4 / 19;
+
+    expect(first.text).toBe('Hello there.');
+    expect(first.startTime).toBe(0);
+    expect(first.endTime).toBeCloseTo(11 * rate);
+    expect(second.text).toBe('Bye & now.');
+    expect(second.startTime).toBeCloseTo(11 * rate + 1);
+    expect(second.endTime).toBeCloseTo(5);
+  });
+
+  test('ignores pauses that do not fit in the measured duration', () => {
+    const [, second] = timeChunkSentences({ ...chunk, durationSeconds: 0.5 });
+    expect(second.endTime).toBeCloseTo(0.5);
+  });
+
+  test('returns nothing for silent chunks', () => {
+    expect(timeChunkSentences({ ssml: '<speak><break time="1s"/></speak>' })).toEqual([]);
+  });
+});
+
+describe('buildTranscriptCues', () => {
+  test('offsets chunks by the intro and earlier chunks', () => {
+    const cues = buildTranscriptCues(
+      {
+        chunks: [
+          { index: 0, text: 'One.', durationSeconds: 2 },
+          { index: 1, text: 'Two.', durationSeconds: 3, speaker: 'HOST' },
+        ],
+      },
+      10
+    );
+    expect(cues).toEqual([
+      { startTime: 10, endTime: 12, text: 'One.', chunk: 0, speaker: null },
+      { startTime: 12, endTime: 15, text: 'Two.', chunk: 1, speaker: 'HOST' },
+    ]);
+  });
+});
+
+describe('transcript formats', () => {
+  const cues = [
+    { startTime: 0, endTime: 1.5, text: 'A < B --> C', speaker: null },
+    { startTime: 3661.25, endTime: 3662, text: 'Hi.', speaker: 'HOST' },
+  ];
+
+  test('WebVTT escapes cue text and names speakers with voice spans', () => {
+    expect(toWebVTT(cues)).toBe(
+      'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nA &lt; B -> C\n\n' +
+        '01:01:01.250 --> 01:01:02.000\n<v HOST>Hi.\n'
+    );
+  });
+
+  test('SRT numbers cues and prefixes speakers', () => {
+    expect(toSRT(cues)).toBe(
+      '1\n00:00:00,000 --> 00:00:01,500\nA < B --> C\n\n' +
+        '2\n01:01:01,250 --> 01:01:02,000\nHOST: Hi.\n'
+    );
+  });
+
+  test('JSON segments carry the speaker only when there is one', () => {
+    expect(toTranscriptJson(cues).segments).toEqual([
+      { startTime: 0, endTime: 1.5, body: 'A < B --> C' },
+      { startTime: 3661.25, endTime: 3662, speaker: 'HOST', body: 'Hi.' },
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+import { resolveSpeakers, resolveVoice } from '../utils/ttsProviders.js';
+
+describe('resolveVoice', () => {
+  test('fills in the language code from the voice name', () => {
+    expect(resolveVoice({ name: 'en-US-Neural2-F' })).toEqual({
+      name: 'en-US-Neural2-F',
+      languageCode: 'en-US',
+    });
+  });
+
+  test('takes a string as the voice name', () => {
+    expect(resolveVoice('de-DE-Wavenet-A')).toEqual({
+      name: 'de-DE-Wavenet-A',
+      languageCode: 'de-DE',
+    });
+  });
+
+  test.each([[['en-GB-Wavenet-B']], [null], [42], [{ name: 7 }]])(
+    'rejects %p with 400',
+    (voice) => {
+      expect(() => resolveVoice(voice)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  );
+
+  test('names the speaker in errors', () => {
+    expect(() => resolveSpeakers({ HOST: { voice: ['x'] } }, {})).toThrow(
+      'speakers.HOST.voice must be a voice name or object'
+    );
+  });
+});
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-usage-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'local';
+delete process.env.LOCAL_STORAGE_DIR;
+delete process.env.USAGE_PRICES;
+delete process.env.USAGE_MONTHLY_BUDGET;
+
+const {
+  assertWithinBudget,
+  getBudgets,
+  meterFFmpeg,
+  recordUsage,
+  runWithUsage,
+  saveBudgets,
+  summarizeUsage,
+  usageCost,
+  usagePrices,
+  voiceTier,
+} = await import('../utils/usage.js');
+const { putObject } = await import('../utils/storage.js');
+const { writeSessionManifest } = await import('../utils/textchunksR2.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('pricing', () => {
+  afterEach(() => delete process.env.USAGE_PRICES);
+
+  test('voice names map to billing tiers', () => {
+    expect(voiceTier('google', { name: 'en-GB-Wavenet-B' })).toBe('wavenet');
+    expect(voiceTier('google', { name: 'en-US-Neural2-C' })).toBe('neural2');
+    expect(voiceTier('google', { name: 'en-US-Standard-A' })).toBe('standard');
+    expect(voiceTier('google', { name: 'en-US-Journey-D' })).toBe('premium');
+    expect(voiceTier('offline', { name: 'en-US-Studio-O' })).toBe('offline');
+  });
+
+  test('costs every metric from the price table', () => {
+    const cost = usageCost({
+      ttsCharacters: { wavenet: 1e6, standard: 5e5 },
+      llmPromptTokens: 1e6,
+      llmCompletionTokens: 1e6,
+      storageBytes: 1024 ** 3,
+      ffmpegWallSeconds: 3600,
+    });
+    expect(cost).toEqual({ tts: 18, llm: 0.75, storage: 0.015, ffmpeg: 0, total: 18.765 });
+  });
+
+  test('USAGE_PRICES overrides part of the table', () => {
+    process.env.USAGE_PRICES = JSON.stringify({
+      ttsPerMillionCharacters: { wavenet: 10 },
+      ffmpegPerHour: 1,
+    });
+    const prices = usagePrices();
+    expect(prices.ttsPerMillionCharacters).toMatchObject({ wavenet: 10, studio: 160 });
+    expect(usageCost({ ffmpegWallSeconds: 1800 }, prices).ffmpeg).toBe(0.5);
+  });
+
+  test('invalid USAGE_PRICES falls back to the defaults', () => {
+    process.env.USAGE_PRICES = '{not json';
+    expect(usagePrices().storagePerGB).toBe(0.015);
+  });
+});
+
+describe('metering', () => {
+  test('usage is attributed to the running session, show and key', async () => {
+    await runWithUsage({ sessionId: 's1', show: 'weekly', apiKey: 'k1' }, async () => {
+      await recordUsage({ ttsCharacters: { neural2: 1000 }, ttsRequests: 1 });
+      await Promise.resolve().then(() => recordUsage({ ttsRequests: 1 }));
+    });
+    await runWithUsage({ sessionId: 's2', show: 'daily', apiKey: 'k2' }, () =>
+      recordUsage({ llmPromptTokens: 200 })
+    );
+
+    const byShow = await summarizeUsage({ groupBy: 'show' });
+    expect(byShow.groups).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ show: 'weekly', ttsRequests: 2 }),
+        expect.objectContaining({ show: 'daily', llmPromptTokens: 200 }),
+      ])
+    );
+    const own = await summarizeUsage({ apiKey: 'k1' });
+    expect(own.totals.ttsCharacters.neural2).toBe(1000);
+    expect(own.totals.llmPromptTokens).toBe(0);
+  });
+
+  test('stored audio is metered but manifest rewrites are not', async () => {
+    await runWithUsage({ sessionId: 's3' }, async () => {
+      await putObject('chunks', 's3/chunk_0.mp3', Buffer.alloc(100));
+      for (let i = 0; i < 5; i++) await writeSessionManifest('s3', { chunks: [] });
+    });
+    expect((await summarizeUsage({ sessionId: 's3' })).totals.storageBytes).toBe(100);
+  });
+
+  test('ffmpeg runs are metered as wall-clock seconds', async () => {
+    const run = meterFFmpeg(() => new Promise((resolve) => setTimeout(() => resolve('ok'), 50)));
+    await runWithUsage({ sessionId: 's4' }, async () => expect(await run()).toBe('ok'));
+    const { totals } = await summarizeUsage({ sessionId: 's4' });
+    expect(totals.ffmpegWallSeconds).toBeGreaterThanOrEqual(0.04);
+  });
+
+  test('rejects invalid ranges and groupings', async () => {
+    await expect(summarizeUsage({ from: 'May' })).rejects.toMatchObject({ status: 400 });
+    await expect(summarizeUsage({ groupBy: 'tenant' })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('budgets', () => {
+  test('validates amounts', async () => {
+    await expect(saveBudgets({ total: -1 })).rejects.toMatchObject({ status: 400 });
+    await expect(saveBudgets({ shows: { weekly: 'ten' } })).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  test('a missing total falls back to USAGE_MONTHLY_BUDGET', async () => {
+    process.env.USAGE_MONTHLY_BUDGET = '100';
+    expect((await saveBudgets({ shows: { weekly: 1 } })).total).toBe(100);
+    expect((await saveBudgets({ total: null })).total).toBeNull();
+    delete process.env.USAGE_MONTHLY_BUDGET;
+  });
+
+  test('new work is rejected once a budget it counts against is spent', async () => {
+    // 1000 neural2 characters cost 0.016
+    await saveBudgets({ shows: { weekly: 0.01, daily: 5 }, apiKeys: { k1: 5 } });
+    expect(await getBudgets()).toMatchObject({ total: null, shows: { weekly: 0.01 } });
+
+    await expect(assertWithinBudget({ show: 'weekly' })).rejects.toMatchObject({
+      status: 402,
+      message: expect.stringContaining('show "weekly"'),
+    });
+    await expect(assertWithinBudget({ show: 'daily', apiKey: 'k1' })).resolves.toBeUndefined();
+
+    await saveBudgets({ total: 0 });
+    await expect(assertWithinBudget({})).rejects.toMatchObject({ status: 402 });
+  });
+});
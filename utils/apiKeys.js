@@ -0,0 +1,210 @@
+// utils/apiKeys.js
+// API keys: stored as SHA-256 hashes with their tenant, scopes and limits;
+// the plaintext key is only returned once, when it is created
+
+import crypto from 'crypto';
+import { dataPath, readJSON, writeJSON } from './dataStore.js';
+
+const KEYS_FILE = dataPath('api-keys.json');
+const KEY_PATTERN = /^tts_([0-9a-f]{16})\.([\w-]{43})$/;
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+// lastUsedAt is only persisted this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// admin implies every other scope
+export const API_KEY_SCOPES = ['synthesize', 'publish', 'admin'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function numberFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Effective limits of a key. Keys that don't set their own get API_KEY_RATE_LIMIT
+ * requests per minute (default 100) and API_KEY_MAX_JOBS queued or running jobs
+ * (default 4).
+ * @param {Object} apiKey - Verified key
+ * @returns {Object} - { rateLimit, maxConcurrentJobs }
+ */
+export function keyLimits(apiKey = {}) {
+  return {
+    rateLimit: apiKey.rateLimit || numberFromEnv('API_KEY_RATE_LIMIT', 100),
+    maxConcurrentJobs: apiKey.maxConcurrentJobs || numberFromEnv('API_KEY_MAX_JOBS', 4),
+  };
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+let keys = null;
+// Changes run one at a time so a slow write never replaces a newer list
+let updateQueue = Promise.resolve();
+
+async function loadKeys() {
+  keys ??= readJSON(KEYS_FILE, []);
+  return keys;
+}
+
+// `change` edits the cached list in place; the list is written afterwards
+function updateKeys(change) {
+  const next = updateQueue
+    .catch(() => {})
+    .then(async () => {
+      const list = await loadKeys();
+      const result = await change(list);
+      await writeJSON(KEYS_FILE, list);
+      return result;
+    });
+  updateQueue = next;
+  return next;
+}
+
+// Never expose the hash
+function publicRecord({ hash, ...record }) {
+  return record;
+}
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a key definition.
+ * @param {Object} definition - { name, tenant?, scopes, rateLimit?, maxConcurrentJobs? }
+ * @returns {string[]} - Validation errors
+ */
+export function validateApiKey(definition) {
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['API key must be an object'];
+  }
+  const errors = [];
+  const { name, tenant, scopes, rateLimit, maxConcurrentJobs } = definition;
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    errors.push('name must be 1-100 characters');
+  }
+  if (tenant !== undefined && tenant !== null && !TENANT_PATTERN.test(tenant)) {
+    errors.push('tenant must be lowercase letters, digits and dashes (up to 63)');
+  }
+  if (
+    !Array.isArray(scopes) ||
+    !scopes.length ||
+    scopes.some((scope) => !API_KEY_SCOPES.includes(scope))
+  ) {
+    errors.push(`scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}`);
+  }
+  if (rateLimit !== undefined && rateLimit !== null && !positiveInteger(rateLimit)) {
+    errors.push('rateLimit must be a positive integer (requests per minute)');
+  }
+  if (
+    maxConcurrentJobs !== undefined &&
+    maxConcurrentJobs !== null &&
+    !positiveInteger(maxConcurrentJobs)
+  ) {
+    errors.push('maxConcurrentJobs must be a positive integer');
+  }
+  // Only admin keys may act outside a tenant
+  if (!tenant && Array.isArray(scopes) && !scopes.includes('admin')) {
+    errors.push('tenant is required for keys without the admin scope');
+  }
+  return errors;
+}
+
+/**
+ * Create a key. The plaintext `key` is in the result and nowhere else.
+ * @param {Object} definition - See validateApiKey
+ * @returns {Promise<Object>} - { id, name, tenant, scopes, rateLimit, maxConcurrentJobs,
+ *   createdAt, lastUsedAt, revokedAt, key }
+ */
+export async function createApiKey(definition) {
+  const errors = validateApiKey(definition);
+  if (errors.length) throw httpError(400, `Invalid API key: ${errors.join('; ')}`);
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    name: definition.name.trim(),
+    tenant: definition.tenant || null,
+    scopes: [...new Set(definition.scopes)],
+    rateLimit: definition.rateLimit ?? null,
+    maxConcurrentJobs: definition.maxConcurrentJobs ?? null,
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  await updateKeys((list) => list.push(record));
+  return { ...publicRecord(record), key: `tts_${id}.${secret}` };
+}
+
+/**
+ * List keys (without hashes), revoked ones included.
+ * @returns {Promise<Object[]>}
+ */
+export async function listApiKeys() {
+  return (await loadKeys()).map(publicRecord);
+}
+
+/**
+ * Revoke a key; it stays listed so usage stays attributable.
+ * @param {string} id - Key id
+ * @returns {Promise<Object>} - The revoked key; throws 404 when missing
+ */
+export function revokeApiKey(id) {
+  return updateKeys((list) => {
+    const record = list.find((entry) => entry.id === id);
+    if (!record) throw httpError(404, `API key "${id}" not found`);
+    record.revokedAt ??= new Date().toISOString();
+    return publicRecord(record);
+  });
+}
+
+/**
+ * Resolve a presented key to its record. Returns null for unknown, malformed
+ * or revoked keys. ADMIN_API_KEY is accepted as an admin key without a tenant.
+ * @param {string} presented - Key from the request
+ * @returns {Promise<Object|null>} - { id, name, tenant, scopes, rateLimit, maxConcurrentJobs }
+ */
+export async function verifyApiKey(presented) {
+  if (typeof presented !== 'string' || !presented) return null;
+
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (adminKey && sameHash(hashSecret(presented), hashSecret(adminKey))) {
+    return { id: 'admin', name: 'ADMIN_API_KEY', tenant: null, scopes: ['admin'] };
+  }
+
+  const match = KEY_PATTERN.exec(presented);
+  if (!match) return null;
+  const [, id, secret] = match;
+  const list = await loadKeys();
+  const record = list.find((entry) => entry.id === id);
+  if (!record || record.revokedAt || !sameHash(hashSecret(secret), record.hash)) return null;
+
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    record.lastUsedAt = new Date(now).toISOString();
+    updateKeys(() => {}).catch(() => {});
+  }
+  return publicRecord(record);
+}
+
+/**
+ * Whether a key grants a scope (admin grants all of them).
+ * @param {Object} apiKey - Verified key
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {boolean}
+ */
+export function hasScope(apiKey, scope) {
+  return Boolean(apiKey?.scopes?.includes('admin') || apiKey?.scopes?.includes(scope));
+}
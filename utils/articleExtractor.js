@@ -0,0 +1,247 @@
+// utils/articleExtractor.js
+// Readability-style main-content extraction: scores blocks by their paragraph
+// text and keeps the best one, dropping menus, banners and comments
+
+import { load } from 'cheerio';
+
+// Never part of an article
+const STRIP_SELECTOR = [
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'iframe',
+  'svg',
+  'canvas',
+  'form',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'nav',
+  'footer',
+  'aside',
+  'dialog',
+  '[hidden]',
+  '[aria-hidden="true"]',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="complementary"]',
+  '[role="dialog"]',
+].join(', ');
+
+const UNLIKELY =
+  /ad-|ads|advert|banner|breadcrumb|combx|comment|consent|cookie|community|disqus|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skip|social|sponsor|subscribe|tags|tool|widget/i;
+const MAYBE = /and|article|body|column|content|main|post|shadow|story|text/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog/i;
+const NEGATIVE =
+  /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const CANDIDATE_TAGS = new Set(['div', 'article', 'section', 'main', 'td', 'blockquote', 'pre']);
+const TAG_WEIGHTS = { article: 10, main: 10, div: 5, section: 3, pre: 3, td: 3, blockquote: 3 };
+const PARAGRAPH_SELECTOR = 'p, pre, h2, h3, h4, blockquote, li';
+const MIN_PARAGRAPH_LENGTH = 25;
+const BYLINE_SELECTOR = '[rel="author"], [itemprop="author"], .byline, .author, [class*="byline"]';
+
+function cleanInline(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function classWeight(node) {
+  const names = `${node.attribs?.class || ''} ${node.attribs?.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE.test(names)) weight -= 25;
+  if (POSITIVE.test(names)) weight += 25;
+  return weight;
+}
+
+function linkDensity($, el) {
+  const length = cleanInline($(el).text()).length;
+  if (!length) return 0;
+  const linked = $(el)
+    .find('a')
+    .toArray()
+    .reduce((sum, a) => sum + cleanInline($(a).text()).length, 0);
+  return linked / length;
+}
+
+function readJsonLd($) {
+  const items = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const data = JSON.parse($(el).text());
+      const queue = Array.isArray(data) ? data : [data];
+      while (queue.length) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') continue;
+        if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+        items.push(item);
+      }
+    } catch {
+      // Malformed blocks are common and carry nothing we need
+    }
+  });
+  return items.find((item) => /Article|Posting|Report/i.test([].concat(item['@type']).join(' ')));
+}
+
+function meta($, ...names) {
+  for (const name of names) {
+    const content = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`)
+      .first()
+      .attr('content');
+    if (content && content.trim()) return content.trim();
+  }
+  return null;
+}
+
+function personName(author) {
+  const names = []
+    .concat(author || [])
+    .map((a) => (typeof a === 'string' ? a : a?.name))
+    .filter(Boolean);
+  return names.length ? names.join(', ') : null;
+}
+
+function findTitle($, ld) {
+  const title =
+    meta($, 'og:title', 'twitter:title') || ld?.headline || cleanInline($('h1').first().text());
+  if (title) return cleanInline(title);
+  // "Story title | Site name" -> "Story title"
+  const documentTitle = cleanInline($('title').first().text());
+  return documentTitle.split(/\s+[|–—-]\s+/)[0] || null;
+}
+
+function findByline($, ld) {
+  const byline =
+    meta($, 'author', 'article:author', 'parsely-author', 'sailthru.author') ||
+    personName(ld?.author) ||
+    cleanInline($(BYLINE_SELECTOR).first().text());
+  return byline && !/^https?:\/\//.test(byline) ? byline.replace(/^by\s+/i, '') : null;
+}
+
+function findPublishedAt($, ld) {
+  const raw =
+    meta(
+      $,
+      'article:published_time',
+      'datePublished',
+      'pubdate',
+      'publishdate',
+      'date',
+      'dc.date'
+    ) ||
+    ld?.datePublished ||
+    $('time[datetime]').first().attr('datetime') ||
+    null;
+  if (!raw) return null;
+  const parsed = new Date(raw);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+function removeUnlikely($) {
+  $('*').each((_, el) => {
+    if (el.name === 'body' || el.name === 'html' || el.name === 'article' || el.name === 'main') {
+      return;
+    }
+    const names = `${el.attribs?.class || ''} ${el.attribs?.id || ''} ${el.attribs?.role || ''}`;
+    if (UNLIKELY.test(names) && !MAYBE.test(names)) $(el).remove();
+  });
+}
+
+// Paragraph text is credited to its parent and half to its grandparent;
+// the best-scoring block, adjusted for link density, is the article
+function topCandidate($) {
+  const scores = new Map();
+  const credit = (node, amount) => {
+    if (!node || !CANDIDATE_TAGS.has(node.name)) return;
+    if (!scores.has(node)) scores.set(node, (TAG_WEIGHTS[node.name] || 0) + classWeight(node));
+    scores.set(node, scores.get(node) + amount);
+  };
+
+  $('p, pre, td').each((_, el) => {
+    const text = cleanInline($(el).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+    const score = 1 + text.split(/[,،，]/).length + Math.min(Math.floor(text.length / 100), 3);
+    credit(el.parent, score);
+    credit(el.parent?.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, node));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best ? { node: best, score: bestScore, scores } : null;
+}
+
+function collectParagraphs($, roots) {
+  const paragraphs = [];
+  for (const root of roots) {
+    const blocks = $(root).is(PARAGRAPH_SELECTOR)
+      ? $(root)
+      : $(root).find(PARAGRAPH_SELECTOR).addBack(PARAGRAPH_SELECTOR);
+    blocks.each((_, el) => {
+      // Nested blocks (a <p> in a <blockquote>, a list in a list) are read once
+      if ($(el).parents(PARAGRAPH_SELECTOR).length) return;
+      const text = cleanInline($(el).text());
+      const heading = /^h[2-4]$/.test(el.name);
+      if (!text || linkDensity($, el) > 0.5) return;
+      if (!heading && el.name !== 'li' && text.length < MIN_PARAGRAPH_LENGTH / 2) return;
+      paragraphs.push(text);
+    });
+  }
+  return paragraphs.filter((text, i) => text !== paragraphs[i - 1]);
+}
+
+/**
+ * Extract the main article from an HTML page.
+ * @param {string} html - Page HTML
+ * @returns {Object} - { title, byline, publishedAt (ISO or null), paragraphs, text, wordCount }
+ */
+export function extractArticle(html) {
+  const $ = load(html || '');
+  const ld = readJsonLd($);
+  const title = findTitle($, ld);
+  const byline = findByline($, ld);
+  const publishedAt = findPublishedAt($, ld);
+
+  $(STRIP_SELECTOR).remove();
+  // Bylines are returned separately; longer author blocks are bios
+  $(BYLINE_SELECTOR)
+    .filter((_, el) => cleanInline($(el).text()).length < 100)
+    .remove();
+  removeUnlikely($);
+
+  const candidate = topCandidate($);
+  let roots = [$('body').get(0) || $.root().get(0)];
+  if (candidate) {
+    // Siblings that scored well (split article bodies) are kept with it
+    const threshold = Math.max(10, candidate.score * 0.2);
+    roots = $(candidate.node.parent)
+      .children()
+      .toArray()
+      .filter(
+        (el) =>
+          el === candidate.node ||
+          (candidate.scores.get(el) ?? -Infinity) * (1 - linkDensity($, el)) >= threshold
+      );
+  }
+
+  const paragraphs = collectParagraphs($, roots);
+  // A repeated headline adds nothing when the text is read out
+  if (paragraphs[0] && paragraphs[0] === title) paragraphs.shift();
+  const text = paragraphs.join('\n\n');
+  return {
+    title,
+    byline,
+    publishedAt,
+    paragraphs,
+    text,
+    wordCount: text ? text.split(/\s+/).length : 0,
+  };
+}
@@ -1,6 +1,7 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
-const execPromise = promisify(exec);
+import { meterFFmpeg } from './usage.js';
+const execPromise = meterFFmpeg(promisify(exec));
 
 export async function applyVoiceEnhancements(inputPath) {
   const effects = [];
@@ -0,0 +1,119 @@
+// utils/auth.js
+// Express middleware for API key authentication, scopes and per-key job quotas
+
+import { hasScope, keyLimits, verifyApiKey } from './apiKeys.js';
+import { countActiveJobs } from './jobStore.js';
+import logger from './logger.js';
+import { runAsTenant } from './storage.js';
+
+/**
+ * AUTH_DISABLED=true lets every request through as an admin without a tenant,
+ * for local development.
+ * @returns {boolean}
+ */
+export function authDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+function presentedKey(req) {
+  const header = req.get('authorization');
+  const bearer = header && /^Bearer\s+(\S+)$/i.exec(header);
+  return bearer ? bearer[1] : req.get('x-api-key');
+}
+
+/**
+ * Resolve the request's API key (Authorization: Bearer <key> or X-API-Key) to
+ * `req.apiKey` and run the rest of the request in its tenant's storage scope.
+ * Never rejects by itself; requireAuth and requireScope do that, so public
+ * routes mounted after it keep working.
+ */
+export async function authenticate(req, _res, next) {
+  const key = presentedKey(req);
+  req.apiKey = null;
+
+  try {
+    req.apiKey = key ? await verifyApiKey(key) : null;
+  } catch (error) {
+    logger.error('API key lookup failed', { error: error.message });
+  }
+  if (key && !req.apiKey) req.authError = 'Invalid or revoked API key';
+
+  runAsTenant(req.apiKey?.tenant ?? null, next);
+}
+
+/**
+ * Reject requests without a valid API key with 401.
+ */
+export function requireAuth(req, res, next) {
+  if (req.apiKey || authDisabled()) return next();
+  res.status(401).json({ error: req.authError || 'Missing API key' });
+}
+
+/**
+ * Reject requests whose key lacks `scope` with 403 (admin keys have every scope).
+ * @param {string} scope - synthesize | publish | admin
+ * @returns {Function} - Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (authDisabled() || hasScope(req.apiKey, scope)) return next();
+    if (!req.apiKey) return res.status(401).json({ error: req.authError || 'Missing API key' });
+    res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+  };
+}
+
+/**
+ * Throw 403 unless the request's key has `scope`, for scopes that depend on the body.
+ * @param {Object} req - Express request
+ * @param {string} scope - synthesize | publish | admin
+ */
+export function assertScope(req, scope) {
+  if (authDisabled() || hasScope(req.apiKey, scope)) return;
+  const error = new Error(`API key lacks the "${scope}" scope`);
+  error.status = 403;
+  throw error;
+}
+
+/**
+ * Whether the request may see every tenant's data.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function isAdmin(req) {
+  return authDisabled() || hasScope(req.apiKey, 'admin');
+}
+
+/**
+ * Throw 429 when the request's key already has its maximum of queued or
+ * running jobs.
+ * @param {Object} req - Express request
+ */
+export function assertJobQuota(req) {
+  if (!req.apiKey) return;
+  const { maxConcurrentJobs } = keyLimits(req.apiKey);
+  if (countActiveJobs(req.apiKey.id) >= maxConcurrentJobs) {
+    const error = new Error(
+      `API key already has ${maxConcurrentJobs} queued or running jobs; wait for one to finish`
+    );
+    error.status = 429;
+    throw error;
+  }
+}
+
+/**
+ * Who is acting, for ownership checks on shared records (shows, lexicon).
+ * @param {Object} req - Express request
+ * @returns {Object} - { tenant, admin }
+ */
+export function requestActor(req) {
+  return { tenant: req.apiKey?.tenant ?? null, admin: isAdmin(req) };
+}
+
+/**
+ * Job fields that tie a new job to the request's key and tenant.
+ * @param {Object} req - Express request
+ * @returns {Object} - { apiKey, tenant }
+ */
+export function jobOwner(req) {
+  return { apiKey: req.apiKey?.id ?? null, tenant: req.apiKey?.tenant ?? null };
+}
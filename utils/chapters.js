@@ -0,0 +1,84 @@
+// utils/chapters.js
+// Script sections ("# Heading" lines) and the chapter markers derived from them
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Split a script into sections at markdown-style heading lines. Headings
+ * are chapter titles and are not spoken. Text before the first heading
+ * becomes an untitled section.
+ * @param {string} text - Script
+ * @returns {Object[]} - [{ title, text }] (sections without text are dropped)
+ */
+export function parseScriptSections(text) {
+  const sections = [{ title: null, lines: [] }];
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.trim().match(HEADING_PATTERN);
+    if (heading) sections.push({ title: heading[1], lines: [] });
+    else sections.at(-1).lines.push(line);
+  }
+
+  return sections
+    .map(({ title, lines }) => ({ title, text: lines.join('\n').trim() }))
+    .filter((section) => section.text);
+}
+
+/**
+ * Start time of each section within the narration, from the measured
+ * durations of the chunks recorded in a session manifest.
+ * @param {Object} manifest - Session manifest ({ sections, chunks })
+ * @returns {Object[]} - [{ title, startTime }] in seconds from the start of the
+ *   narration; empty when the script had no headings
+ */
+export function sectionStartTimes(manifest) {
+  const sections = manifest?.sections || [];
+  if (!sections.some((section) => section.title)) return [];
+
+  const starts = new Map();
+  let offset = 0;
+  for (const chunk of manifest.chunks) {
+    if (!starts.has(chunk.section)) starts.set(chunk.section, offset);
+    offset += chunk.durationSeconds || 0;
+  }
+
+  return sections
+    .filter((section) => starts.has(section.index))
+    .map((section) => ({ title: section.title, startTime: starts.get(section.index) }));
+}
+
+/**
+ * Place narration sections on the episode timeline.
+ * @param {Object[]} sections - [{ title, startTime }] relative to the narration
+ * @param {Object} options - { contentStart, duration, fallbackTitle }; contentStart is
+ *   where the narration begins in the episode, duration the episode length
+ * @returns {Object[]} - [{ title, startTime, endTime }] in seconds. The first chapter
+ *   starts at 0 so it covers the intro.
+ */
+export function buildChapters(
+  sections,
+  { contentStart, duration, fallbackTitle = 'Introduction' }
+) {
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+  const starts = sections.map((section, i) =>
+    i === 0 ? 0 : round(Math.min(contentStart + section.startTime, duration))
+  );
+
+  return sections.map((section, i) => ({
+    title: section.title || fallbackTitle,
+    startTime: starts[i],
+    endTime: i + 1 < sections.length ? starts[i + 1] : round(duration),
+  }));
+}
+
+/**
+ * Podcasting 2.0 JSON chapters document.
+ * @param {Object[]} chapters - [{ title, startTime }]
+ * @returns {Object} - { version, chapters }
+ */
+export function toChaptersJson(chapters) {
+  return {
+    version: '1.2.0',
+    chapters: chapters.map(({ title, startTime }) => ({ startTime, title })),
+  };
+}
@@ -1,101 +1,282 @@
 // utils/chatgptSSMLGenerator.js
-// Minimal-token hybrid SSML enhancer with retry + cache
+// Optional LLM pass over deterministic SSML (any OpenAI-compatible endpoint),
+// cached on disk and gated by validation and a spoken-word check
 
 import axios from "axios";
 import { buildDeterministicSSMLChunks } from "./ssmlTools.js";
+import { spokenText, validateSSML } from "./ssmlValidator.js";
+import { cacheKey, getCached, setCached } from "./ssmlCache.js";
+import { recordUsage } from "./usage.js";
+import logger from "./logger.js";
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
-const _cache = new Map();
+// deterministic: no LLM; hybrid: the LLM refines the deterministic SSML;
+// chatgpt: the LLM writes SSML from the chunk text
+export const SSML_MODES = ["deterministic", "hybrid", "chatgpt"];
+export const ENHANCE_FIELDS = ["mode", "baseUrl", "model", "prompt", "temperature"];
 
-// Hardcoded settings
-const SSML_MODE = "hybrid"; // deterministic | hybrid | chatgpt
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_TEMPERATURE = 0.3;
 const MAX_SSML_CHUNK_BYTES = 3400;
-const OPENAI_MODEL = "gpt-4o-mini";
-const GPT_TEMPERATURE = 0.3;
+const MAX_PROMPT_LENGTH = 4000;
 
-function headers() {
+const DEFAULT_PROMPTS = {
+  hybrid:
+    "You are a voice SSML assistant. Take valid SSML input and make small refinements: add <emphasis>, <break>, or <prosody> only where useful. Do not change meaning. Do not add, remove or reword any spoken words. Reply with the SSML document only.",
+  chatgpt:
+    "You are a voice SSML assistant. Turn the user's text into one SSML <speak> document for a podcast narrator, adding <emphasis>, <break> or <prosody> where useful and keeping any tags already present. Keep every word exactly as written and in order. Reply with the SSML document only.",
+};
+
+function configuredBaseUrl() {
+  return process.env.LLM_BASE_URL || DEFAULT_BASE_URL;
+}
+
+function trimBaseUrl(url) {
+  return String(url).trim().replace(/\/+$/, "");
+}
+
+/**
+ * Base URLs a request or show may choose: LLM_BASE_URL plus the comma-separated
+ * LLM_ALLOWED_BASE_URLS. Anything else is refused so callers can't point the
+ * server at internal addresses.
+ * @returns {string[]} - Base URLs without trailing slashes
+ */
+export function allowedBaseUrls() {
+  const extra = (process.env.LLM_ALLOWED_BASE_URLS || "").split(",").filter((url) => url.trim());
+  return [configuredBaseUrl(), ...extra].map(trimBaseUrl);
+}
+
+/**
+ * Validate LLM enhancement settings (a request's `enhance` or a show's).
+ * Every field may be null to fall through to the next layer.
+ * @param {Object} options - { mode, baseUrl, model, prompt, temperature }
+ * @param {string} label - Prefix for error messages
+ * @returns {string[]} - Validation errors
+ */
+export function validateEnhanceOptions(options, label = "enhance") {
+  if (options === null || typeof options !== "object" || Array.isArray(options)) {
+    return [`${label} must be an object`];
+  }
+  const errors = [];
+  const set = (key) => options[key] !== undefined && options[key] !== null;
+
+  for (const key of Object.keys(options)) {
+    if (!ENHANCE_FIELDS.includes(key)) {
+      errors.push(`Unknown field ${label}.${key}. Allowed: ${ENHANCE_FIELDS.join(", ")}`);
+    }
+  }
+  if (set("mode") && !SSML_MODES.includes(options.mode)) {
+    errors.push(`${label}.mode must be one of ${SSML_MODES.join(", ")}`);
+  }
+  if (set("baseUrl") && !/^https?:\/\/[^\s]+$/i.test(String(options.baseUrl))) {
+    errors.push(`${label}.baseUrl must be an http(s) URL`);
+  } else if (set("baseUrl") && !allowedBaseUrls().includes(trimBaseUrl(options.baseUrl))) {
+    errors.push(`${label}.baseUrl must be LLM_BASE_URL or listed in LLM_ALLOWED_BASE_URLS`);
+  }
+  if (set("model") && (typeof options.model !== "string" || !options.model.trim())) {
+    errors.push(`${label}.model must be a non-empty string`);
+  }
+  if (
+    set("prompt") &&
+    (typeof options.prompt !== "string" || options.prompt.length > MAX_PROMPT_LENGTH)
+  ) {
+    errors.push(`${label}.prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  if (
+    set("temperature") &&
+    (typeof options.temperature !== "number" ||
+      !(options.temperature >= 0 && options.temperature <= 2))
+  ) {
+    errors.push(`${label}.temperature must be a number between 0 and 2`);
+  }
+  return errors;
+}
+
+/**
+ * Validate the `enhance` option of a synthesis request.
+ * @param {Object} [options] - See validateEnhanceOptions
+ * @returns {Object} - The options ({} when omitted)
+ */
+export function resolveEnhanceRequest(options = {}) {
+  const errors = validateEnhanceOptions(options);
+  if (errors.length) {
+    const error = new Error(`Invalid enhance options: ${errors.join("; ")}`);
+    error.status = 400;
+    throw error;
+  }
+  return options;
+}
+
+/**
+ * Merge enhancement settings: request, then show, then SSML_MODE / LLM_BASE_URL /
+ * LLM_MODEL / LLM_PROMPT, then defaults. OPENAI_API_KEY is only sent to the
+ * configured base URL, never to one supplied by a request or show.
+ * @param {...Object} layers - Settings, highest priority first (null entries skipped)
+ * @returns {Object} - { mode, baseUrl, model, prompt, temperature, apiKey }
+ */
+export function resolveEnhanceConfig(...layers) {
+  const pick = (key) =>
+    layers.map((layer) => layer?.[key]).find((value) => value !== undefined && value !== null);
+
+  const mode = pick("mode") ?? (process.env.SSML_MODE || "deterministic");
+  const baseUrl = trimBaseUrl(pick("baseUrl") ?? configuredBaseUrl());
   return {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${OPENAI_API_KEY}`,
+    mode: SSML_MODES.includes(mode) ? mode : "deterministic",
+    baseUrl,
+    model: pick("model") ?? (process.env.LLM_MODEL || DEFAULT_MODEL),
+    prompt: pick("prompt") ?? (process.env.LLM_PROMPT || null),
+    temperature: pick("temperature") ?? DEFAULT_TEMPERATURE,
+    apiKey:
+      baseUrl === trimBaseUrl(configuredBaseUrl()) ? process.env.OPENAI_API_KEY || null : null,
   };
 }
 
-async function callOpenAIChunk(text) {
-  const cached = _cache.get(text);
-  if (cached) return cached;
+async function requestCompletion(input, config) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
 
   let attempt = 0;
   while (attempt < 5) {
     try {
       const resp = await axios.post(
-        "https://api.openai.com/v1/chat/completions",
+        `${config.baseUrl}/chat/completions`,
         {
-          model: OPENAI_MODEL,
-          temperature: GPT_TEMPERATURE,
+          model: config.model,
+          temperature: config.temperature,
           messages: [
-            {
-              role: "system",
-              content:
-                "You are a voice SSML assistant. Take valid SSML input and make small refinements: add <emphasis>, <break>, or <prosody> only where useful. Do not change meaning.",
-            },
-            { role: "user", content: text },
+            { role: "system", content: config.prompt || DEFAULT_PROMPTS[config.mode] },
+            { role: "user", content: input },
           ],
         },
-        { headers: headers(), timeout: 30000 }
+        { headers, timeout: 30000 }
       );
-
-      const content = resp?.data?.choices?.[0]?.message?.content || "";
-      _cache.set(text, content);
-      return content;
+      const usage = resp?.data?.usage;
+      recordUsage({
+        llmRequests: 1,
+        llmPromptTokens: usage?.prompt_tokens || 0,
+        llmCompletionTokens: usage?.completion_tokens || 0,
+      });
+      return resp?.data?.choices?.[0]?.message?.content || "";
     } catch (err) {
-      if (
-        err.response &&
-        err.response.status === 429 &&
-        attempt < 4
-      ) {
-        const retryAfter = parseInt(
-          err.response.headers["retry-after"] || "2",
-          10
-        );
+      if (err.response && err.response.status === 429 && attempt < 4) {
+        const retryAfter = parseInt(err.response.headers["retry-after"] || "2", 10);
         const backoff = Math.pow(2, attempt) * 1000 + retryAfter * 1000;
         await new Promise((res) => setTimeout(res, backoff));
         attempt++;
         continue;
       }
-      console.error("OpenAI call failed:", err.message);
-      return text;
+      logger.warn("LLM SSML request failed", { baseUrl: config.baseUrl, error: err.message });
+      return null;
     }
   }
-  return text;
+  return null;
+}
+
+// Responses are cached by everything that shapes them, rejected ones
+// included, so the same chunk is never sent twice
+async function callLLM(input, config) {
+  const key = cacheKey({
+    baseUrl: config.baseUrl,
+    model: config.model,
+    prompt: config.prompt || DEFAULT_PROMPTS[config.mode],
+    temperature: config.temperature,
+    input,
+  });
+  const cached = await getCached(key);
+  if (cached !== null) return cached;
+
+  const content = await requestCompletion(input, config);
+  if (content !== null) await setCached(key, content);
+  return content;
+}
+
+// Models often wrap the document in a Markdown code fence or add prose
+function extractSSML(content) {
+  const unfenced = (content || "").replace(/```(?:xml|ssml)?/gi, "");
+  const start = unfenced.indexOf("<speak");
+  const end = unfenced.lastIndexOf("</speak>");
+  return start === -1 || end < start ? null : unfenced.slice(start, end + "</speak>".length);
 }
 
-export async function generateDynamicSSML(text) {
-  const baseChunks = buildDeterministicSSMLChunks(text, MAX_SSML_CHUNK_BYTES);
+function spokenWords(ssml) {
+  return (
+    spokenText(ssml)
+      .toLowerCase()
+      .replace(/’/g, "'")
+      .match(/[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu) || []
+  );
+}
 
-  if (SSML_MODE === "deterministic" || !OPENAI_API_KEY) {
-    return baseChunks;
+/**
+ * Gate for LLM output: it must fit the byte limit, validate against the
+ * provider profile and speak exactly the same words as the original.
+ * @param {string|null} refined - Candidate SSML
+ * @param {string} original - Deterministic SSML
+ * @param {Object} options - { provider, maxBytes }
+ * @returns {Object} - { ok, reason }
+ */
+export function checkRefinedSSML(refined, original, { provider = "google", maxBytes }) {
+  if (!refined) return { ok: false, reason: "no SSML document in the response" };
+  if (Buffer.byteLength(refined, "utf8") > maxBytes) {
+    return { ok: false, reason: `longer than ${maxBytes} bytes` };
   }
+  const { errors } = validateSSML(refined, { provider });
+  if (errors.length) return { ok: false, reason: `invalid SSML: ${errors[0]}` };
 
-  if (SSML_MODE === "chatgpt") {
-    const out = [];
-    for (const ch of baseChunks) {
-      out.push(await callOpenAIChunk(ch));
-    }
-    return out;
+  const before = spokenWords(original);
+  const after = spokenWords(refined);
+  const index = before.findIndex((word, i) => word !== after[i]);
+  if (index !== -1 || after.length !== before.length) {
+    const at = index === -1 ? before.length : index;
+    return {
+      ok: false,
+      reason: `spoken words changed at word ${at + 1} ("${before[at] ?? ""}" -> "${after[at] ?? ""}")`,
+    };
+  }
+  return { ok: true, reason: null };
+}
+
+/**
+ * Run one chunk through the LLM and keep the result only if it passes
+ * checkRefinedSSML; otherwise the deterministic SSML is used.
+ * @param {string} ssml - Deterministic SSML for the chunk
+ * @param {string} text - The chunk text (input in "chatgpt" mode)
+ * @param {Object} config - See resolveEnhanceConfig
+ * @param {Object} options - { provider, maxBytes }
+ * @returns {Promise<Object>} - { ssml, enhanced, reason }
+ */
+export async function enhanceChunkSSML(
+  ssml,
+  text,
+  config,
+  { provider = "google", maxBytes = MAX_SSML_CHUNK_BYTES } = {}
+) {
+  if (config.mode === "deterministic") return { ssml, enhanced: false, reason: null };
+  if (config.baseUrl === DEFAULT_BASE_URL && !config.apiKey) {
+    return { ssml, enhanced: false, reason: "OPENAI_API_KEY is not set" };
   }
 
-  // hybrid mode
+  const content = await callLLM(config.mode === "hybrid" ? ssml : text, config);
+  const refined = extractSSML(content);
+  const { ok, reason } = checkRefinedSSML(refined, ssml, { provider, maxBytes });
+  if (!ok) {
+    logger.warn("LLM SSML rejected", { model: config.model, reason });
+    return { ssml, enhanced: false, reason };
+  }
+  return { ssml: refined, enhanced: true, reason: null };
+}
+
+/**
+ * Deterministic SSML chunks for a text, each optionally refined by the LLM.
+ * @param {string} text - Plain text
+ * @param {Object} [options] - Enhancement settings (see resolveEnhanceConfig)
+ * @returns {Promise<string[]>} - SSML documents
+ */
+export async function generateDynamicSSML(text, options = {}) {
+  const config = resolveEnhanceConfig(options);
   const out = [];
-  for (const ch of baseChunks) {
-    const refined = await callOpenAIChunk(ch);
-    if (
-      Buffer.byteLength(refined, "utf8") <= MAX_SSML_CHUNK_BYTES &&
-      refined.includes("<speak>")
-    ) {
-      out.push(refined);
-    } else {
-      out.push(ch);
-    }
+  for (const chunk of buildDeterministicSSMLChunks(text, MAX_SSML_CHUNK_BYTES)) {
+    out.push((await enhanceChunkSSML(chunk, spokenText(chunk), config)).ssml);
   }
   return out;
 }
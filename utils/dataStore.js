@@ -0,0 +1,59 @@
+// utils/dataStore.js
+// Small JSON-on-disk persistence for service state (jobs, registries, settings)
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+/**
+ * Resolve a path inside the data directory.
+ * @param {...string} parts - Path segments relative to DATA_DIR
+ * @returns {string} - Absolute path
+ */
+export function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * Read a JSON file, returning `fallback` when it does not exist yet.
+ * @param {string} filePath - Absolute path
+ * @param {*} fallback - Value returned for a missing file
+ * @returns {Promise<*>} - Parsed contents
+ */
+export async function readJSON(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated document behind.
+ * @param {string} filePath - Absolute path
+ * @param {*} data - Serializable value
+ */
+export async function writeJSON(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * List the JSON documents in a data subdirectory.
+ * @param {string} dirPath - Absolute path
+ * @returns {Promise<string[]>} - Absolute paths of *.json files
+ */
+export async function listJSON(dirPath) {
+  try {
+    const names = await fs.readdir(dirPath);
+    return names.filter((n) => n.endsWith('.json')).map((n) => path.join(dirPath, n));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
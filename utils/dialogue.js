@@ -0,0 +1,29 @@
+// utils/dialogue.js
+// Dialogue scripts: "HOST: ..." / "GUEST: ..." lines split into speaker turns
+
+const SPEAKER_LINE = /^\s*([A-Za-z][\w .'-]{0,31}?)\s*:\s*(.*)$/;
+export const SPEAKER_NAME_PATTERN = /^[A-Za-z][\w .'-]{0,31}$/;
+
+/**
+ * Split script text into speaker turns. A line starting with a known speaker
+ * name and a colon opens a new turn; other lines continue the current turn.
+ * Text before the first speaker line has no speaker (default voice).
+ * @param {string} text - Script text
+ * @param {string[]} speakerNames - Speakers from the voice map (matched case-insensitively)
+ * @returns {Object[]} - [{ speaker, text }] in script order
+ */
+export function parseDialogueTurns(text, speakerNames) {
+  const byLowerName = new Map(speakerNames.map((name) => [name.toLowerCase(), name]));
+  const turns = [{ speaker: null, lines: [] }];
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(SPEAKER_LINE);
+    const speaker = match && byLowerName.get(match[1].toLowerCase());
+    if (speaker) turns.push({ speaker, lines: [match[2]] });
+    else turns.at(-1).lines.push(line);
+  }
+
+  return turns
+    .map(({ speaker, lines }) => ({ speaker, text: lines.join('\n').trim() }))
+    .filter((turn) => turn.text);
+}
@@ -0,0 +1,410 @@
+// utils/documentScript.js
+// Markdown and HTML scripts read as speech: headings become sections, lists are
+// enumerated, links read their text, code and images are skipped
+
+import { load } from 'cheerio';
+import { PROVIDER_PROFILES } from './ssmlValidator.js';
+
+export const DOCUMENT_FORMATS = ['text', 'markdown', 'html'];
+
+const ORDINAL_WORDS = [
+  'First',
+  'Second',
+  'Third',
+  'Fourth',
+  'Fifth',
+  'Sixth',
+  'Seventh',
+  'Eighth',
+  'Ninth',
+  'Tenth',
+];
+
+// Inline SSML written into a Markdown script is kept (and later checked by
+// repairSSML); any other HTML tag is dropped with its text kept
+const SSML_ELEMENTS = new Set(
+  Object.values(PROVIDER_PROFILES).flatMap((profile) => Object.keys(profile.elements))
+);
+
+const FRONT_MATTER = /^---\n[\s\S]*?\n(?:---|\.\.\.)\n/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}#{1,6}(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(?:=+|-+)\s*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)+\|?\s*$/;
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+// Markdown keeps entities the author wrote; text from HTML is already decoded
+function escapeText(text, { keepEntities = false } = {}) {
+  const pattern = keepEntities ? /&(?:#\d+|#x[\da-f]+|amp|lt|gt|quot|apos);|[&<>]/gi : /[&<>]/g;
+  return text.replace(pattern, (m) => XML_ESCAPES[m] || m);
+}
+
+function plainText(markup) {
+  return markup
+    .replace(/<[^<>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function emphasize(text, level, { emphasis }) {
+  return emphasis && text.trim() ? `<emphasis level="${level}">${text}</emphasis>` : text;
+}
+
+// Ends list items and table rows with a full stop so each gets a sentence pause
+function asSentence(text) {
+  return /[.!?…:;]["'”’)\]]*$/.test(plainText(text)) ? text : `${text}.`;
+}
+
+function enumerate(n) {
+  return ORDINAL_WORDS[n - 1] || `Number ${n}`;
+}
+
+function renderList(items) {
+  const start = items[0]?.number ?? 1;
+  return items
+    .flatMap((item, i) => {
+      const text = asSentence(item.text);
+      const line = items.length > 1 ? `${enumerate(start + i)}, ${text}` : text;
+      return item.children.length ? [line, renderList(item.children)] : [line];
+    })
+    .join('\n');
+}
+
+function renderScript(blocks) {
+  return blocks
+    .map((block) => {
+      if (block.type === 'heading') return block.text ? `# ${block.text}` : '';
+      if (block.type === 'list') return renderList(block.items);
+      return block.text
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join('\n');
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// ----------------------
+// Markdown
+// ----------------------
+
+function markdownInline(text, options) {
+  const kept = [];
+  const keep = (markup) => `\u0000${kept.push(markup) - 1}\u0000`;
+
+  const out = escapeText(
+    text
+      .replace(/\\([\\`*_{}[\]()#+\-.!~|<>])/g, (_, ch) => keep(escapeText(ch)))
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, fence, code) => keep(escapeText(code.trim())))
+      .replace(/!\[[^\]]*\](?:\([^)]*\)|\[[^\]]*\])/g, '')
+      .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+      .replace(/<(?:https?|mailto):[^<>\s]+>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<\s*\/?\s*([\w:-]+)[^<>]*>/g, (tag, name) =>
+        SSML_ELEMENTS.has(name) ? keep(tag) : ''
+      ),
+    { keepEntities: true }
+  )
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (_, a, b) =>
+      emphasize(a ?? b, 'strong', options)
+    )
+    .replace(
+      /\*(?=\S)([\s\S]*?\S)\*|(?<![\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu,
+      (_, a, b) => emphasize(a ?? b, 'moderate', options)
+    )
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+
+  // eslint-disable-next-line no-control-regex
+  return out.replace(/\u0000(\d+)\u0000/g, (_, i) => kept[Number(i)]);
+}
+
+// Rows are read as sentences of comma-separated cells
+function tableRow(line) {
+  const cells = line
+    .trim()
+    .replace(/^\||\|$/g, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim())
+    .filter(Boolean);
+  return cells.length ? asSentence(cells.join(', ')) : '';
+}
+
+// Nesting follows indentation; an ordered list is read from its first number
+function buildList(entries, options) {
+  const root = { children: [] };
+  const stack = [{ indent: -1, node: root }];
+  for (const entry of entries) {
+    while (stack.length > 1 && entry.indent <= stack.at(-1).indent) stack.pop();
+    const parent = stack.at(-1).node;
+    const node = {
+      text: markdownInline(entry.text, options),
+      number: parent.children.length ? undefined : parseInt(entry.marker, 10) || undefined,
+      children: [],
+    };
+    parent.children.push(node);
+    stack.push({ indent: entry.indent, node });
+  }
+  return { type: 'list', items: root.children };
+}
+
+function markdownBlocks(markdown, options) {
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(FRONT_MATTER, '').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let fence = null;
+  let inTable = false;
+  let inComment = false;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'paragraph', text: markdownInline(paragraph.join('\n'), options) });
+    }
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(buildList(list, options));
+    list = null;
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+    inTable = false;
+  };
+
+  lines.forEach((raw, i) => {
+    // Code blocks are not read out
+    if (fence) {
+      if (raw.trim().startsWith(fence)) fence = null;
+      return;
+    }
+    if (inComment) {
+      if (raw.includes('-->')) inComment = false;
+      return;
+    }
+    const fenceOpen = raw.match(FENCE);
+    if (fenceOpen) {
+      flush();
+      fence = fenceOpen[1];
+      return;
+    }
+    if (/^\s*<!--/.test(raw) && !raw.includes('-->')) {
+      flush();
+      inComment = true;
+      return;
+    }
+
+    // Quoted text is read like any other text
+    const line = raw.replace(/^ {0,3}(?:>\s?)+/, '');
+    const previousBlank = i === 0 || !lines[i - 1].trim();
+
+    if (!line.trim()) {
+      flushParagraph();
+      inTable = false;
+      // A list continues across blank lines while the next line belongs to it
+      const next = lines.slice(i + 1).find((l) => l.trim());
+      if (list && !(next && (LIST_ITEM.test(next) || /^\s+\S/.test(next)))) flushList();
+      return;
+    }
+    if (/^(?: {4}|\t)/.test(line) && previousBlank && !list && !paragraph.length) return;
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', text: plainText(markdownInline(heading[1] || '', {})) });
+      return;
+    }
+    if (paragraph.length && !list && !inTable && SETEXT_UNDERLINE.test(line)) {
+      const title = paragraph.join(' ');
+      paragraph = [];
+      blocks.push({ type: 'heading', text: plainText(markdownInline(title, {})) });
+      return;
+    }
+    if (THEMATIC_BREAK.test(line)) {
+      flush();
+      return;
+    }
+    if (TABLE_SEPARATOR.test(line) && paragraph.length && paragraph.at(-1).includes('|')) {
+      paragraph.push(tableRow(paragraph.pop()));
+      inTable = true;
+      return;
+    }
+    if (inTable && line.includes('|')) {
+      paragraph.push(tableRow(line));
+      return;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushParagraph();
+      (list ||= []).push({
+        indent: item[1].replace(/\t/g, '    ').length,
+        marker: item[2],
+        text: item[3],
+      });
+      return;
+    }
+    if (list && (/^\s+\S/.test(line) || !previousBlank)) {
+      list.at(-1).text += `\n${line.trim()}`;
+      return;
+    }
+    flushList();
+    paragraph.push(line);
+  });
+  flush();
+  return blocks;
+}
+
+// ----------------------
+// HTML
+// ----------------------
+
+const HTML_SKIPPED =
+  'head, script, style, noscript, template, pre, img, picture, svg, video, audio, iframe, canvas, object, embed, map, button, input, select, textarea, nav';
+const HTML_CONTAINERS = new Set([
+  'html',
+  'body',
+  'main',
+  'article',
+  'section',
+  'div',
+  'header',
+  'footer',
+  'aside',
+  'blockquote',
+  'figure',
+  'details',
+  'center',
+  'form',
+  'fieldset',
+  'dl',
+]);
+
+// Each of these is read as its own paragraph (headings, lists and tables
+// have their own handling)
+const HTML_BLOCKS = new Set([
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'p',
+  'ul',
+  'ol',
+  'li',
+  'table',
+  'hr',
+  'dt',
+  'dd',
+  'figcaption',
+  'summary',
+]);
+
+function htmlInline(nodes, options) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') return escapeText(node.data.replace(/\s+/g, ' '));
+      if (node.type !== 'tag') return '';
+      const inner = () => htmlInline(node.children, options);
+      if (node.name === 'br') return '\n';
+      if (node.name === 'em' || node.name === 'i') return emphasize(inner(), 'moderate', options);
+      if (node.name === 'strong' || node.name === 'b') {
+        return emphasize(inner(), 'strong', options);
+      }
+      if (node.name === 'ul' || node.name === 'ol') return '';
+      return inner();
+    })
+    .join('');
+}
+
+function htmlList($, el, options) {
+  const start = el.name === 'ol' ? parseInt($(el).attr('start'), 10) || 1 : undefined;
+  return $(el)
+    .children('li')
+    .toArray()
+    .map((li, i) => ({
+      text: htmlInline(li.children, options).trim(),
+      number: i === 0 ? start : undefined,
+      children: $(li)
+        .children('ul, ol')
+        .toArray()
+        .flatMap((nested) => htmlList($, nested, options)),
+    }));
+}
+
+function htmlBlocks(html, options) {
+  const $ = load(html);
+  $(HTML_SKIPPED).remove();
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const text = htmlInline(inline, options);
+    if (text.trim()) blocks.push({ type: 'paragraph', text });
+    inline = [];
+  };
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type !== 'tag' || !(HTML_BLOCKS.has(node.name) || HTML_CONTAINERS.has(node.name))) {
+        inline.push(node);
+        continue;
+      }
+      flushInline();
+      if (/^h[1-6]$/.test(node.name)) {
+        blocks.push({ type: 'heading', text: plainText(htmlInline(node.children, {})) });
+      } else if (node.name === 'ul' || node.name === 'ol') {
+        const items = htmlList($, node, options);
+        if (items.length) blocks.push({ type: 'list', items });
+      } else if (node.name === 'table') {
+        const rows = $(node)
+          .find('tr')
+          .toArray()
+          .map((tr) =>
+            $(tr)
+              .children('th, td')
+              .toArray()
+              .map((cell) => htmlInline(cell.children, options).trim())
+              .filter(Boolean)
+              .join(', ')
+          )
+          .filter(Boolean)
+          .map(asSentence);
+        if (rows.length) blocks.push({ type: 'paragraph', text: rows.join('\n') });
+      } else if (HTML_CONTAINERS.has(node.name)) {
+        walk(node.children);
+        flushInline();
+      } else if (node.name !== 'hr') {
+        inline.push(...node.children);
+        flushInline();
+      }
+    }
+  };
+
+  walk($.root().children().toArray());
+  flushInline();
+  return blocks;
+}
+
+/**
+ * Turn a Markdown or HTML document into a script: headings become "# Title"
+ * section lines, lists are read as "First, …. Second, …." and emphasis becomes
+ * <emphasis> (when `emphasis` is true). Links read their text; code blocks,
+ * images, front matter and comments are skipped.
+ * @param {string} content - Document
+ * @param {string} format - One of DOCUMENT_FORMATS ("text" returns content unchanged)
+ * @param {Object} [options] - { emphasis }: whether the voice supports <emphasis>
+ * @returns {string} - Script text
+ */
+export function documentToScript(content, format, { emphasis = true } = {}) {
+  if (format === 'markdown') return renderScript(markdownBlocks(content, { emphasis }));
+  if (format === 'html') return renderScript(htmlBlocks(content, { emphasis }));
+  return content;
+}
@@ -0,0 +1,177 @@
+// utils/episodeTags.js
+// ID3 tag values for episodes (request overrides > show config) and re-tagging
+
+import fs from 'fs/promises';
+import logger from './logger.js';
+import { writeId3Tags } from './id3.js';
+import { getObject, putObject, runAsTenant } from './storage.js';
+import { getShow } from './shows.js';
+import { getEpisode, saveEpisode } from './episodes.js';
+import { fetchPublicUrl } from './safeFetch.js';
+
+const MAX_ARTWORK_BYTES = 10 * 1024 * 1024;
+
+export const TAG_FIELDS = [
+  'title',
+  'artist',
+  'album',
+  'year',
+  'comment',
+  'track',
+  'genre',
+  'artwork',
+];
+
+// Cache headers for episode audio; re-tagging rewrites the object in place
+export const PODCAST_CACHE_CONTROL = 'public, max-age=86400';
+
+/**
+ * Validate request-supplied tag overrides.
+ * @param {Object} tags - Partial tags ({ title, artist, ... })
+ * @returns {string[]} - Validation errors
+ */
+export function validateTagOverrides(tags) {
+  if (tags === null || typeof tags !== 'object' || Array.isArray(tags)) {
+    return ['tags must be an object'];
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(tags)) {
+    if (!TAG_FIELDS.includes(key)) {
+      errors.push(`Unknown tag "${key}". Allowed: ${TAG_FIELDS.join(', ')}`);
+    } else if (value !== null && !['string', 'number'].includes(typeof value)) {
+      errors.push(`tags.${key} must be a string, number or null`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Resolve the tag values for an episode. Request overrides win, then the
+ * episode fields, then the show's `tags` and `feed` configuration.
+ * @param {Object} show - Show definition (merged with defaults)
+ * @param {Object} episode - { title, description, episodeNumber, artwork }
+ * @param {Object} [overrides] - Request tags; null disables a field
+ * @returns {Object} - { title, artist, album, year, comment, track, genre, artwork }
+ */
+export function resolveEpisodeTags(show, episode = {}, overrides = {}) {
+  const { feed, tags: showTags } = show;
+  const defaults = {
+    title: episode.title || (episode.episodeNumber ? `Episode ${episode.episodeNumber}` : null),
+    artist: showTags.artist || feed.author || show.name,
+    album: showTags.album || feed.title || show.name,
+    year: String(new Date().getFullYear()),
+    comment: episode.description || null,
+    track: episode.episodeNumber ?? null,
+    genre: showTags.genre,
+    artwork: episode.artwork || feed.artwork,
+  };
+  return { ...defaults, ...overrides };
+}
+
+function imageMimeType(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  return null;
+}
+
+/**
+ * Load cover art for the APIC frame. Failures are logged and skipped so a
+ * missing image never fails an episode.
+ * @param {string|null} ref - http(s) URL or assets-bucket key
+ * @returns {Promise<Object|null>} - { mimeType, data } (JPEG or PNG)
+ */
+export async function loadCoverArt(ref) {
+  if (!ref) return null;
+  try {
+    let data;
+    if (/^https?:\/\//i.test(ref)) {
+      const response = await fetchPublicUrl(ref, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxBytes: MAX_ARTWORK_BYTES,
+      });
+      data = Buffer.from(response.data);
+    } else {
+      data = await getObject('assets', ref);
+    }
+    if (!data) throw new Error('not found');
+
+    const mimeType = imageMimeType(data);
+    if (!mimeType) throw new Error('cover art must be JPEG or PNG');
+    return { mimeType, data };
+  } catch (error) {
+    logger.warn('Skipping cover art', { artwork: ref, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Build the tag set for an audio buffer, loading cover art.
+ * @param {Buffer} audio - MP3 data
+ * @param {Object} tags - Resolved tags (see resolveEpisodeTags)
+ * @returns {Promise<Buffer>} - Tagged MP3 data
+ */
+export async function tagAudio(audio, tags) {
+  const { artwork, ...fields } = tags;
+  return writeId3Tags(audio, { ...fields, cover: await loadCoverArt(artwork) });
+}
+
+/**
+ * Tag an MP3 file in place.
+ * @param {string} filePath - MP3 file
+ * @param {Object} tags - Resolved tags
+ */
+export async function tagFile(filePath, tags) {
+  await fs.writeFile(filePath, await tagAudio(await fs.readFile(filePath), tags));
+}
+
+/**
+ * Rewrite the tags of a published episode without re-rendering the audio.
+ * Overrides are merged into the ones stored on the episode.
+ * @param {string} showId - Show id
+ * @param {string} episodeId - Episode id (the session id)
+ * @param {Object} overrides - Tag overrides
+ * @param {string|null} [tenant] - Tenant that published the episode; its MP3 is
+ *   read and written under that tenant's storage prefix
+ * @returns {Promise<Object>} - Updated episode record
+ */
+export async function retagEpisode(showId, episodeId, overrides = {}, tenant = null) {
+  const errors = validateTagOverrides(overrides);
+  if (errors.length) {
+    const error = new Error(`Invalid tags: ${errors.join('; ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const show = await getShow(showId);
+  const episode = await getEpisode(show.id, episodeId, tenant);
+  const key = `${episodeId}.mp3`;
+  const audio = episode && (await runAsTenant(tenant, () => getObject('podcast', key)));
+  if (!audio) {
+    const error = new Error(`Episode "${episodeId}" not found`);
+    error.status = 404;
+    throw error;
+  }
+
+  // Artwork keys are looked up in the publishing tenant's assets
+  const tagOverrides = { ...episode.tags, ...overrides };
+  const tagged = await runAsTenant(tenant, () =>
+    tagAudio(audio, {
+      ...resolveEpisodeTags(show, episode, tagOverrides),
+      chapters: episode.chapters,
+    })
+  );
+  await runAsTenant(tenant, () =>
+    putObject('podcast', key, tagged, { cacheControl: PODCAST_CACHE_CONTROL })
+  );
+
+  logger.info('Episode re-tagged', { show: show.id, tenant, episodeId, bytes: tagged.length });
+  return saveEpisode(show.id, {
+    id: episodeId,
+    tenant,
+    tags: tagOverrides,
+    fileSize: tagged.length,
+  });
+}
@@ -0,0 +1,122 @@
+// utils/episodes.js
+// Per-show episode registry, filled in when a podcast job finishes. Episodes
+// are identified by tenant and id (the session id), since tenants pick their
+// session ids independently and may publish into the same show.
+
+import { dataPath, readJSON, writeJSON } from './dataStore.js';
+
+// Registry updates are serialized per show so concurrent jobs never read
+// the same list and overwrite each other's episodes
+const updateQueues = new Map();
+// Numbers handed out by nextEpisodeNumber for episodes not saved yet
+const reservedNumbers = new Map();
+
+function episodesFile(showId) {
+  return dataPath('episodes', `${showId}.json`);
+}
+
+function queueUpdate(showId, update) {
+  const previous = updateQueues.get(showId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(update);
+  updateQueues.set(showId, next);
+  return next;
+}
+
+function reservations(showId) {
+  if (!reservedNumbers.has(showId)) reservedNumbers.set(showId, new Map());
+  return reservedNumbers.get(showId);
+}
+
+function isEpisode(episode, episodeId, tenant) {
+  return episode.id === episodeId && (episode.tenant ?? null) === (tenant ?? null);
+}
+
+function reservationKey(episodeId, tenant) {
+  return JSON.stringify([tenant ?? null, episodeId]);
+}
+
+function highestNumber(episodes, reserved) {
+  return Math.max(0, ...episodes.map((e) => e.episodeNumber || 0), ...reserved.values());
+}
+
+/**
+ * List a show's episodes, newest first.
+ * @param {string} showId - Show id
+ * @returns {Promise<Object[]>} - Episode records
+ */
+export async function listEpisodes(showId) {
+  const episodes = await readJSON(episodesFile(showId), []);
+  return episodes.sort((a, b) => (a.publishedAt < b.publishedAt ? 1 : -1));
+}
+
+/**
+ * Fetch a single episode by tenant and id.
+ * @param {string} showId - Show id
+ * @param {string} episodeId - Episode id
+ * @param {string|null} [tenant] - Tenant that published it
+ * @returns {Promise<Object|null>} - Episode record
+ */
+export async function getEpisode(showId, episodeId, tenant = null) {
+  const episodes = await readJSON(episodesFile(showId), []);
+  return episodes.find((e) => isEpisode(e, episodeId, tenant)) || null;
+}
+
+/**
+ * Next free episode number for a show. With an episode id the number is
+ * reserved for that episode until it is saved, so jobs rendering at the same
+ * time get different numbers (reservations do not survive a restart).
+ * @param {string} showId - Show id
+ * @param {string} [episodeId] - Episode the number is for
+ * @param {string|null} [tenant] - Tenant publishing it
+ * @returns {Promise<number>} - One more than the highest number in use or reserved
+ */
+export function nextEpisodeNumber(showId, episodeId = null, tenant = null) {
+  return queueUpdate(showId, async () => {
+    const reserved = reservations(showId);
+    const key = reservationKey(episodeId, tenant);
+    if (episodeId && reserved.has(key)) return reserved.get(key);
+
+    const number = highestNumber(await readJSON(episodesFile(showId), []), reserved) + 1;
+    if (episodeId) reserved.set(key, number);
+    return number;
+  });
+}
+
+/**
+ * Insert or update an episode (matched by tenant and id). New episodes
+ * without an explicit number get the next episode number for the show.
+ * @param {string} showId - Show id
+ * @param {Object} episode - Episode fields; `id` is required, `tenant` defaults to null
+ * @returns {Promise<Object>} - The stored episode
+ */
+export function saveEpisode(showId, episode) {
+  return queueUpdate(showId, async () => {
+    const tenant = episode.tenant ?? null;
+    const episodes = await readJSON(episodesFile(showId), []);
+    const index = episodes.findIndex((e) => isEpisode(e, episode.id, tenant));
+    const now = new Date().toISOString();
+    const fields = Object.fromEntries(Object.entries(episode).filter(([, v]) => v !== undefined));
+    const reserved = reservations(showId);
+    const key = reservationKey(episode.id, tenant);
+
+    let stored;
+    if (index === -1) {
+      stored = {
+        episodeNumber: reserved.get(key) ?? highestNumber(episodes, reserved) + 1,
+        publishedAt: now,
+        ...fields,
+        tenant,
+        show: showId,
+        updatedAt: now,
+      };
+      episodes.push(stored);
+    } else {
+      stored = { ...episodes[index], ...fields, show: showId, updatedAt: now };
+      episodes[index] = stored;
+    }
+
+    await writeJSON(episodesFile(showId), episodes);
+    reserved.delete(key);
+    return stored;
+  });
+}
@@ -1,55 +1,67 @@
-import axios from 'axios';
-import { load } from 'cheerio';
+// utils/extractText.js
+// Fetch article pages (or plain text) concurrently and extract their main content
+
+import pLimit from 'p-limit';
+import { extractArticle } from './articleExtractor.js';
+import { fetchPublicUrl } from './safeFetch.js';
 import logger from './logger.js';
 
-export async function extractTextFromUrls(urls) {
-  const texts = [];
-  
-  for (let i = 0; i < urls.length; i++) {
-    try {
-      logger.debug(`Fetching content from URL: ${urls[i]}`);
-      const response = await axios.get(urls[i], {
-        timeout: parseInt(process.env.URL_FETCH_TIMEOUT) || 10000,
-        headers: {
-          'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0 (compatible; TTS-Chunker-Service/1.0)'
-        }
-      });
-      
-      const $ = load(response.data);
-      
-      // Remove unwanted elements
-      $('script, style, noscript, iframe, nav, footer').remove();
-      
-      // Get text content and clean it up
-      let text = $('body').text()
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      // Apply length limit if configured
-      const maxLength = process.env.MAX_TEXT_LENGTH ? parseInt(process.env.MAX_TEXT_LENGTH) : null;
-      if (maxLength && text.length > maxLength) {
-        text = text.substring(0, maxLength) + '... [text truncated]';
-        logger.warn(`Text content truncated for URL: ${urls[i]}`);
-      }
-        
-      texts.push({ 
-        url: urls[i], 
-        text: text || '[No text content found]', 
-        index: i,
-        status: 'success'
-      });
-      
-    } catch (error) {
-      logger.error(`Error fetching URL ${urls[i]}: ${error.message}`);
-      texts.push({ 
-        url: urls[i], 
-        text: `[Error fetching content: ${error.message}]`, 
-        index: i,
-        status: 'error',
-        error: error.message
-      });
-    }
+function plainTextArticle(text) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const joined = paragraphs.join('\n\n');
+  return {
+    title: null,
+    byline: null,
+    publishedAt: null,
+    paragraphs,
+    text: joined,
+    wordCount: joined ? joined.split(/\s+/).length : 0,
+  };
+}
+
+async function extractOne(url, options) {
+  const response = await fetchPublicUrl(url, options);
+  const contentType = String(response.headers['content-type'] || 'text/html');
+  if (/^text\/plain/i.test(contentType)) {
+    return { ...plainTextArticle(response.data), finalUrl: response.url };
   }
-  
-  return texts;
+  if (!/html|xml/i.test(contentType)) {
+    const error = new Error(`Unsupported content type ${contentType.split(';')[0]}`);
+    error.status = 415;
+    throw error;
+  }
+  return { ...extractArticle(response.data), finalUrl: response.url };
+}
+
+/**
+ * Fetch URLs (INGEST_CONCURRENCY at a time, default 4) and extract each
+ * page's main article. Private and loopback addresses are refused; see
+ * safeFetch.js for the size, redirect and timeout limits.
+ * @param {string[]} urls - Page URLs
+ * @param {Object} [options] - { concurrency, timeout, maxBytes, maxRedirects }
+ * @returns {Promise<Object[]>} - Per URL, in order: { url, index, status: "success", finalUrl,
+ *   title, byline, publishedAt, paragraphs, text, wordCount } or
+ *   { url, index, status: "error", error, code }
+ */
+export async function extractTextFromUrls(urls, options = {}) {
+  const limit = pLimit(options.concurrency || Number(process.env.INGEST_CONCURRENCY) || 4);
+
+  return Promise.all(
+    urls.map((url, index) =>
+      limit(async () => {
+        try {
+          logger.debug(`Fetching content from URL: ${url}`);
+          const article = await extractOne(url, options);
+          if (!article.paragraphs.length) logger.warn(`No article text found at ${url}`);
+          return { url, index, status: 'success', ...article };
+        } catch (error) {
+          logger.warn(`Error fetching URL ${url}: ${error.message}`);
+          return { url, index, status: 'error', error: error.message, code: error.status || 502 };
         }
+      })
+    )
+  );
+}
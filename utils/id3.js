@@ -0,0 +1,143 @@
+// utils/id3.js
+// Minimal ID3v2.4 writer (text, comment, attached-picture and chapter frames)
+
+const HEADER_BYTES = 10;
+const ENCODING_UTF8 = 0x03;
+const PICTURE_FRONT_COVER = 0x03;
+// CTOC flags: top-level table of contents, children in playback order
+const TOC_TOP_LEVEL_ORDERED = 0x03;
+const MAX_CHAPTERS = 255;
+
+// ID3v2.4 stores tag and frame sizes as 28-bit "syncsafe" integers
+function syncsafe(size) {
+  if (size > 0x0fffffff) throw new Error('ID3 frame too large');
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+function readSyncsafe(buffer, offset) {
+  return (
+    (buffer[offset] << 21) |
+    (buffer[offset + 1] << 14) |
+    (buffer[offset + 2] << 7) |
+    buffer[offset + 3]
+  );
+}
+
+function frame(id, body) {
+  return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), Buffer.alloc(2), body]);
+}
+
+function textFrame(id, value) {
+  return frame(id, Buffer.concat([Buffer.from([ENCODING_UTF8]), Buffer.from(String(value))]));
+}
+
+function commentFrame(text, language = 'eng') {
+  return frame(
+    'COMM',
+    Buffer.concat([
+      Buffer.from([ENCODING_UTF8]),
+      Buffer.from(language.slice(0, 3).padEnd(3, ' '), 'latin1'),
+      Buffer.from([0x00]), // empty short description
+      Buffer.from(String(text)),
+    ])
+  );
+}
+
+function pictureFrame({ mimeType, data }) {
+  return frame(
+    'APIC',
+    Buffer.concat([
+      Buffer.from([ENCODING_UTF8]),
+      Buffer.from(mimeType, 'latin1'),
+      Buffer.from([0x00]),
+      Buffer.from([PICTURE_FRONT_COVER]),
+      Buffer.from([0x00]), // empty description
+      data,
+    ])
+  );
+}
+
+// CHAP (ID3v2 Chapter Frame Addendum): times in ms, byte offsets unused
+function chapterFrame(elementId, { title, startTime, endTime }) {
+  const times = Buffer.alloc(16);
+  times.writeUInt32BE(Math.round(startTime * 1000), 0);
+  times.writeUInt32BE(Math.round(endTime * 1000), 4);
+  times.writeUInt32BE(0xffffffff, 8);
+  times.writeUInt32BE(0xffffffff, 12);
+  return frame(
+    'CHAP',
+    Buffer.concat([Buffer.from(`${elementId}\0`, 'latin1'), times, textFrame('TIT2', title)])
+  );
+}
+
+function tableOfContentsFrame(elementIds) {
+  return frame(
+    'CTOC',
+    Buffer.concat([
+      Buffer.from('toc\0', 'latin1'),
+      Buffer.from([TOC_TOP_LEVEL_ORDERED, elementIds.length]),
+      ...elementIds.map((id) => Buffer.from(`${id}\0`, 'latin1')),
+    ])
+  );
+}
+
+function chapterFrames(chapters) {
+  if (chapters.length > MAX_CHAPTERS) {
+    throw new Error(`ID3 supports at most ${MAX_CHAPTERS} chapters`);
+  }
+  const ids = chapters.map((_, i) => `chp${i}`);
+  return [
+    tableOfContentsFrame(ids),
+    ...chapters.map((chapter, i) => chapterFrame(ids[i], chapter)),
+  ];
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Build an ID3v2.4 tag.
+ * @param {Object} tags - { title, artist, album, year, comment, track, genre, language, cover,
+ *   chapters } where cover is { mimeType, data: Buffer }, language an ISO 639-2 code for
+ *   COMM and chapters [{ title, startTime, endTime }] in seconds (CTOC + CHAP frames)
+ * @returns {Buffer} - Complete tag (header + frames)
+ */
+export function buildId3Tag(tags) {
+  const frames = [];
+  if (present(tags.title)) frames.push(textFrame('TIT2', tags.title));
+  if (present(tags.artist)) frames.push(textFrame('TPE1', tags.artist));
+  if (present(tags.album)) frames.push(textFrame('TALB', tags.album));
+  if (present(tags.year)) frames.push(textFrame('TDRC', tags.year));
+  if (present(tags.track)) frames.push(textFrame('TRCK', tags.track));
+  if (present(tags.genre)) frames.push(textFrame('TCON', tags.genre));
+  if (present(tags.comment)) frames.push(commentFrame(tags.comment, tags.language));
+  if (tags.cover) frames.push(pictureFrame(tags.cover));
+  if (tags.chapters?.length) frames.push(...chapterFrames(tags.chapters));
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([0x04, 0x00, 0x00])]);
+  return Buffer.concat([header, syncsafe(body.length), body]);
+}
+
+/**
+ * Remove a leading ID3v2 tag (any version, including a v2.4 footer).
+ * @param {Buffer} audio - MP3 data
+ * @returns {Buffer} - MP3 data without the tag
+ */
+export function stripId3(audio) {
+  if (audio.length < HEADER_BYTES || audio.toString('latin1', 0, 3) !== 'ID3') return audio;
+  const hasFooter = (audio[5] & 0x10) !== 0;
+  const tagBytes = HEADER_BYTES + readSyncsafe(audio, 6) + (hasFooter ? HEADER_BYTES : 0);
+  return audio.subarray(tagBytes);
+}
+
+/**
+ * Replace any existing ID3v2 tag with a freshly built one.
+ * @param {Buffer} audio - MP3 data
+ * @param {Object} tags - See buildId3Tag
+ * @returns {Buffer} - Tagged MP3 data
+ */
+export function writeId3Tags(audio, tags) {
+  return Buffer.concat([buildId3Tag(tags), stripId3(audio)]);
+}
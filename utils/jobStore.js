@@ -0,0 +1,189 @@
+// utils/jobStore.js
+// Persistent asynchronous job records for long-running TTS / podcast work
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+import { dataPath, listJSON, readJSON, writeJSON } from './dataStore.js';
+import { runWithUsage } from './usage.js';
+import { runAsTenant } from './storage.js';
+
+const JOBS_DIR = dataPath('jobs');
+// Finished jobs stay in memory this long; later lookups read them from disk
+const FINISHED_JOB_TTL_MS = (parseInt(process.env.JOB_CACHE_TTL_SECONDS, 10) || 3600) * 1000;
+
+// Queued and running jobs, plus recently finished ones
+const jobs = new Map();
+const writeQueues = new Map();
+
+function jobFile(id) {
+  return dataPath('jobs', `${id}.json`);
+}
+
+// Serialize writes per job so a slow write never overwrites a newer state
+function persist(job) {
+  const snapshot = structuredClone(job);
+  const previous = writeQueues.get(job.id) || Promise.resolve();
+  const next = previous
+    .then(() => writeJSON(jobFile(job.id), snapshot))
+    .catch((error) =>
+      logger.error('Failed to persist job', { jobId: job.id, error: error.message })
+    );
+  writeQueues.set(job.id, next);
+  next.then(() => {
+    if (writeQueues.get(job.id) === next) writeQueues.delete(job.id);
+  });
+  return next;
+}
+
+function isActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+function evictWhenExpired(job) {
+  if (isActive(job)) return;
+  setTimeout(async () => {
+    await writeQueues.get(job.id);
+    if (jobs.get(job.id) === job && !isActive(job)) jobs.delete(job.id);
+  }, FINISHED_JOB_TTL_MS).unref();
+}
+
+/**
+ * Create and persist a queued job.
+ * @param {string} type - Job type ("tts", "podcast", ...)
+ * @param {Object} input - Request parameters needed to run the job
+ * @param {Object} extra - Additional top-level fields (e.g. sessionId)
+ * @returns {Promise<Object>} - The job record
+ */
+export async function createJob(type, input, extra = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    stage: 'queued',
+    progress: null,
+    input,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    ...extra,
+  };
+  jobs.set(job.id, job);
+  await persist(job);
+  return job;
+}
+
+/**
+ * Fetch a job by id from memory, falling back to disk. Jobs read from disk
+ * are cached for JOB_CACHE_TTL_SECONDS (default one hour).
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - The job record
+ */
+export async function getJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+  if (!/^[\w-]+$/.test(id)) return null;
+
+  const job = await readJSON(jobFile(id));
+  if (job) {
+    jobs.set(id, job);
+    evictWhenExpired(job);
+  }
+  return job;
+}
+
+/**
+ * Merge a patch into a job and persist it.
+ * @param {string} id - Job id
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<Object>} - The updated job
+ */
+export async function updateJob(id, patch) {
+  const job = await getJob(id);
+  if (!job) throw new Error(`Job ${id} not found`);
+
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  if (patch.finishedAt) evictWhenExpired(job);
+  await persist(job);
+  return job;
+}
+
+/**
+ * Run a job in the background. The handler receives a `setStage(stage, progress)`
+ * reporter and its resolved value becomes the job result. Usage metered while it
+ * runs is attributed to the job's sessionId, show and apiKey (see usage.js), and
+ * storage is scoped to the job's tenant (see storage.js).
+ * @param {Object} job - Job record from createJob
+ * @param {Function} handler - async ({ job, setStage }) => result
+ */
+export function runJob(job, handler) {
+  const setStage = (stage, progress = null) => updateJob(job.id, { stage, progress });
+
+  (async () => {
+    await updateJob(job.id, { status: 'running', startedAt: new Date().toISOString() });
+    try {
+      const attribution = { sessionId: job.sessionId, show: job.show, apiKey: job.apiKey };
+      const result = await runAsTenant(job.tenant, () =>
+        runWithUsage(attribution, () => handler({ job, setStage }))
+      );
+      await updateJob(job.id, {
+        status: 'completed',
+        stage: 'done',
+        progress: null,
+        result,
+        finishedAt: new Date().toISOString(),
+      });
+      logger.info('Job completed', { jobId: job.id, type: job.type });
+    } catch (error) {
+      await updateJob(job.id, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+      });
+      logger.error('Job failed', { jobId: job.id, type: job.type, error: error.message });
+    }
+  })().catch((error) =>
+    logger.error('Job bookkeeping failed', { jobId: job.id, type: job.type, error: error.message })
+  );
+}
+
+/**
+ * Number of queued or running jobs created with an API key.
+ * @param {string} apiKey - API key id
+ * @returns {number}
+ */
+export function countActiveJobs(apiKey) {
+  let active = 0;
+  for (const job of jobs.values()) {
+    if (job.apiKey === apiKey && isActive(job)) active++;
+  }
+  return active;
+}
+
+/**
+ * Check persisted jobs at startup. Jobs that were queued or running when the
+ * process stopped cannot continue, so they are marked failed. Finished jobs
+ * are left on disk until they are requested.
+ * @returns {Promise<number>} - Number of interrupted jobs
+ */
+export async function recoverJobs() {
+  let interrupted = 0;
+
+  for (const file of await listJSON(JOBS_DIR)) {
+    const job = await readJSON(file);
+    if (!job?.id || !isActive(job)) continue;
+
+    jobs.set(job.id, job);
+    interrupted++;
+    await updateJob(job.id, {
+      status: 'failed',
+      error: `Interrupted by service restart during ${job.stage}`,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  if (interrupted) logger.warn('Marked interrupted jobs as failed', { interrupted });
+  return interrupted;
+}
@@ -0,0 +1,297 @@
+// utils/lexicon.js
+// Pronunciation lexicon: terms read via <phoneme> or <sub alias>, global or per show
+
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, readJSON, writeJSON } from './dataStore.js';
+import { rewriteUnmarkedText } from './textNormalizer.js';
+
+const LEXICON_FILE = dataPath('lexicon.json');
+
+export const LEXICON_TYPES = ['phoneme', 'sub'];
+export const PHONEME_ALPHABETS = ['ipa', 'x-sampa'];
+
+// Built in while SSML_TECH_TERMS is not "false"; stored entries for the same
+// term take precedence
+const TECH_TERMS = [
+  { term: 'SQL', alias: 'sequel' },
+  { term: 'PostgreSQL', alias: 'postgres Q L' },
+  { term: 'nginx', alias: 'engine X' },
+  { term: 'kubectl', alias: 'kube control' },
+  { term: 'GUI', alias: 'gooey' },
+  { term: 'JSON', alias: 'jason' },
+  { term: 'YAML', alias: 'yammel' },
+  { term: 'SaaS', alias: 'sass' },
+  { term: 'GitHub', alias: 'git hub' },
+  { term: 'LaTeX', alias: 'lah tech' },
+].map((entry) => ({
+  id: `tech:${entry.term.toLowerCase()}`,
+  show: null,
+  type: 'sub',
+  caseSensitive: true,
+  builtIn: true,
+  ...entry,
+}));
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function nonEmptyString(value, max) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+}
+
+/**
+ * Validate a lexicon entry.
+ * @param {Object} entry - { term, type, show?, alphabet?, ph?, alias?, caseSensitive? }
+ * @returns {string[]} - Validation errors
+ */
+export function validateLexiconEntry(entry) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['Lexicon entry must be an object'];
+  }
+  const errors = [];
+  if (!nonEmptyString(entry.term, 100) || /[<>]/.test(entry.term)) {
+    errors.push('term must be 1-100 characters without "<" or ">"');
+  }
+  if (entry.show !== undefined && entry.show !== null && typeof entry.show !== 'string') {
+    errors.push('show must be a show id or null (global)');
+  }
+  if (entry.caseSensitive !== undefined && typeof entry.caseSensitive !== 'boolean') {
+    errors.push('caseSensitive must be a boolean');
+  }
+  if (entry.type === 'phoneme') {
+    if (!PHONEME_ALPHABETS.includes(entry.alphabet ?? 'ipa')) {
+      errors.push(`alphabet must be one of ${PHONEME_ALPHABETS.join(', ')}`);
+    }
+    if (!nonEmptyString(entry.ph, 200)) errors.push('ph must be a non-empty pronunciation');
+  } else if (entry.type === 'sub') {
+    if (!nonEmptyString(entry.alias, 200)) errors.push('alias must be non-empty text');
+  } else {
+    errors.push(`type must be one of ${LEXICON_TYPES.join(', ')}`);
+  }
+  return errors;
+}
+
+function normalizeEntry(entry) {
+  const base = {
+    term: entry.term.trim(),
+    show: entry.show ?? null,
+    type: entry.type,
+    caseSensitive: entry.caseSensitive ?? false,
+  };
+  return entry.type === 'phoneme'
+    ? { ...base, alphabet: entry.alphabet ?? 'ipa', ph: entry.ph }
+    : { ...base, alias: entry.alias };
+}
+
+function sameTerm(a, b) {
+  return a.show === b.show && a.term.toLowerCase() === b.term.toLowerCase();
+}
+
+// Internal callers act with full access
+const SYSTEM_ACTOR = { tenant: null, admin: true };
+
+/**
+ * Whether an API caller may change an entry. Global entries shape every
+ * tenant's audio, so only admins may; show entries belong to the tenant that
+ * created them.
+ * @param {Object} entry - Stored or normalized entry
+ * @param {Object} actor - { tenant, admin } of the caller
+ * @returns {boolean}
+ */
+export function canManageLexiconEntry(entry, actor) {
+  return actor.admin || (entry.show !== null && (entry.tenant ?? null) === actor.tenant);
+}
+
+function forbiddenEntry(entry) {
+  return httpError(
+    403,
+    entry.show === null
+      ? 'Global lexicon entries need the admin scope'
+      : 'Lexicon entry belongs to another tenant'
+  );
+}
+
+function loadEntries() {
+  return readJSON(LEXICON_FILE, []);
+}
+
+// Saves and deletes run one at a time so none of them writes a stale list
+let updateQueue = Promise.resolve();
+
+function queueUpdate(update) {
+  const next = updateQueue.catch(() => {}).then(update);
+  updateQueue = next;
+  return next;
+}
+
+function techTermsEnabled() {
+  return process.env.SSML_TECH_TERMS !== 'false';
+}
+
+/**
+ * List lexicon entries.
+ * @param {Object} [filter] - { show }: only global entries and those of this show
+ * @returns {Promise<Object[]>} - Stored entries, plus the built-in tech terms
+ */
+export async function listLexicon({ show } = {}) {
+  const entries = await loadEntries();
+  const builtIn = techTermsEnabled()
+    ? TECH_TERMS.filter((tech) => !entries.some((entry) => sameTerm(entry, tech)))
+    : [];
+  return [...entries, ...builtIn].filter(
+    (entry) => show === undefined || entry.show === null || entry.show === show
+  );
+}
+
+/**
+ * Fetch one stored entry.
+ * @returns {Promise<Object>} - Entry; throws 404 when missing
+ */
+export async function getLexiconEntry(id) {
+  const entry = (await loadEntries()).find((e) => e.id === id);
+  if (!entry) throw httpError(404, `Lexicon entry "${id}" not found`);
+  return entry;
+}
+
+/**
+ * Create an entry, or replace the one with `id`.
+ * Throws 400 for invalid entries, 403 when the caller may not manage the entry
+ * (see canManageLexiconEntry) and 409 when the term already has an entry in
+ * the same scope. New show entries belong to the caller's tenant.
+ * @param {Object} entry - See validateLexiconEntry
+ * @param {string} [id] - Entry to replace
+ * @param {Object} [actor] - { tenant, admin } of the caller
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function saveLexiconEntry(entry, id, actor = SYSTEM_ACTOR) {
+  const errors = validateLexiconEntry(entry);
+  if (errors.length) throw httpError(400, `Invalid lexicon entry: ${errors.join('; ')}`);
+
+  return queueUpdate(async () => {
+    const entries = await loadEntries();
+    const index = id === undefined ? -1 : entries.findIndex((e) => e.id === id);
+    if (id !== undefined && index === -1) throw httpError(404, `Lexicon entry "${id}" not found`);
+
+    const existing = entries[index];
+    const fields = normalizeEntry(entry);
+    fields.tenant = fields.show === null ? null : (existing?.tenant ?? actor.tenant);
+    for (const checked of [existing, fields]) {
+      if (checked && !canManageLexiconEntry(checked, actor)) throw forbiddenEntry(checked);
+    }
+
+    const clash = entries.find((e) => e.id !== id && sameTerm(e, fields));
+    if (clash) {
+      throw httpError(
+        409,
+        `"${fields.term}" already has a lexicon entry (${clash.id}) in this scope`
+      );
+    }
+
+    const stored = { id: id ?? uuidv4(), ...fields, updatedAt: new Date().toISOString() };
+    if (index === -1) entries.push(stored);
+    else entries[index] = stored;
+    await writeJSON(LEXICON_FILE, entries);
+    return stored;
+  });
+}
+
+/**
+ * Delete a stored entry. Throws 403 when the caller may not manage it.
+ * @param {string} id - Entry id
+ * @param {Object} [actor] - { tenant, admin } of the caller
+ * @returns {Promise<boolean>} - Whether the entry existed
+ */
+export function deleteLexiconEntry(id, actor = SYSTEM_ACTOR) {
+  return queueUpdate(async () => {
+    const entries = await loadEntries();
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) return false;
+    if (!canManageLexiconEntry(entry, actor)) throw forbiddenEntry(entry);
+    const remaining = entries.filter((e) => e.id !== id);
+    await writeJSON(LEXICON_FILE, remaining);
+    return true;
+  });
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termPattern(entries, flags) {
+  if (!entries.length) return null;
+  const alternatives = entries
+    .map((entry) => entry.term)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join('|')})(?!${WORD_CHAR})`, flags);
+}
+
+function renderEntry(entry, text) {
+  return entry.type === 'phoneme'
+    ? `<phoneme alphabet="${entry.alphabet}" ph="${escapeAttribute(entry.ph)}">${text}</phoneme>`
+    : `<sub alias="${escapeAttribute(entry.alias)}">${text}</sub>`;
+}
+
+/**
+ * Compile the entries that apply to a show into matchers for applyLexicon.
+ * Show entries override global ones for the same term.
+ * @param {Object[]} entries - Lexicon entries
+ * @param {string|null} [show] - Show id
+ * @returns {Object} - Compiled lexicon
+ */
+export function compileLexicon(entries, show = null) {
+  const byTerm = new Map();
+  for (const entry of entries) {
+    if (entry.show !== null && entry.show !== show) continue;
+    const key = entry.term.toLowerCase();
+    if (!byTerm.has(key) || entry.show !== null) byTerm.set(key, entry);
+  }
+  const active = [...byTerm.values()];
+  const sensitive = active.filter((entry) => entry.caseSensitive);
+  const insensitive = active.filter((entry) => !entry.caseSensitive);
+  const exact = new Map(sensitive.map((entry) => [entry.term, entry]));
+  const folded = new Map(insensitive.map((entry) => [entry.term.toLowerCase(), entry]));
+
+  return {
+    size: active.length,
+    rules: [
+      {
+        pattern: termPattern(sensitive, 'gu'),
+        render: ([term]) => renderEntry(exact.get(term), term),
+      },
+      {
+        pattern: termPattern(insensitive, 'giu'),
+        render: ([term]) => renderEntry(folded.get(term.toLowerCase()), term),
+      },
+    ].filter((rule) => rule.pattern),
+  };
+}
+
+/**
+ * Load and compile the lexicon for a show (global entries only when null).
+ * @returns {Promise<Object>} - Compiled lexicon for applyLexicon / convertToSSML
+ */
+export async function loadLexicon(show = null) {
+  return compileLexicon(await listLexicon(), show);
+}
+
+/**
+ * Replace whole-word lexicon terms with <phoneme> / <sub> markup. Tags and
+ * text already inside <say-as>, <sub>, <phoneme> or <audio> are untouched,
+ * so applying a lexicon twice changes nothing.
+ * @param {string} text - Text (may contain inline SSML)
+ * @param {Object|null} lexicon - Compiled lexicon (see compileLexicon)
+ * @returns {string} - Text with pronunciation markup
+ */
+export function applyLexicon(text, lexicon) {
+  return lexicon?.size ? rewriteUnmarkedText(text, lexicon.rules) : text;
+}
@@ -0,0 +1,134 @@
+// utils/loudness.js
+// Two-pass EBU R128 loudness normalization (ffmpeg loudnorm) with measurement report
+
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import logger from './logger.js';
+import { meterFFmpeg } from './usage.js';
+
+const execPromise = meterFFmpeg(promisify(exec));
+
+// Final episode encoding (192 kbps CBR), shared by the normalized and pass-through paths
+const MP3_OUTPUT_ARGS = '-c:a libmp3lame -b:a 192k -ar 44100 -ac 2';
+
+function ffmpegCommand() {
+  return `"${process.env.FFMPEG_PATH || 'ffmpeg'}" -hide_banner -nostats`;
+}
+
+function parseLevel(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Default loudness target from PODCAST_TARGET_LOUDNESS / PODCAST_MAX_PEAK
+ * (e.g. "-16LUFS", "-1.0dBTP"), falling back to -16 LUFS / -1 dBTP.
+ * @returns {Object} - { enabled, integrated, truePeak, lra }
+ */
+export function defaultLoudnessTarget() {
+  return {
+    enabled: process.env.AUDIO_NORMALIZE !== 'false',
+    integrated: parseLevel(process.env.PODCAST_TARGET_LOUDNESS, -16),
+    truePeak: parseLevel(process.env.PODCAST_MAX_PEAK, -1),
+    lra: 11,
+  };
+}
+
+function loudnormFilter({ integrated, truePeak, lra }, measured = null) {
+  const params = [`I=${integrated}`, `TP=${truePeak}`, `LRA=${lra}`];
+  if (measured) {
+    params.push(
+      `measured_I=${measured.input_i}`,
+      `measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}`,
+      `measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}`,
+      'linear=true'
+    );
+  }
+  return `loudnorm=${params.join(':')}:print_format=json`;
+}
+
+// loudnorm prints its JSON report as the last {...} block on stderr
+function parseLoudnormReport(stderr) {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Could not read loudnorm measurement from ffmpeg output');
+  }
+  return JSON.parse(stderr.slice(start, end + 1));
+}
+
+function toReport(raw) {
+  return {
+    integrated: parseFloat(raw.input_i),
+    lra: parseFloat(raw.input_lra),
+    truePeak: parseFloat(raw.input_tp),
+    threshold: parseFloat(raw.input_thresh),
+  };
+}
+
+async function analyze(inputPath, target) {
+  const cmd = [
+    ffmpegCommand(),
+    `-i "${inputPath}"`,
+    `-af "${loudnormFilter(target)}"`,
+    '-f null -',
+  ].join(' ');
+
+  const { stderr } = await execPromise(cmd, { maxBuffer: 10 * 1024 * 1024 });
+  return parseLoudnormReport(stderr);
+}
+
+/**
+ * Measure integrated loudness, loudness range and true peak.
+ * @param {string} inputPath - Audio file
+ * @param {Object} target - Loudness target (only used to drive the analyzer)
+ * @returns {Promise<Object>} - { integrated, lra, truePeak, threshold }
+ */
+export async function measureLoudness(inputPath, target = defaultLoudnessTarget()) {
+  return toReport(await analyze(inputPath, target));
+}
+
+/**
+ * Encode the final MP3, normalizing to the target with two-pass loudnorm
+ * when enabled. Returns the before/after measurements.
+ * @param {string} inputPath - Mastered mix (lossless intermediate)
+ * @param {string} outputPath - Final MP3
+ * @param {Object} target - { enabled, integrated, truePeak, lra }
+ * @returns {Promise<Object|null>} - { target, before, after }, or null when disabled
+ */
+export async function normalizeLoudness(inputPath, outputPath, target = defaultLoudnessTarget()) {
+  if (!target.enabled) {
+    await execPromise(`${ffmpegCommand()} -y -i "${inputPath}" ${MP3_OUTPUT_ARGS} "${outputPath}"`);
+    return null;
+  }
+
+  // Pass 1: measure the mix
+  const measured = await analyze(inputPath, target);
+  const before = toReport(measured);
+
+  // Pass 2: linear normalization using the measured values, back to 44.1 kHz.
+  // Digital silence has no integrated loudness (-inf), so there is nothing to scale.
+  const normalizable = Number.isFinite(before.integrated);
+  if (!normalizable) logger.warn('Skipping loudness normalization of silent audio', { inputPath });
+
+  const cmd = [
+    `${ffmpegCommand()} -y`,
+    `-i "${inputPath}"`,
+    normalizable ? `-af "${loudnormFilter(target, measured)},aresample=44100"` : '',
+    MP3_OUTPUT_ARGS,
+    `"${outputPath}"`,
+  ].join(' ');
+  await execPromise(cmd, { maxBuffer: 10 * 1024 * 1024 });
+
+  // Measure the encoded file so the report reflects what listeners get
+  const after = await measureLoudness(outputPath, target);
+
+  logger.info('Loudness normalized', { before, after, target });
+  return {
+    target: { integrated: target.integrated, truePeak: target.truePeak, lra: target.lra },
+    before,
+    after,
+  };
+}
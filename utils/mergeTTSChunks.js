@@ -1,47 +1,64 @@
 import { spawn } from "child_process";
-import fs from "fs";
+import { promises as fs } from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
 
-import r2merged from "./r2merged.js";   // ✅ fixed (no extra utils)
+import { getObject, putObject } from "./storage.js";
+import { meterFFmpeg } from "./usage.js";
 import logger from "./logger.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const TEMP_DIR = "/tmp/audio-processing";
 
-export async function mergeChunksWithFFmpeg(sessionId, chunkFiles) {
+const runFFmpeg = meterFFmpeg((args) => {
   return new Promise((resolve, reject) => {
-    const outputFile = path.join(__dirname, `${sessionId}_merged.mp3`);
-
-    const ffmpegArgs = [
-      "-y",
-      "-i",
-      `concat:${chunkFiles.join("|")}`,
-      "-c",
-      "copy",
-      outputFile,
-    ];
-
-    const ffmpeg = spawn("ffmpeg", ffmpegArgs);
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || "ffmpeg", args);
 
     ffmpeg.stderr.on("data", (data) => {
-      logger.info(`ffmpeg: ${data}`);
+      logger.debug(`ffmpeg: ${data}`);
     });
 
-    ffmpeg.on("close", async (code) => {
-      if (code === 0) {
-        const fileBuffer = fs.readFileSync(outputFile);
-
-        try {
-          const url = await r2merged(`${sessionId}/merged.mp3`, fileBuffer);
-          fs.unlinkSync(outputFile);
-          resolve(url);
-        } catch (err) {
-          reject(err);
-        }
-      } else {
-        reject(new Error(`ffmpeg exited with code ${code}`));
-      }
+    ffmpeg.on("error", reject);
+    ffmpeg.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg exited with code ${code}`));
     });
   });
-              }
+});
+
+/**
+ * Download a session's chunks from the chunks bucket, join them with the
+ * ffmpeg concat demuxer and upload the result to the merged bucket.
+ * @param {string} sessionId - Session id
+ * @param {string[]} chunkKeys - Chunk keys in playback order
+ * @returns {Promise<string>} - Public URL of <sessionId>/merged.mp3
+ */
+export async function mergeChunksWithFFmpeg(sessionId, chunkKeys) {
+  const workDir = path.join(TEMP_DIR, `${sessionId}_merge`);
+  await fs.mkdir(workDir, { recursive: true });
+
+  try {
+    const chunkFiles = [];
+    for (const [i, key] of chunkKeys.entries()) {
+      const body = await getObject("chunks", key);
+      if (!body) throw new Error(`Missing chunk ${key}`);
+
+      const chunkFile = path.join(workDir, `chunk_${i}.mp3`);
+      await fs.writeFile(chunkFile, body);
+      chunkFiles.push(chunkFile);
+    }
+
+    const listFile = path.join(workDir, "chunks.txt");
+    await fs.writeFile(listFile, chunkFiles.map((f) => `file '${f}'`).join("\n"));
+
+    const outputFile = path.join(workDir, "merged.mp3");
+    await runFFmpeg(["-y", "-f", "concat", "-safe", "0", "-i", listFile, "-c", "copy", outputFile]);
+
+    const url = await putObject("merged", `${sessionId}/merged.mp3`, await fs.readFile(outputFile), {
+      cacheControl: "public, max-age=31536000, immutable",
+    });
+
+    logger.info("Successfully uploaded merged file", { sessionId, url, chunks: chunkKeys.length });
+    return url;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,101 @@
+// utils/podcastPipeline.js
+// Podcast jobs: optional text -> narration, then intro/content/outro mastering
+
+import { createPodcast } from './podcastProcessor.js';
+import { runTTSPipeline } from './ttsPipeline.js';
+import { readSessionManifest, updateSessionManifest } from './textchunksR2.js';
+import { getShow } from './shows.js';
+import { getEpisode, nextEpisodeNumber, saveEpisode } from './episodes.js';
+import { resolveEpisodeTags } from './episodeTags.js';
+import { sectionStartTimes } from './chapters.js';
+import { buildTranscriptCues, publishTranscripts } from './transcripts.js';
+import { currentTenant } from './storage.js';
+import logger from './logger.js';
+
+const noopStage = async () => {};
+
+/**
+ * Produce a finished episode. With `text` the narration is synthesized first
+ * (one-shot mode); otherwise `mergedUrl` or the session's merged.mp3 is used.
+ * @param {Object} params - { sessionId, jobId?, show?, episode?, tags?, text?, mergedUrl?, intro, outro, music?, provider?, voice?, audioConfig? }
+ * @param {Function} setStage - Progress reporter (stage, progress)
+ * @returns {Promise<Object>} - createPodcast result (plus mergedUrl in one-shot mode)
+ */
+export async function runPodcastPipeline(params, setStage = noopStage) {
+  const { sessionId, text, mergedUrl, intro, outro } = params;
+  const show = await getShow(params.show);
+
+  let narration = mergedUrl;
+  let tts = null;
+  if (text) {
+    tts = await runTTSPipeline(params, setStage);
+  }
+  if (!narration) {
+    narration = { bucket: 'merged', key: `${sessionId}/merged.mp3` };
+  }
+
+  // `music: false` turns off the show's default bed for this episode
+  const music = params.music === false ? null : params.music || show.audio.music.asset;
+
+  // The episode number is fixed up front so it can go into the ID3 track tag;
+  // re-rendering a session keeps its existing number.
+  const details = params.episode || {};
+  // Session ids are only unique within a tenant, so episodes are keyed by both
+  const tenant = currentTenant();
+  const existing = await getEpisode(show.id, sessionId, tenant);
+  const episodeNumber =
+    details.episodeNumber ??
+    existing?.episodeNumber ??
+    (await nextEpisodeNumber(show.id, sessionId, tenant));
+  const tags = resolveEpisodeTags(show, { ...details, episodeNumber }, params.tags);
+
+  // Section timings only describe the session's own merged narration
+  const manifest = await readSessionManifest(sessionId);
+  const sections = mergedUrl ? [] : sectionStartTimes(manifest);
+
+  const result = await createPodcast(sessionId, narration, intro, outro, {
+    template: show.audio,
+    music,
+    tags,
+    sections,
+    jobId: params.jobId,
+    onStage: setStage,
+  });
+  result.show = show.id;
+
+  // Timed transcripts, also limited to the session's own narration
+  result.transcripts = [];
+  if (manifest && !mergedUrl) {
+    await setStage('transcribing');
+    const cues = buildTranscriptCues(manifest, result.timings.contentStartSeconds);
+    result.transcripts = await publishTranscripts(sessionId, cues);
+  }
+
+  // Publish into the show's episode registry (feeds read from it)
+  const episode = await saveEpisode(show.id, {
+    id: sessionId,
+    tenant,
+    sessionId,
+    title: details.title,
+    description: details.description,
+    season: details.season,
+    episodeNumber,
+    explicit: details.explicit,
+    artwork: details.artwork,
+    tags: params.tags,
+    podcastUrl: result.podcastUrl,
+    chapters: result.chapters,
+    chaptersUrl: result.chaptersUrl,
+    transcripts: result.transcripts,
+    fileSize: result.fileSize,
+    durationSeconds: result.durationSeconds,
+  });
+  result.episodeNumber = episode.episodeNumber;
+
+  if (manifest) {
+    await updateSessionManifest(sessionId, { podcastUrl: result.podcastUrl });
+  }
+
+  logger.info('Podcast job finished', { sessionId, podcastUrl: result.podcastUrl });
+  return tts ? { ...result, mergedUrl: tts.mergedUrl, manifestUrl: tts.manifestUrl } : result;
+}
@@ -1,64 +1,124 @@
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import { exec } from 'child_process';
+import { randomUUID } from 'crypto';
 import { promisify } from 'util';
 import logger from './logger.js';
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
-import axios from 'axios';
-
-const execPromise = promisify(exec);
-const r2PodcastClient = new S3Client({
-  region: 'auto',
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID || process.env.R2_ACCESS_KEY, // Supports both naming conventions
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || process.env.R2_SECRET_KEY // Supports both naming conventions
-  }
-  });
+import { pipeline } from 'stream/promises';
+import { getObjectStream, putObject } from './storage.js';
+import { getShow } from './shows.js';
+import { normalizeLoudness } from './loudness.js';
+import { PODCAST_CACHE_CONTROL, tagFile } from './episodeTags.js';
+import { buildChapters, toChaptersJson } from './chapters.js';
+import { meterFFmpeg } from './usage.js';
+import { fetchPublicUrl } from './safeFetch.js';
+
+const execPromise = meterFFmpeg(promisify(exec));
 
-// Constants
-const INTRO_DURATION = 16; // seconds
-const OUTRO_DURATION = 15; // seconds
-const FADE_IN_DURATION = 6; // seconds
-const CONTENT_FADE_OUT_START = 60; // seconds
-const CONTENT_FADE_OUT_DURATION = 6; // seconds
+// Every segment is brought to the output format before fades/joins
+const SEGMENT_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+
+// Remote intro/outro/music/narration downloads: AUDIO_FETCH_MAX_BYTES (default 200 MB)
+const AUDIO_FETCH_MAX_BYTES = parseInt(process.env.AUDIO_FETCH_MAX_BYTES, 10) || 200 * 1024 * 1024;
 
 // Generate short TT-prefixed ID (e.g. TT-A5X9F3)
 const generateShortId = () => `TT-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
 
-export async function createPodcast(sessionId, mergedUrl, introUrl, outroUrl) {
+/**
+ * Master intro + narration + outro into the final episode and upload it.
+ * Audio sources are http(s) URLs, keys in the assets bucket, or
+ * { bucket, key } storage references.
+ * @param {string} sessionId - Session id (used for the podcast key)
+ * @param {string|Object} mergedUrl - Narration audio
+ * @param {string|Object} introUrl - Intro audio
+ * @param {string|Object} outroUrl - Outro audio
+ * @param {Object} options - { template, music, tags, sections, jobId, onStage(stage) }; template
+ *   is a show's audio template (trim lengths, fades, crossfades, music bed settings),
+ *   default show if omitted; music is an optional bed source ducked under the
+ *   narration; tags are resolved ID3 values written before upload; sections are
+ *   [{ title, startTime }] relative to the narration, turned into chapters
+ * @returns {Promise<Object>} - { podcastUrl, duration, timings, technicalDetails, ... }
+ */
+export async function createPodcast(sessionId, mergedUrl, introUrl, outroUrl, options = {}) {
+  const { onStage = async () => {}, music = null, tags = null, sections = [] } = options;
+  const template = options.template || (await getShow()).audio;
   const startTime = Date.now();
   const tempDir = '/tmp/audio-processing';
+  // Session ids repeat across tenants and re-renders, so temp files also carry the job id
+  const workId = `${sessionId}_${options.jobId || randomUUID()}`;
   await fs.mkdir(tempDir, { recursive: true });
 
   try {
     // 1. Download all audio components
     const [mergedPath, introPath, outroPath] = await Promise.all([
-      downloadAudio(mergedUrl, path.join(tempDir, `${sessionId}_merged.mp3`)),
-      downloadAudio(introUrl, path.join(tempDir, `${sessionId}_intro.mp3`)),
-      downloadAudio(outroUrl, path.join(tempDir, `${sessionId}_outro.mp3`))
+      downloadAudio(mergedUrl, path.join(tempDir, `${workId}_merged.mp3`)),
+      downloadAudio(introUrl, path.join(tempDir, `${workId}_intro.mp3`)),
+      downloadAudio(outroUrl, path.join(tempDir, `${workId}_outro.mp3`))
     ]);
+    const musicPath = music
+      ? await downloadAudio(music, path.join(tempDir, `${workId}_music.mp3`))
+      : null;
 
-    // 2. Validate audio files
-    await validateAudioFiles(introPath, outroPath);
+    // 2. Validate audio files against the template
+    const durations = await validateAudioFiles(template, introPath, mergedPath, outroPath);
 
     // 3. Process with professional audio effects
-    const outputFile = path.join(tempDir, `${sessionId}_final.mp3`);
-    await processAudioWithPrecision(introPath, mergedPath, outroPath, outputFile);
+    await onStage('mastering');
+    const mixedFile = path.join(tempDir, `${workId}_mixed.flac`);
+    await processAudioWithPrecision(
+      introPath,
+      mergedPath,
+      outroPath,
+      mixedFile,
+      template,
+      durations.content,
+      musicPath
+    );
+
+    // 3b. Loudness normalization and final MP3 encode
+    const outputFile = path.join(tempDir, `${workId}_final.mp3`);
+    const loudness = await normalizeLoudness(mixedFile, outputFile, template.loudness);
 
-    // 4. Get final audio metadata
+    // 4. Get final audio metadata; the narration starts where the intro
+    // (less any crossfade) ends
     const metadata = await getAudioMetadata(outputFile);
+    const contentStart = template.intro.duration - template.crossfade.introToContent;
+    const outroStart = contentStart + durations.content - template.crossfade.contentToOutro;
+
+    // 4b. Chapters and ID3 tags
+    const chapters = buildChapters(sections, {
+      contentStart,
+      duration: metadata.seconds,
+      fallbackTitle: tags?.title || undefined,
+    });
+    if (tags) {
+      await tagFile(outputFile, { ...tags, chapters });
+      metadata.size = (await fs.stat(outputFile)).size;
+    }
 
     // 5. Upload to podcast bucket
+    await onStage('uploading');
     const podcastKey = `${sessionId}.mp3`;
     const podcastUrl = await uploadToPodcastBucket(outputFile, podcastKey);
+    let chaptersUrl = null;
+    if (chapters.length) {
+      chaptersUrl = await putObject(
+        'podcast',
+        `${sessionId}.chapters.json`,
+        JSON.stringify(toChaptersJson(chapters), null, 2),
+        { contentType: 'application/json+chapters', cacheControl: PODCAST_CACHE_CONTROL }
+      );
+    }
 
     // 6. Generate response
+
     return {
       success: true,
       sessionId,
       podcastUrl,
       duration: metadata.duration,
+      durationSeconds: metadata.seconds,
       fileSize: metadata.size,
       fileSizeHuman: (metadata.size / (1024 * 1024)).toFixed(2) + ' MB',
       uuid: generateShortId(),
@@ -67,12 +127,18 @@ export async function createPodcast(sessionId, mergedUrl, introUrl, outroUrl) {
         sampleRate: '44.1kHz',
         channels: 'stereo',
         format: 'MP3',
+        musicBed: Boolean(musicPath),
         processingTimeMs: Date.now() - startTime
       },
+      loudness,
+      chapters,
+      chaptersUrl,
       timings: {
-        introDuration: formatDuration(INTRO_DURATION),
-        contentDuration: formatDuration(metadata.seconds - INTRO_DURATION - OUTRO_DURATION),
-        outroDuration: formatDuration(OUTRO_DURATION)
+        introDuration: formatDuration(template.intro.duration),
+        contentDuration: formatDuration(durations.content),
+        outroDuration: formatDuration(template.outro.duration),
+        contentStartSeconds: contentStart,
+        outroStartSeconds: outroStart
       }
     };
 
@@ -84,60 +150,142 @@ export async function createPodcast(sessionId, mergedUrl, introUrl, outroUrl) {
     });
     throw error;
   } finally {
-    await cleanTempFiles(tempDir, sessionId);
+    await cleanTempFiles(tempDir, workId);
   }
 }
 
 // Helper functions
-async function downloadAudio(url, destination) {
-  const response = await axios({
-    url,
-    method: 'GET',
-    responseType: 'stream',
-    timeout: 30000
-  });
+async function openAudioSource(source) {
+  if (typeof source === 'string' && /^https?:\/\//i.test(source)) {
+    // Same private-address, redirect and size limits as /api/ingest
+    const response = await fetchPublicUrl(source, {
+      responseType: 'stream',
+      timeout: 30000,
+      maxBytes: AUDIO_FETCH_MAX_BYTES
+    });
+    return response.data;
+  }
 
-  const writer = fs.createWriteStream(destination);
-  response.data.pipe(writer);
+  // Bare keys refer to the assets bucket (e.g. "intros/show.mp3")
+  const { bucket, key } = typeof source === 'string' ? { bucket: 'assets', key: source } : source;
+  const stream = await getObjectStream(bucket, key);
+  if (!stream) throw new Error(`Audio not found in storage: ${bucket}/${key}`);
+  return stream;
+}
 
-  return new Promise((resolve, reject) => {
-    writer.on('finish', () => resolve(destination));
-    writer.on('error', reject);
-  });
+async function downloadAudio(source, destination) {
+  await pipeline(await openAudioSource(source), createWriteStream(destination));
+  return destination;
 }
 
-async function validateAudioFiles(introPath, outroPath) {
-  const [introDuration, outroDuration] = await Promise.all([
+async function validateAudioFiles(template, introPath, contentPath, outroPath) {
+  const [introDuration, contentDuration, outroDuration] = await Promise.all([
     getAudioDuration(introPath),
+    getAudioDuration(contentPath),
     getAudioDuration(outroPath)
   ]);
+  const { intro, content, outro, crossfade } = template;
 
-  if (introDuration < INTRO_DURATION) {
-    throw new Error(`Intro must be at least ${INTRO_DURATION}s (got ${introDuration}s)`);
+  if (introDuration < intro.duration) {
+    throw new Error(`Intro must be at least ${intro.duration}s (got ${introDuration}s)`);
   }
 
-  if (outroDuration < OUTRO_DURATION) {
-    throw new Error(`Outro must be at least ${OUTRO_DURATION}s (got ${outroDuration}s)`);
+  if (outroDuration < outro.duration) {
+    throw new Error(`Outro must be at least ${outro.duration}s (got ${outroDuration}s)`);
   }
+
+  const minContent = Math.max(
+    content.fadeIn + content.fadeOut,
+    crossfade.introToContent + crossfade.contentToOutro
+  );
+  if (contentDuration <= minContent) {
+    throw new Error(`Content must be longer than ${minContent}s for this template (got ${contentDuration}s)`);
+  }
+
+  return { intro: introDuration, content: contentDuration, outro: outroDuration };
+}
+
+function fadeFilters({ fadeIn, fadeOut, curve }, length) {
+  const filters = [];
+  if (fadeIn > 0) filters.push(`afade=t=in:st=0:d=${fadeIn}:curve=${curve}`);
+  if (fadeOut > 0) filters.push(`afade=t=out:st=${Math.max(0, length - fadeOut)}:d=${fadeOut}:curve=${curve}`);
+  return filters;
+}
+
+function joinSegments(first, second, overlap, curve, output) {
+  return overlap > 0
+    ? `${first}${second}acrossfade=d=${overlap}:c1=${curve}:c2=${curve}${output}`
+    : `${first}${second}concat=n=2:v=0:a=1${output}`;
+}
+
+// Pick a compressor ratio so narration at its measured mean level pulls the
+// bed down by roughly `duckDepth` dB: reduction = over * (1 - 1 / ratio).
+function duckingRatio(meanVolume, { threshold, duckDepth }) {
+  const over = meanVolume - threshold;
+  if (over <= 0 || duckDepth <= 0) return 1;
+  if (duckDepth >= over) return 20;
+  return Math.min(20, Math.max(1, over / (over - duckDepth)));
+}
+
+async function musicBedFilters(contentPath, contentDuration, musicSettings) {
+  const { level, duckDepth, threshold, attack, release, fadeIn, fadeOut } = musicSettings;
+  const meanVolume = await getMeanVolume(contentPath);
+  const ratio = duckingRatio(meanVolume, { threshold, duckDepth });
+
+  logger.debug('Music bed ducking', { meanVolume, threshold, duckDepth, ratio });
+
+  const bedFilters = [
+    `atrim=0:${contentDuration}`,
+    'asetpts=PTS-STARTPTS',
+    SEGMENT_FORMAT,
+    `volume=${level}dB`,
+    ...fadeFilters({ fadeIn, fadeOut, curve: 'tri' }, contentDuration)
+  ];
+
+  return [
+    `[3]${bedFilters.join(',')}[bed]`,
+    '[voice]asplit=2[speech][sidechain]',
+    `[bed][sidechain]sidechaincompress=threshold=${dbToLinear(threshold)}:ratio=${ratio}:` +
+      `attack=${attack}:release=${release}[ducked]`,
+    // amix scales each input by 1/n; restore unity gain for the narration
+    '[speech][ducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[a1]'
+  ];
+}
+
+function dbToLinear(db) {
+  return Math.pow(10, db / 20);
 }
 
-async function processAudioWithPrecision(introPath, contentPath, outroPath, outputPath) {
+async function processAudioWithPrecision(introPath, contentPath, outroPath, outputPath, template, contentDuration, musicPath = null) {
+  const { intro, content, outro, crossfade } = template;
+  const contentFilters = [SEGMENT_FORMAT, ...fadeFilters(content, contentDuration)];
+
+  const segments = [
+    ['[0]', [`atrim=0:${intro.duration}`, 'asetpts=PTS-STARTPTS', SEGMENT_FORMAT, ...fadeFilters(intro, intro.duration)], '[a0]'],
+    ['[1]', contentFilters, musicPath ? '[voice]' : '[a1]'],
+    ['[2]', [`atrim=0:${outro.duration}`, 'asetpts=PTS-STARTPTS', SEGMENT_FORMAT, ...fadeFilters(outro, outro.duration)], '[a2]']
+  ];
+  const bed = musicPath ? await musicBedFilters(contentPath, contentDuration, template.music) : [];
+
+  const filterGraph = [
+    ...segments.map(([input, filters, output]) => `${input}${filters.join(',')}${output}`),
+    ...bed,
+    joinSegments('[a0]', '[a1]', crossfade.introToContent, crossfade.curve, '[a01]'),
+    joinSegments('[a01]', '[a2]', crossfade.contentToOutro, crossfade.curve, '[out]')
+  ].join(';');
+
   const cmd = [
     'ffmpeg -y',
     `-i "${introPath}"`,
     `-i "${contentPath}"`,
     `-i "${outroPath}"`,
+    // Loop the bed so it always covers the narration; atrim cuts it to length
+    ...(musicPath ? [`-stream_loop -1 -i "${musicPath}"`] : []),
     '-filter_complex',
-    `"[0]atrim=0:${INTRO_DURATION},` +
-    `afade=t=in:st=0:d=${FADE_IN_DURATION},` +
-    `afade=t=out:st=${INTRO_DURATION-FADE_IN_DURATION}:d=${FADE_IN_DURATION}[a0];` +
-    `[1]afade=t=in:st=0:d=1,` +
-    `afade=t=out:st=${CONTENT_FADE_OUT_START}:d=${CONTENT_FADE_OUT_DURATION}[a1];` +
-    `[2]atrim=0:${OUTRO_DURATION},` +
-    `afade=t=in:st=0:d=${FADE_IN_DURATION}[a2];` +
-    `[a0][a1][a2]concat=n=3:v=0:a=1"`,
-    '-c:a libmp3lame -q:a 1',
-    '-b:a 192k',
+    `"${filterGraph}"`,
+    '-map "[out]"',
+    // Lossless intermediate; the loudness stage does the one lossy encode
+    '-c:a flac',
     '-ar 44100',
     '-ac 2',
     `"${outputPath}"`
@@ -157,9 +305,17 @@ async function getAudioMetadata(filePath) {
   };
 }
 
+async function getMeanVolume(filePath) {
+  const cmd = `ffmpeg -hide_banner -nostats -i "${filePath}" -af volumedetect -f null -`;
+  const { stderr } = await execPromise(cmd);
+  const match = stderr.match(/mean_volume:\s*(-?[\d.]+|-inf) dB/);
+  return match && match[1] !== '-inf' ? parseFloat(match[1]) : -Infinity;
+}
+
 async function getAudioDuration(filePath) {
   const cmd = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`;
-  return parseFloat(await execPromise(cmd).stdout.trim());
+  const { stdout } = await execPromise(cmd);
+  return parseFloat(stdout.trim());
 }
 
 function formatDuration(seconds) {
@@ -174,29 +330,24 @@ function formatDuration(seconds) {
 
 async function uploadToPodcastBucket(filePath, key) {
   const fileData = await fs.readFile(filePath);
-  
-  await r2PodcastClient.send(new PutObjectCommand({
-    Bucket: process.env.R2_BUCKET_PODCAST,
-    Key: key,
-    Body: fileData,
-    ContentType: 'audio/mpeg',
-    ACL: 'public-read',
-    CacheControl: 'public, max-age=31536000, immutable',
-    Metadata: {
+
+  return putObject('podcast', key, fileData, {
+    cacheControl: PODCAST_CACHE_CONTROL,
+    metadata: {
       'x-amz-meta-processed': 'true',
       'x-amz-meta-service': 'tts-chunker'
     }
-  }));
-
-  return `${process.env.R2_PUBLIC_BASE_URL_PODCAST.replace(/\/+$/, '')}/${key}`;
+  });
 }
 
-async function cleanTempFiles(tempDir, sessionId) {
+async function cleanTempFiles(tempDir, workId) {
   const patterns = [
-    `${sessionId}_merged.mp3`,
-    `${sessionId}_intro.mp3`,
-    `${sessionId}_outro.mp3`,
-    `${sessionId}_final.mp3`
+    `${workId}_merged.mp3`,
+    `${workId}_intro.mp3`,
+    `${workId}_outro.mp3`,
+    `${workId}_mixed.flac`,
+    `${workId}_final.mp3`,
+    `${workId}_music.mp3`
   ];
 
   await Promise.allSettled(
@@ -1,25 +1,56 @@
-import fs from "fs";
+import { execFile } from "child_process";
+import { promises as fs } from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import { promisify } from "util";
 
-import r2upload from "./r2upload.js";   // ✅ fixed
+import { putObject } from "./storage.js";
+import { meterFFmpeg } from "./usage.js";
 import logger from "./logger.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const execFilePromise = meterFFmpeg(promisify(execFile));
+const TEMP_DIR = "/tmp/audio-processing";
 
 export async function processTTSChunk(sessionId, index, audioBuffer) {
   try {
-    const filePath = path.join(__dirname, `${sessionId}_chunk_${index}.mp3`);
-    fs.writeFileSync(filePath, audioBuffer);
-
-    const url = await r2upload(`${sessionId}/chunk_${index}.mp3`, audioBuffer);
-    fs.unlinkSync(filePath);
+    const url = await putObject("chunks", `${sessionId}/chunk_${index}.mp3`, audioBuffer);
 
     logger.info("TTS chunk processed and uploaded", { sessionId, index, url });
     return url;
   } catch (error) {
-    logger.error("Failed to process TTS chunk", { error, sessionId, index });
+    logger.error("Failed to process TTS chunk", { error: error.message, sessionId, index });
     throw error;
   }
 }
+
+/**
+ * Measure a synthesized chunk with ffprobe. Section and chapter timings are
+ * built from these durations, so they must be real rather than estimated.
+ * @param {string} sessionId - Session id (temp file name)
+ * @param {number} index - Chunk index
+ * @param {Buffer} audioBuffer - Chunk audio
+ * @returns {Promise<number>} - Duration in seconds
+ */
+export async function probeChunkDuration(sessionId, index, audioBuffer) {
+  const file = path.join(TEMP_DIR, `${sessionId}_probe_${index}.mp3`);
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  await fs.writeFile(file, audioBuffer);
+
+  try {
+    const { stdout } = await execFilePromise(process.env.FFPROBE_PATH || "ffprobe", [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      file,
+    ]);
+    const duration = parseFloat(stdout.trim());
+    if (!Number.isFinite(duration)) {
+      throw new Error(`ffprobe returned no duration for chunk ${index}`);
+    }
+    return duration;
+  } finally {
+    await fs.unlink(file).catch(() => {});
+  }
+}
@@ -0,0 +1,103 @@
+// utils/rateLimiter.js
+// Per-provider token buckets (requests and characters per minute), shared by
+// every job in the process so parallel sessions stay inside provider quotas
+
+import logger from './logger.js';
+
+const limiters = new Map();
+
+function limitFromEnv(name, fallback) {
+  if (process.env[name] === undefined || process.env[name] === '') return fallback;
+  const value = Number(process.env[name]);
+  // 0 turns the limit off
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Quota for a provider: <NAME>_TTS_RPM requests and <NAME>_TTS_CPM characters
+ * per minute (e.g. GOOGLE_TTS_RPM), falling back to the provider's own
+ * `rateLimits`. A null limit is unbounded.
+ * @param {Object} provider - TTS provider ({ name, rateLimits? })
+ * @returns {Object} - { requestsPerMinute, charactersPerMinute }
+ */
+export function providerRateLimits(provider) {
+  const prefix = provider.name.toUpperCase().replace(/\W/g, '_');
+  const defaults = provider.rateLimits || {};
+  return {
+    requestsPerMinute: limitFromEnv(`${prefix}_TTS_RPM`, defaults.requestsPerMinute ?? null),
+    charactersPerMinute: limitFromEnv(`${prefix}_TTS_CPM`, defaults.charactersPerMinute ?? null),
+  };
+}
+
+// A bucket starts full and refills continuously at perMinute / 60 s
+function createBucket(perMinute) {
+  return { capacity: perMinute, tokens: perMinute, ratePerMs: perMinute / 60000, at: Date.now() };
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.at) * bucket.ratePerMs);
+  bucket.at = now;
+}
+
+// Milliseconds until the bucket holds `amount` tokens
+function waitTime(bucket, amount) {
+  return bucket.tokens >= amount ? 0 : (amount - bucket.tokens) / bucket.ratePerMs;
+}
+
+function getLimiter(provider) {
+  const limits = providerRateLimits(provider);
+  const current = limiters.get(provider.name);
+  if (
+    current &&
+    current.limits.requestsPerMinute === limits.requestsPerMinute &&
+    current.limits.charactersPerMinute === limits.charactersPerMinute
+  ) {
+    return current;
+  }
+
+  const limiter = {
+    limits,
+    requests: limits.requestsPerMinute && createBucket(limits.requestsPerMinute),
+    characters: limits.charactersPerMinute && createBucket(limits.charactersPerMinute),
+    queue: Promise.resolve(),
+  };
+  limiters.set(provider.name, limiter);
+  return limiter;
+}
+
+/**
+ * Wait until the provider's quota allows one more request of `characters`
+ * characters, then take it. Callers are served in arrival order, so a large
+ * chunk is never starved by smaller ones behind it.
+ * @param {Object} provider - TTS provider
+ * @param {number} characters - Input size of the request
+ * @returns {Promise<void>}
+ */
+export function acquireProviderCapacity(provider, characters) {
+  const limiter = getLimiter(provider);
+  const buckets = [
+    [limiter.requests, 1],
+    // A request larger than the whole minute's quota waits for a full bucket
+    [limiter.characters, Math.min(characters, limiter.characters?.capacity ?? 0)],
+  ].filter(([bucket]) => bucket);
+  if (!buckets.length) return Promise.resolve();
+
+  const turn = limiter.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      buckets.forEach(([bucket]) => refill(bucket, now));
+      const wait = Math.max(...buckets.map(([bucket, amount]) => waitTime(bucket, amount)));
+      if (wait <= 0) break;
+      logger.debug('Waiting for provider rate limit', {
+        provider: provider.name,
+        waitMs: Math.ceil(wait),
+      });
+      await new Promise((resolve) => setTimeout(resolve, Math.ceil(wait)));
+    }
+    buckets.forEach(([bucket, amount]) => {
+      bucket.tokens -= amount;
+    });
+  });
+  limiter.queue = turn;
+  return turn;
+}
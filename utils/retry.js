@@ -0,0 +1,101 @@
+// utils/retry.js
+// Exponential backoff for provider and storage calls, retrying only errors
+// that can succeed on a second attempt
+
+import logger from './logger.js';
+
+// gRPC status codes (Google client libraries): DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED,
+// ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_GRPC_CODES = new Set([4, 8, 10, 13, 14]);
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_SOCKET_TIMEOUT',
+]);
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Default retry settings: TTS_RETRIES extra attempts (default 3), starting
+ * at TTS_RETRY_BASE_MS (500) and doubling up to TTS_RETRY_MAX_MS (8000).
+ * @returns {Object} - { retries, baseDelayMs, maxDelayMs }
+ */
+export function retryLimits() {
+  return {
+    retries: Math.floor(numberFromEnv('TTS_RETRIES', 3)),
+    baseDelayMs: numberFromEnv('TTS_RETRY_BASE_MS', 500),
+    maxDelayMs: numberFromEnv('TTS_RETRY_MAX_MS', 8000),
+  };
+}
+
+function httpStatus(error) {
+  return error?.response?.status ?? error?.$metadata?.httpStatusCode ?? error?.statusCode;
+}
+
+/**
+ * Whether an error is worth retrying: rate limits, timeouts, 5xx responses,
+ * unavailable gRPC services and dropped connections. Invalid input, auth
+ * failures and unknown errors are permanent.
+ * @param {Error} error - Error thrown by a provider or storage call
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (typeof error.transient === 'boolean') return error.transient;
+  if (error.$retryable) return true;
+  if (typeof error.code === 'number') return TRANSIENT_GRPC_CODES.has(error.code);
+  if (TRANSIENT_NETWORK_CODES.has(error.code)) return true;
+
+  const status = httpStatus(error);
+  return status === 408 || status === 429 || (status >= 500 && status < 600);
+}
+
+// Full jitter keeps parallel retries from arriving together; a Retry-After
+// header from the provider is honoured when it asks for longer
+function backoffDelay(attempt, error, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  const retryAfter = Number(error?.response?.headers?.['retry-after']) * 1000;
+  return Math.max(Math.random() * ceiling, Number.isFinite(retryAfter) ? retryAfter : 0);
+}
+
+/**
+ * Run `fn`, retrying transient failures with exponential backoff. The last
+ * error is rethrown with `attempts` and `transient` set.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} [options] - { retries, baseDelayMs, maxDelayMs, isTransient, label, context }
+ * @returns {Promise<*>} - Result of `fn`
+ */
+export async function withRetry(fn, options = {}) {
+  const settings = { ...retryLimits(), ...options };
+  const isTransient = options.isTransient || isTransientError;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const transient = isTransient(error);
+      if (!transient || attempt >= settings.retries) {
+        error.attempts = attempt + 1;
+        error.transient = transient;
+        throw error;
+      }
+      const delay = backoffDelay(attempt, error, settings);
+      logger.warn(`${settings.label || 'Operation'} failed, retrying`, {
+        ...settings.context,
+        attempt: attempt + 1,
+        delayMs: Math.round(delay),
+        error: error.message,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
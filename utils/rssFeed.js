@@ -0,0 +1,144 @@
+// utils/rssFeed.js
+// RSS 2.0 feed with iTunes and Podcasting 2.0 namespace tags
+
+import { v5 as uuidv5 } from 'uuid';
+import { publicUrl, runAsTenant } from './storage.js';
+
+// Namespace UUID for podcast:guid, from the Podcasting 2.0 specification
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function tag(name, value, attrs = {}) {
+  const attrText = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join('');
+  if (value === undefined || value === null) return `<${name}${attrText}/>`;
+  return `<${name}${attrText}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Resolve an artwork/asset reference to a public URL. Feeds are read without
+ * an API key, so keys are resolved under the tenant that uploaded them.
+ * @param {string|null} ref - http(s) URL or assets-bucket key
+ * @param {string|null} [tenant] - Tenant owning the key (null: bucket root)
+ * @returns {string|null} - URL
+ */
+export function assetUrl(ref, tenant = null) {
+  if (!ref) return null;
+  if (/^https?:\/\//i.test(ref)) return ref;
+  return runAsTenant(tenant, () => publicUrl('assets', ref));
+}
+
+/**
+ * podcast:guid for a feed: UUIDv5 of the feed URL without scheme or trailing slash.
+ * @param {string} feedUrl - Public feed URL
+ * @returns {string} - GUID
+ */
+export function podcastGuid(feedUrl) {
+  return uuidv5(feedUrl.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, ''), PODCAST_GUID_NAMESPACE);
+}
+
+function categoryTag(category, subcategory) {
+  if (!category) return '';
+  if (!subcategory) return tag('itunes:category', null, { text: category });
+  return `<itunes:category text="${escapeXml(category)}">${tag('itunes:category', null, {
+    text: subcategory,
+  })}</itunes:category>`;
+}
+
+function itemXml(episode, feed) {
+  const artwork = assetUrl(episode.artwork, episode.tenant);
+  const explicit = episode.explicit ?? feed.explicit;
+  const title = episode.title || `Episode ${episode.episodeNumber}`;
+
+  const fields = [
+    tag('title', title),
+    tag('description', episode.description || ''),
+    // Episode ids are per tenant, so tenant episodes are qualified to stay unique
+    tag('guid', episode.tenant ? `${episode.tenant}:${episode.id}` : episode.id, {
+      isPermaLink: 'false',
+    }),
+    tag('pubDate', new Date(episode.publishedAt).toUTCString()),
+    tag('enclosure', null, {
+      url: episode.podcastUrl,
+      length: episode.fileSize,
+      type: 'audio/mpeg',
+    }),
+    tag('itunes:title', title),
+    tag('itunes:duration', Math.round(episode.durationSeconds)),
+    tag('itunes:explicit', explicit ? 'true' : 'false'),
+    tag('itunes:episodeType', episode.episodeType || 'full'),
+    episode.episodeNumber ? tag('itunes:episode', episode.episodeNumber) : '',
+    episode.season ? tag('itunes:season', episode.season) : '',
+    artwork ? tag('itunes:image', null, { href: artwork }) : '',
+    episode.episodeNumber ? tag('podcast:episode', episode.episodeNumber) : '',
+    episode.season ? tag('podcast:season', episode.season) : '',
+    episode.chaptersUrl
+      ? tag('podcast:chapters', null, {
+          url: episode.chaptersUrl,
+          type: 'application/json+chapters',
+        })
+      : '',
+    ...(episode.transcripts || []).map(({ url, type, rel }) =>
+      tag('podcast:transcript', null, { url, type, language: feed.language, rel })
+    ),
+  ].filter(Boolean);
+
+  return ['<item>', ...fields.map((line) => `  ${line}`), '</item>'].join('\n    ');
+}
+
+/**
+ * Render a show's feed.
+ * @param {Object} show - Show definition (uses show.feed)
+ * @param {Object[]} episodes - Episode records, newest first
+ * @param {string} feedUrl - Public URL of this feed
+ * @returns {string} - RSS XML
+ */
+export function buildFeed(show, episodes, feedUrl) {
+  const { feed } = show;
+  const title = feed.title || show.name;
+  const artwork = assetUrl(feed.artwork, show.tenant);
+
+  const channel = [
+    tag('title', title),
+    tag('link', feed.link || feedUrl),
+    tag('description', feed.description || title),
+    tag('language', feed.language),
+    tag('atom:link', null, { href: feedUrl, rel: 'self', type: 'application/rss+xml' }),
+    tag('itunes:author', feed.author),
+    `<itunes:owner>${tag('itunes:name', feed.ownerName || feed.author)}${tag(
+      'itunes:email',
+      feed.ownerEmail
+    )}</itunes:owner>`,
+    artwork ? tag('itunes:image', null, { href: artwork }) : '',
+    categoryTag(feed.category, feed.subcategory),
+    tag('itunes:explicit', feed.explicit ? 'true' : 'false'),
+    tag('itunes:type', feed.type),
+    tag('podcast:guid', feed.guid || podcastGuid(feedUrl)),
+    tag('podcast:locked', feed.locked ? 'yes' : 'no', { owner: feed.ownerEmail || undefined }),
+    episodes[0] ? tag('lastBuildDate', new Date(episodes[0].updatedAt).toUTCString()) : '',
+    ...episodes.map((episode) => itemXml(episode, feed)),
+  ].filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0"',
+    '  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"',
+    '  xmlns:podcast="https://podcastindex.org/namespace/1.0"',
+    '  xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    ...channel.map((line) => `    ${line}`),
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,211 @@
+// utils/safeFetch.js
+// Fetch user-supplied URLs without reaching private networks (SSRF guard),
+// with size, redirect and time limits
+
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Transform } from 'stream';
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether an IP address is in a loopback, private, link-local or reserved
+ * range. IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Parse a URL and reject anything but http(s) to a public host. Host names
+ * are checked again when they resolve (see the agents below), so DNS
+ * answers pointing at private ranges are caught too.
+ * @param {string} value - URL
+ * @returns {URL}
+ */
+export function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw httpError(400, `Invalid URL: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw httpError(400, `Only http and https URLs are allowed: ${value}`);
+  }
+  if (url.username || url.password) {
+    throw httpError(400, `URLs with credentials are not allowed: ${value}`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (/^localhost$|\.localhost$/i.test(host) || (net.isIP(host) && isPrivateAddress(host))) {
+    throw httpError(403, `Blocked address: ${url.hostname}`);
+  }
+  return url;
+}
+
+// Checks every address a host name resolves to, at connect time
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(
+        httpError(403, `Blocked address: ${hostname} resolves to ${blocked.address}`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Current limits: URL_FETCH_TIMEOUT (ms, default 10000), URL_FETCH_MAX_BYTES
+ * (default 2 MB) and URL_FETCH_MAX_REDIRECTS (default 5).
+ * @returns {Object} - { timeout, maxBytes, maxRedirects }
+ */
+export function fetchLimits() {
+  const number = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    timeout: number('URL_FETCH_TIMEOUT', 10000),
+    maxBytes: number('URL_FETCH_MAX_BYTES', 2 * 1024 * 1024),
+    maxRedirects: number('URL_FETCH_MAX_REDIRECTS', 5),
+  };
+}
+
+// axios only enforces maxContentLength on buffered bodies, so streams are
+// counted as they are read
+function limitStream(stream, maxBytes, href) {
+  let bytes = 0;
+  const limited = new Transform({
+    transform(chunk, _encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        stream.destroy();
+        return callback(httpError(413, `Response from ${href} is larger than ${maxBytes} bytes`));
+      }
+      callback(null, chunk);
+    },
+  });
+  stream.on('error', (error) => limited.destroy(error));
+  return stream.pipe(limited);
+}
+
+/**
+ * GET a public URL. Redirects are followed one hop at a time so every
+ * target passes the same checks. Throws with status 403 for blocked
+ * addresses, 413 for oversized bodies and 502 for other upstream failures.
+ * With `responseType: 'stream'` an oversized body fails the stream with 413.
+ * @param {string} value - URL
+ * @param {Object} [options] - { timeout, maxBytes, maxRedirects, responseType, headers }
+ * @returns {Promise<Object>} - { url (after redirects), status, headers, data }
+ */
+export async function fetchPublicUrl(value, options = {}) {
+  const { timeout, maxBytes, maxRedirects } = { ...fetchLimits(), ...options };
+  let url = assertPublicUrl(value);
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await axios.get(url.href, {
+        timeout,
+        maxContentLength: maxBytes,
+        maxRedirects: 0,
+        responseType: options.responseType || 'text',
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        validateStatus: (status) => status >= 200 && status < 400,
+        headers: {
+          'User-Agent':
+            process.env.USER_AGENT || 'Mozilla/5.0 (compatible; TTS-Chunker-Service/1.0)',
+          ...options.headers,
+        },
+      });
+    } catch (err) {
+      if (err.response) {
+        throw httpError(502, `Failed to fetch ${url.href}: HTTP ${err.response.status}`);
+      }
+      // Blocked addresses from publicLookup
+      const blocked = [err, err.cause].find((e) => e?.status === 403);
+      if (blocked) throw httpError(403, blocked.message);
+      if (/maxContentLength/.test(err.message)) {
+        throw httpError(413, `Response from ${url.href} is larger than ${maxBytes} bytes`);
+      }
+      throw httpError(502, `Failed to fetch ${url.href}: ${err.message}`);
+    }
+
+    const streamed = options.responseType === 'stream';
+    if (response.status < 300) {
+      if (streamed && Number(response.headers['content-length']) > maxBytes) {
+        response.data.destroy();
+        throw httpError(413, `Response from ${url.href} is larger than ${maxBytes} bytes`);
+      }
+      return {
+        url: url.href,
+        status: response.status,
+        headers: response.headers,
+        data: streamed ? limitStream(response.data, maxBytes, url.href) : response.data,
+      };
+    }
+    if (streamed) response.data.destroy();
+    if (!response.headers.location) {
+      throw httpError(502, `Redirect from ${url.href} has no location`);
+    }
+    if (redirects >= maxRedirects) {
+      throw httpError(502, `Too many redirects (more than ${maxRedirects}) from ${value}`);
+    }
+    url = assertPublicUrl(new URL(response.headers.location, url).href);
+  }
+}
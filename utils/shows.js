@@ -0,0 +1,406 @@
+// utils/shows.js
+// Server-side show definitions: named templates selected per request
+
+import { dataPath, readJSON, writeJSON } from './dataStore.js';
+import { defaultLoudnessTarget } from './loudness.js';
+import { validateEnhanceOptions } from './chatgptSSMLGenerator.js';
+
+const SHOWS_FILE = dataPath('shows.json');
+
+export const DEFAULT_SHOW_ID = 'default';
+
+// Curves accepted by ffmpeg's afade / acrossfade filters
+export const FADE_CURVES = [
+  'tri',
+  'qsin',
+  'esin',
+  'hsin',
+  'log',
+  'ipar',
+  'qua',
+  'cub',
+  'squ',
+  'cbr',
+  'par',
+  'exp',
+  'iqsin',
+  'ihsin',
+  'dese',
+  'desi',
+  'losi',
+  'nofade',
+];
+
+// Matches the behaviour of the original hard-coded constants, except that
+// the narration fades out at its real end instead of one minute in.
+const DEFAULT_AUDIO_TEMPLATE = {
+  intro: { duration: 16, fadeIn: 6, fadeOut: 6, curve: 'tri' },
+  content: { fadeIn: 1, fadeOut: 6, curve: 'tri' },
+  outro: { duration: 15, fadeIn: 6, fadeOut: 0, curve: 'tri' },
+  crossfade: { introToContent: 0, contentToOutro: 0, curve: 'tri' },
+  // Optional bed under the narration; `asset` is a URL or assets-bucket key.
+  // level: bed gain (dB); duckDepth: attenuation while speech is present (dB);
+  // threshold: speech detection level (dBFS); attack/release in ms.
+  music: {
+    asset: null,
+    level: -18,
+    duckDepth: 12,
+    threshold: -30,
+    attack: 20,
+    release: 400,
+    fadeIn: 2,
+    fadeOut: 3,
+  },
+  // Two-pass EBU R128 normalization of the final mix (LUFS / dBTP / LU)
+  loudness: defaultLoudnessTarget(),
+};
+
+// RSS / iTunes / Podcasting 2.0 channel metadata. `artwork` is a URL or an
+// assets-bucket key; `title` falls back to the show name.
+const DEFAULT_FEED = {
+  title: null,
+  description: '',
+  author: '',
+  ownerName: '',
+  ownerEmail: '',
+  artwork: null,
+  category: 'Technology',
+  subcategory: null,
+  explicit: false,
+  language: 'en-gb',
+  link: null,
+  type: 'episodic',
+  guid: null,
+  locked: true,
+};
+
+// ID3 defaults for episode files. artist / album fall back to the feed
+// author / title and then the show name.
+const DEFAULT_TAGS = {
+  artist: null,
+  album: null,
+  genre: 'Podcast',
+};
+
+// LLM SSML enhancement; null fields fall back to SSML_MODE / LLM_* settings
+const DEFAULT_ENHANCE = {
+  mode: null,
+  baseUrl: null,
+  model: null,
+  prompt: null,
+  temperature: null,
+};
+
+const DEFAULT_SHOW = {
+  id: DEFAULT_SHOW_ID,
+  // Owning tenant; null for shows only admins may change (like the default)
+  tenant: null,
+  name: 'Default',
+  audio: DEFAULT_AUDIO_TEMPLATE,
+  feed: DEFAULT_FEED,
+  tags: DEFAULT_TAGS,
+  enhance: DEFAULT_ENHANCE,
+};
+
+const SHOW_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeDeep(base, override) {
+  if (!isPlainObject(override)) return override === undefined ? base : override;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = isPlainObject(base?.[key]) ? mergeDeep(base[key], value) : value;
+  }
+  return out;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function checkSeconds(errors, label, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    errors.push(`${label} must be a non-negative number of seconds`);
+  }
+}
+
+function checkRange(errors, label, value, min, max) {
+  if (typeof value !== 'number' || !(value >= min && value <= max)) {
+    errors.push(`${label} must be a number between ${min} and ${max}`);
+  }
+}
+
+// Sections that must be objects before their fields can be checked
+function sectionErrors(label, value, sections = []) {
+  if (!isPlainObject(value)) return [`${label} must be an object`];
+  return sections
+    .filter((section) => !isPlainObject(value[section]))
+    .map((section) => `${label}.${section} must be an object`);
+}
+
+function checkCurve(errors, label, value) {
+  if (!FADE_CURVES.includes(value)) {
+    errors.push(`${label} must be one of: ${FADE_CURVES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a fully-merged feed definition.
+ * @param {Object} feed - Feed metadata
+ * @returns {string[]} - Validation errors
+ */
+export function validateFeed(feed) {
+  const errors = sectionErrors('feed', feed);
+  if (errors.length) return errors;
+  const optionalStrings = ['title', 'artwork', 'subcategory', 'link', 'guid'];
+  const strings = ['description', 'author', 'ownerName', 'ownerEmail', 'category', 'language'];
+
+  for (const key of optionalStrings) {
+    if (feed[key] !== null && typeof feed[key] !== 'string') {
+      errors.push(`feed.${key} must be a string or null`);
+    }
+  }
+  for (const key of strings) {
+    if (typeof feed[key] !== 'string') errors.push(`feed.${key} must be a string`);
+  }
+  if (typeof feed.explicit !== 'boolean') errors.push('feed.explicit must be a boolean');
+  if (typeof feed.locked !== 'boolean') errors.push('feed.locked must be a boolean');
+  if (!['episodic', 'serial'].includes(feed.type)) {
+    errors.push('feed.type must be "episodic" or "serial"');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate fully-merged show-level ID3 defaults.
+ * @param {Object} tags - { artist, album, genre }
+ * @returns {string[]} - Validation errors
+ */
+export function validateShowTags(tags) {
+  const errors = sectionErrors('tags', tags);
+  if (errors.length) return errors;
+  for (const key of ['artist', 'album', 'genre']) {
+    if (tags[key] !== null && typeof tags[key] !== 'string') {
+      errors.push(`tags.${key} must be a string or null`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a fully-merged audio template.
+ * @param {Object} audio - Audio template
+ * @returns {string[]} - Validation errors
+ */
+export function validateAudioTemplate(audio) {
+  const errors = sectionErrors('audio', audio, [
+    'intro',
+    'content',
+    'outro',
+    'crossfade',
+    'music',
+    'loudness',
+  ]);
+  if (errors.length) return errors;
+  const { intro, content, outro, crossfade } = audio;
+
+  for (const [label, segment] of Object.entries({ intro, content, outro })) {
+    checkSeconds(errors, `${label}.fadeIn`, segment.fadeIn);
+    checkSeconds(errors, `${label}.fadeOut`, segment.fadeOut);
+    checkCurve(errors, `${label}.curve`, segment.curve);
+  }
+
+  for (const [label, segment] of Object.entries({ intro, outro })) {
+    checkSeconds(errors, `${label}.duration`, segment.duration);
+    if (segment.duration <= 0) errors.push(`${label}.duration must be greater than 0`);
+    if (segment.fadeIn + segment.fadeOut > segment.duration) {
+      errors.push(`${label} fades are longer than ${label}.duration`);
+    }
+  }
+
+  checkSeconds(errors, 'crossfade.introToContent', crossfade.introToContent);
+  checkSeconds(errors, 'crossfade.contentToOutro', crossfade.contentToOutro);
+  checkCurve(errors, 'crossfade.curve', crossfade.curve);
+  if (crossfade.introToContent > intro.duration) {
+    errors.push('crossfade.introToContent is longer than intro.duration');
+  }
+  if (crossfade.contentToOutro > outro.duration) {
+    errors.push('crossfade.contentToOutro is longer than outro.duration');
+  }
+
+  const { music } = audio;
+  if (music.asset !== null && (typeof music.asset !== 'string' || !music.asset.trim())) {
+    errors.push('music.asset must be a URL or asset key');
+  }
+  checkRange(errors, 'music.level', music.level, -60, 0);
+  checkRange(errors, 'music.duckDepth', music.duckDepth, 0, 40);
+  checkRange(errors, 'music.threshold', music.threshold, -60, 0);
+  checkRange(errors, 'music.attack', music.attack, 0.01, 2000);
+  checkRange(errors, 'music.release', music.release, 0.01, 9000);
+  checkSeconds(errors, 'music.fadeIn', music.fadeIn);
+  checkSeconds(errors, 'music.fadeOut', music.fadeOut);
+
+  const { loudness } = audio;
+  if (typeof loudness.enabled !== 'boolean') errors.push('loudness.enabled must be a boolean');
+  checkRange(errors, 'loudness.integrated', loudness.integrated, -70, -5);
+  checkRange(errors, 'loudness.truePeak', loudness.truePeak, -9, 0);
+  checkRange(errors, 'loudness.lra', loudness.lra, 1, 20);
+
+  return errors;
+}
+
+async function loadShows() {
+  return readJSON(SHOWS_FILE, {});
+}
+
+// Saves and deletes run one at a time so none of them writes a stale list
+let updateQueue = Promise.resolve();
+
+function queueUpdate(update) {
+  const next = updateQueue.catch(() => {}).then(update);
+  updateQueue = next;
+  return next;
+}
+
+// Internal callers (scripts, jobs) act with full access
+const SYSTEM_ACTOR = { tenant: null, admin: true };
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+/**
+ * Whether an API caller may change a show: admins always, others only the
+ * shows their tenant created.
+ * @param {Object} show - Show definition
+ * @param {Object} actor - { tenant, admin } of the caller
+ * @returns {boolean}
+ */
+export function canManageShow(show, actor) {
+  return actor.admin || (show.tenant ?? null) === actor.tenant;
+}
+
+/**
+ * Whether an API caller may publish episodes into a show or synthesize with
+ * its settings: admins always, others only their tenant's shows. Shows
+ * without a tenant (such as default) are admin-only, so tenants never share
+ * a feed.
+ * @param {Object} show - Show definition
+ * @param {Object} actor - { tenant, admin } of the caller
+ * @returns {boolean}
+ */
+export function canPublishToShow(show, actor) {
+  return canManageShow(show, actor);
+}
+
+/**
+ * Throw 403 unless canPublishToShow.
+ * @param {Object} show - Show definition
+ * @param {Object} actor - { tenant, admin } of the caller
+ */
+export function assertCanPublishToShow(show, actor) {
+  if (canPublishToShow(show, actor)) return;
+  throw forbidden(
+    show.tenant
+      ? `Show "${show.id}" belongs to another tenant`
+      : `Only admins may publish into show "${show.id}"`
+  );
+}
+
+/**
+ * List every show (the built-in default plus stored definitions).
+ * @returns {Promise<Object[]>} - Show definitions merged with defaults
+ */
+export async function listShows() {
+  const stored = await loadShows();
+  const ids = new Set([DEFAULT_SHOW_ID, ...Object.keys(stored)]);
+  return [...ids].map((id) => mergeDeep(DEFAULT_SHOW, { ...stored[id], id }));
+}
+
+/**
+ * Look up a show by id. Missing ids resolve to the default show.
+ * @param {string} [id] - Show id from the request
+ * @returns {Promise<Object>} - Show definition merged with defaults
+ */
+export async function getShow(id = DEFAULT_SHOW_ID) {
+  const stored = await loadShows();
+  if (id !== DEFAULT_SHOW_ID && !Object.hasOwn(stored, id)) {
+    const error = new Error(`Show "${id}" not found`);
+    error.status = 404;
+    throw error;
+  }
+  return mergeDeep(DEFAULT_SHOW, { ...stored[id], id });
+}
+
+/**
+ * Create or replace a show definition. Omitted fields fall back to defaults.
+ * A new show belongs to the caller's tenant; replacing one needs
+ * canManageShow (403 otherwise).
+ * @param {string} id - Show id (lowercase letters, digits and dashes)
+ * @param {Object} definition - Show fields ({ name, audio, ... })
+ * @param {Object} [actor] - { tenant, admin } of the caller
+ * @returns {Promise<Object>} - The stored show merged with defaults
+ */
+export async function saveShow(id, definition, actor = SYSTEM_ACTOR) {
+  if (!SHOW_ID_PATTERN.test(id)) {
+    throw badRequest('Show id must be lowercase letters, digits and dashes');
+  }
+  if (!isPlainObject(definition)) {
+    throw badRequest('Show definition must be an object');
+  }
+
+  // Ownership comes from who creates the show, never from the body
+  const fields = { ...definition };
+  delete fields.tenant;
+  const merged = mergeDeep(DEFAULT_SHOW, { ...fields, id });
+  const errors = [
+    ...validateAudioTemplate(merged.audio),
+    ...validateFeed(merged.feed),
+    ...validateShowTags(merged.tags),
+    ...validateEnhanceOptions(merged.enhance),
+  ];
+  if (errors.length) {
+    throw badRequest(`Invalid show template: ${errors.join('; ')}`);
+  }
+
+  return queueUpdate(async () => {
+    const stored = await loadShows();
+    const exists = id === DEFAULT_SHOW_ID || Object.hasOwn(stored, id);
+    const tenant = exists ? (stored[id]?.tenant ?? null) : actor.tenant;
+    if (exists && !canManageShow({ tenant }, actor)) {
+      throw forbidden(`Show "${id}" belongs to another tenant`);
+    }
+
+    stored[id] = { ...fields, id, tenant, updatedAt: new Date().toISOString() };
+    await writeJSON(SHOWS_FILE, stored);
+    return mergeDeep(DEFAULT_SHOW, stored[id]);
+  });
+}
+
+/**
+ * Delete a stored show. The built-in default reverts to its original values.
+ * Needs canManageShow (403 otherwise).
+ * @param {string} id - Show id
+ * @param {Object} [actor] - { tenant, admin } of the caller
+ * @returns {Promise<boolean>} - Whether a stored definition was removed
+ */
+export function deleteShow(id, actor = SYSTEM_ACTOR) {
+  return queueUpdate(async () => {
+    const stored = await loadShows();
+    if (!Object.hasOwn(stored, id)) return false;
+    if (!canManageShow(stored[id], actor)) {
+      throw forbidden(`Show "${id}" belongs to another tenant`);
+    }
+    delete stored[id];
+    await writeJSON(SHOWS_FILE, stored);
+    return true;
+  });
+}
@@ -0,0 +1,105 @@
+// utils/ssmlCache.js
+// Persistent content-hash cache for LLM SSML responses, bounded by age and size
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { dataPath, listJSON, readJSON, writeJSON } from './dataStore.js';
+import logger from './logger.js';
+
+const CACHE_DIR = dataPath('ssml-cache');
+// Pruning walks the whole directory, so it runs at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+let lastPrune = 0;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Current cache bounds: SSML_CACHE_TTL_HOURS (default 720),
+ * SSML_CACHE_MAX_ENTRIES (default 5000) and SSML_CACHE_MAX_MB (default 50).
+ * @returns {Object} - { ttlMs, maxEntries, maxBytes }
+ */
+export function cacheLimits() {
+  return {
+    ttlMs: numberFromEnv('SSML_CACHE_TTL_HOURS', 720) * 3600 * 1000,
+    maxEntries: numberFromEnv('SSML_CACHE_MAX_ENTRIES', 5000),
+    maxBytes: numberFromEnv('SSML_CACHE_MAX_MB', 50) * 1024 * 1024,
+  };
+}
+
+/**
+ * Cache key for everything that determines a response.
+ * @param {Object} parts - e.g. { baseUrl, model, prompt, temperature, input }
+ * @returns {string} - SHA-256 hex digest
+ */
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Read a cached value; expired entries are removed and count as misses.
+ * @param {string} key - See cacheKey
+ * @returns {Promise<string|null>} - Cached value
+ */
+export async function getCached(key) {
+  const entry = await readJSON(entryPath(key), null).catch(() => null);
+  if (!entry) return null;
+  if (Date.now() - Date.parse(entry.createdAt) > cacheLimits().ttlMs) {
+    await fs.rm(entryPath(key), { force: true });
+    return null;
+  }
+  return entry.value;
+}
+
+/**
+ * Store a value and prune the cache back within its bounds.
+ * @param {string} key - See cacheKey
+ * @param {string} value - Value to cache
+ */
+export async function setCached(key, value) {
+  await writeJSON(entryPath(key), { createdAt: new Date().toISOString(), value });
+  if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+    lastPrune = Date.now();
+    await pruneCache().catch((error) =>
+      logger.warn('SSML cache prune failed', { error: error.message })
+    );
+  }
+}
+
+/**
+ * Remove expired entries, then the oldest ones until the cache is within
+ * SSML_CACHE_MAX_ENTRIES and SSML_CACHE_MAX_MB.
+ * @returns {Promise<Object>} - { entries, bytes, removed }
+ */
+export async function pruneCache() {
+  const { ttlMs, maxEntries, maxBytes } = cacheLimits();
+  const now = Date.now();
+  const files = [];
+  for (const file of await listJSON(CACHE_DIR)) {
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat) files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+  }
+  files.sort((a, b) => a.mtime - b.mtime);
+
+  let bytes = files.reduce((sum, entry) => sum + entry.size, 0);
+  let count = files.length;
+  let removed = 0;
+  for (const entry of files) {
+    if (now - entry.mtime <= ttlMs && count <= maxEntries && bytes <= maxBytes) break;
+    await fs.rm(entry.file, { force: true });
+    bytes -= entry.size;
+    count--;
+    removed++;
+  }
+
+  if (removed) logger.info('SSML cache pruned', { removed, entries: count, bytes });
+  return { entries: count, bytes, removed };
+}
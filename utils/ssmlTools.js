@@ -2,38 +2,266 @@
 // Deterministic SSML utilities: chunking and safe markup
 
 import { Buffer } from "buffer";
+import ssmlValidator from "./ssmlValidator.js";
+import { applyLexicon } from "./lexicon.js";
 
+const { UK_SPECIFIC_RULES } = ssmlValidator;
+
+// A token is a run of non-space text and tags; tags may contain spaces
+// (<break time="1s"/>) but are never split
+const TOKEN_PATTERN = /(?:<[^<>]*>|[^\s<]|<)+/g;
+const TAG_PATTERN = /<[^<>]*>/g;
+const ABBREVIATION_TOKEN = new RegExp(`${UK_SPECIFIC_RULES.ABBREVIATIONS.source}$`, "i");
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;" };
+
+const SENTENCE_PAUSE = ' <break time="400ms"/> ';
+const CLAUSE_PAUSE = ' <break time="200ms"/> ';
+
+// Boundary strength after a token, in order of preference for chunk cuts
+const PARAGRAPH = 3;
+const SENTENCE = 2;
+const CLAUSE = 1;
+const WORD = 0;
+
+function bareText(token) {
+  return token.replace(TAG_PATTERN, "");
+}
+
+function isAbbreviation(token) {
+  return ABBREVIATION_TOKEN.test(bareText(token));
+}
+
+// Escape text outside tags, keeping existing XML entities
+function escapeToken(token) {
+  return token.replace(
+    /<[^<>]*>|&(?:#\d+|#x[\da-f]+|amp|lt|gt|quot|apos);|[&<>]/gi,
+    (m) => XML_ESCAPES[m] || m
+  );
+}
+
+function separatorAfter(token) {
+  const bare = bareText(token);
+  if (bare.endsWith(".") && !isAbbreviation(token)) return SENTENCE_PAUSE;
+  if (bare.endsWith(",")) return CLAUSE_PAUSE;
+  return " ";
+}
+
+function boundaryAfter(token, gap) {
+  if (/\n\s*\n/.test(gap)) return PARAGRAPH;
+  const bare = bareText(token);
+  if (/[.!?]["'”’)\]]*$/.test(bare) && !isAbbreviation(token)) return SENTENCE;
+  if (/[,;:]["'”’)\]]*$/.test(bare) || /^[—–-]+$/.test(bare)) return CLAUSE;
+  return WORD;
+}
+
+// Tokens are joined with a single separator, so the normalized text of a
+// token sequence is the sum of its parts; chunkScript relies on this.
 function normalizeText(text) {
-  return text
-    .replace(/\s+/g, " ")
-    .replace(/\.\s+/g, ". <break time=\"400ms\"/> ")
-    .replace(/,\s+/g, ", <break time=\"200ms\"/> ");
+  const tokens = text.match(TOKEN_PATTERN) || [];
+  return tokens
+    .map((token, i) => escapeToken(token) + (i < tokens.length - 1 ? separatorAfter(token) : ""))
+    .join("");
 }
 
-export function convertToSSML(text) {
-  const norm = normalizeText(text);
-  return `<speak><prosody rate="1.15" pitch="-3.0st" volume="+1.5dB">${norm}</prosody></speak>`;
+function pauseMarkup(seconds) {
+  return seconds > 0 ? ` <break time="${Math.round(seconds * 1000)}ms"/>` : "";
 }
 
-export function chunkByBytes(text, maxBytes = 3400) {
-  const words = text.split(/\s+/);
+/**
+ * Wrap text in the house prosody.
+ * @param {string} text - Plain text (inline SSML tags are passed through)
+ * @param {Object} options - { pauseAfter, lexicon }: seconds of silence appended after the
+ *   text (e.g. the gap between dialogue turns) and a compiled pronunciation lexicon
+ *   (see lexicon.js) applied to whole words outside tags
+ * @returns {string} - SSML document
+ */
+export function convertToSSML(text, { pauseAfter = 0, lexicon = null } = {}) {
+  const norm = normalizeText(applyLexicon(text, lexicon));
+  const pause = pauseMarkup(pauseAfter);
+  return `<speak><prosody rate="1.15" pitch="-3.0st" volume="+1.5dB">${norm}${pause}</prosody></speak>`;
+}
+
+const WRAPPER_BYTES = Buffer.byteLength(convertToSSML(""), "utf8");
+
+/**
+ * Character ranges of the sentences in a text. Abbreviations from
+ * UK_SPECIFIC_RULES ("Dr.", "e.g.") do not end a sentence; blank lines do.
+ * @param {string} text - Plain text
+ * @returns {Object[]} - [{ start, end }] (end exclusive, no surrounding whitespace)
+ */
+export function sentenceSpans(text) {
+  const spans = [];
+  const matches = [...text.matchAll(TOKEN_PATTERN)];
+  let start = null;
+
+  matches.forEach((match, i) => {
+    const end = match.index + match[0].length;
+    const gap = i + 1 < matches.length ? text.slice(end, matches[i + 1].index) : "";
+    if (start === null) start = match.index;
+    if (i + 1 === matches.length || boundaryAfter(match[0], gap) >= SENTENCE) {
+      spans.push({ start, end });
+      start = null;
+    }
+  });
+  return spans;
+}
+
+// Open elements form a persistent linked stack, so the markup needed to
+// close a chunk (and reopen it in the next one) is known for every token.
+function pushOpen(parent, tag) {
+  const name = tag.match(/^<\s*([\w:-]+)/)[1];
+  const close = `</${name}>`;
+  return {
+    tag,
+    name,
+    parent,
+    openBytes: (parent?.openBytes || 0) + Buffer.byteLength(tag, "utf8"),
+    closeBytes: (parent?.closeBytes || 0) + Buffer.byteLength(close, "utf8"),
+  };
+}
+
+function trackTags(open, token) {
+  for (const [tag] of token.matchAll(TAG_PATTERN)) {
+    if (/^<\s*\//.test(tag)) {
+      const name = tag.match(/^<\s*\/\s*([\w:-]+)/)?.[1];
+      if (open && open.name === name) open = open.parent;
+    } else if (!/\/\s*>$/.test(tag) && /^<\s*[\w:-]/.test(tag)) {
+      open = pushOpen(open, tag);
+    }
+  }
+  return open;
+}
+
+function openersText(open) {
+  const tags = [];
+  for (let node = open; node; node = node.parent) tags.unshift(node.tag);
+  return tags.join("");
+}
+
+function closersText(open) {
+  let text = "";
+  for (let node = open; node; node = node.parent) text += `</${node.name}>`;
+  return text;
+}
+
+// Split a plain-text token that cannot fit in a chunk on its own
+function splitOversizedToken(token, limit) {
+  if (/<[^<>]*>/.test(token) || limit <= 0) {
+    const error = new Error(`Markup is longer than the provider limit: ${token.slice(0, 80)}…`);
+    error.status = 400;
+    throw error;
+  }
+
+  const pieces = [];
+  let piece = "";
+  let pieceBytes = 0;
+  for (const char of token) {
+    const charBytes = Buffer.byteLength(escapeToken(char), "utf8");
+    if (pieceBytes + charBytes > limit && piece) {
+      pieces.push(piece);
+      piece = "";
+      pieceBytes = 0;
+    }
+    piece += char;
+    pieceBytes += charBytes;
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+function tokenize(text, budget) {
+  const matches = [...text.matchAll(TOKEN_PATTERN)];
+  const tokens = [];
+  let open = null;
+
+  matches.forEach((match, i) => {
+    const end = match.index + match[0].length;
+    const gap = i + 1 < matches.length ? text.slice(end, matches[i + 1].index) : "";
+    const openBefore = open;
+    open = trackTags(open, match[0]);
+
+    const wrapBytes = (openBefore?.openBytes || 0) + (open?.closeBytes || 0);
+    const bytes = Buffer.byteLength(escapeToken(match[0]), "utf8");
+    const parts =
+      wrapBytes + bytes > budget
+        ? splitOversizedToken(match[0], budget - wrapBytes)
+        : [match[0]];
+
+    parts.forEach((part, p) => {
+      const last = p === parts.length - 1;
+      tokens.push({
+        text: part,
+        bytes: Buffer.byteLength(escapeToken(part), "utf8"),
+        separatorBytes: Buffer.byteLength(separatorAfter(part), "utf8"),
+        level: last ? boundaryAfter(part, gap) : WORD,
+        openBefore: p === 0 ? openBefore : open,
+        openAfter: open,
+      });
+    });
+  });
+  return tokens;
+}
+
+/**
+ * Split a script into chunks whose SSML (convertToSSML) fits the provider's
+ * byte limit. Cuts prefer paragraph, then sentence, then clause, then word
+ * boundaries; abbreviations never end a sentence and tags are never cut.
+ * Elements left open at a cut are closed and reopened in the next chunk.
+ * Runs in linear time: token sizes are measured once and chunk sizes come
+ * from prefix sums.
+ * @param {string} text - Script text
+ * @param {Object} options - { maxBytes, pauseAfter, lexicon }; pauseAfter reserves room for
+ *   the trailing pause convertToSSML may add. The lexicon is applied before sizing, so
+ *   chunks already carry its markup and fit when passed to convertToSSML with it.
+ * @returns {string[]} - Chunk texts, to be passed to convertToSSML
+ */
+export function chunkScript(text, { maxBytes = 4800, pauseAfter = 0, lexicon = null } = {}) {
+  const budget = maxBytes - WRAPPER_BYTES - Buffer.byteLength(pauseMarkup(pauseAfter), "utf8");
+  if (budget <= 0) throw new Error(`maxBytes ${maxBytes} is too small for the SSML wrapper`);
+
+  const tokens = tokenize(applyLexicon(text, lexicon), budget);
+  const prefix = [0];
+  for (const token of tokens) prefix.push(prefix.at(-1) + token.bytes + token.separatorBytes);
+
+  const chunkBytes = (first, last) =>
+    (tokens[first].openBefore?.openBytes || 0) +
+    prefix[last + 1] -
+    prefix[first] -
+    tokens[last].separatorBytes +
+    (tokens[last].openAfter?.closeBytes || 0);
+
+  const chunkText = (first, last) =>
+    openersText(tokens[first].openBefore) +
+    tokens
+      .slice(first, last + 1)
+      .map((token) => token.text)
+      .join(" ") +
+    closersText(tokens[last].openAfter);
+
   const chunks = [];
-  let current = "";
-
-  for (const word of words) {
-    const trial = current.length ? current + " " + word : word;
-    const ssmlTrial = convertToSSML(trial);
-    if (Buffer.byteLength(ssmlTrial, "utf8") <= maxBytes) {
-      current = trial;
-    } else {
-      if (current) chunks.push(convertToSSML(current));
-      current = word;
+  // latest[level]: last token index whose boundary is at least that strong
+  const latest = [-1, -1, -1, -1];
+  let start = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    while (chunkBytes(start, i) > budget) {
+      const cut = [PARAGRAPH, SENTENCE, CLAUSE, WORD]
+        .map((level) => latest[level])
+        .find((index) => index >= start);
+      chunks.push(chunkText(start, cut));
+      start = cut + 1;
     }
+    for (let level = WORD; level <= tokens[i].level; level++) latest[level] = i;
   }
-  if (current) chunks.push(convertToSSML(current));
+  if (start < tokens.length) chunks.push(chunkText(start, tokens.length - 1));
+
   return chunks;
 }
 
-export function buildDeterministicSSMLChunks(text) {
-  return chunkByBytes(text, 3400);
+export function chunkByBytes(text, maxBytes = 3400) {
+  return chunkScript(text, { maxBytes }).map((chunk) => convertToSSML(chunk));
+}
+
+export function buildDeterministicSSMLChunks(text, maxBytes = 3400) {
+  return chunkByBytes(text, maxBytes);
 }
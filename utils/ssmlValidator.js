@@ -1,5 +1,5 @@
 // utils/ssmlValidator.js
-import logger from './logger.js';
+// XML-based SSML validation against provider profiles, with auto-repair
 
 // UK-specific validation rules
 const UK_SPECIFIC_RULES = {
@@ -7,98 +7,605 @@ const UK_SPECIFIC_RULES = {
   CURRENCY_SYMBOLS: /[£$€]/,
   ABBREVIATIONS: /\b(Dr|Mr|Mrs|Ms|Prof|vs|e\.g|i\.e|etc)\./gi,
   POSTCODES: /[A-Z]{1,2}[0-9][A-Z0-9]? [0-9][A-Z]{2}/g,
-  TELEPHONE: /(?:\+44|0)\d{10}/g
+  TELEPHONE: /(?:\+44|0)\d{10}/g,
 };
 
-// Forbidden tags in strict mode
-const FORBIDDEN_TAGS = [
-  'voice', 'sub', 'emphasis', 'lang'
-];
-
-// Maximum recommended values for prosody
+// Recommended ranges for prosody, in real units
 const PROSODY_LIMITS = {
-  rate: { min: 60, max: 200 }, // percentage
-  pitch: { min: -12, max: +12 }, // semitones
-  volume: { min: -6, max: +6 } // decibels
+  rate: { min: 0.6, max: 2.0, unit: 'x' }, // multiplier of the voice's default rate
+  pitch: { min: -12, max: +12, unit: 'st' }, // semitones
+  volume: { min: -6, max: +6, unit: 'dB' }, // decibels
+};
+
+// Elements every provider accepts, with their attributes
+const CORE_ELEMENTS = {
+  speak: ['version', 'xml:lang', 'xml:base', 'xmlns', 'xmlns:*'],
+  p: [],
+  s: [],
+  break: ['time', 'strength'],
+  emphasis: ['level'],
+  prosody: ['rate', 'pitch', 'volume'],
+  'say-as': ['interpret-as', 'format'],
+  sub: ['alias'],
+  phoneme: ['alphabet', 'ph'],
+  lang: ['xml:lang'],
 };
 
 /**
- * Enhanced SSML validator with UK-specific rules
+ * Tags, attributes and prosody units each provider accepts. Prosody units
+ * are '' (a bare number), '%', 'st', 'Hz' and 'dB'; keywords are always allowed.
  */
-export function validateSSML(ssml, strict = true) {
+export const PROVIDER_PROFILES = {
+  google: {
+    label: 'Google Cloud TTS',
+    maxBreakSeconds: 10,
+    prosodyUnits: { rate: ['', '%'], pitch: ['st', '%', 'Hz'], volume: ['dB'] },
+    elements: {
+      ...CORE_ELEMENTS,
+      'say-as': ['interpret-as', 'format', 'detail', 'language'],
+      mark: ['name'],
+      audio: ['src', 'clipBegin', 'clipEnd', 'speed', 'repeatCount', 'repeatDur', 'soundLevel'],
+      desc: [],
+      voice: ['name', 'gender', 'variant', 'language', 'required', 'ordering'],
+      par: [],
+      seq: [],
+      media: [
+        'xml:id',
+        'begin',
+        'end',
+        'repeatCount',
+        'repeatDur',
+        'soundLevel',
+        'fadeInDur',
+        'fadeOutDur',
+      ],
+    },
+  },
+  polly: {
+    label: 'Amazon Polly',
+    maxBreakSeconds: 10,
+    prosodyUnits: { rate: ['%'], pitch: ['%'], volume: ['dB'] },
+    elements: {
+      ...CORE_ELEMENTS,
+      prosody: ['rate', 'pitch', 'volume', 'amazon:max-duration'],
+      mark: ['name'],
+      w: ['role'],
+      'amazon:auto-breaths': ['volume', 'frequency', 'duration'],
+      'amazon:breath': ['volume', 'duration'],
+      'amazon:domain': ['name'],
+      'amazon:effect': ['name', 'phonation', 'vocal-tract-length'],
+    },
+  },
+  azure: {
+    label: 'Azure Speech',
+    maxBreakSeconds: 20,
+    prosodyUnits: { rate: ['', '%'], pitch: ['st', '%', 'Hz'], volume: ['', '%', 'dB'] },
+    elements: {
+      ...CORE_ELEMENTS,
+      'say-as': ['interpret-as', 'format', 'detail'],
+      prosody: ['rate', 'pitch', 'volume', 'contour', 'range'],
+      voice: ['name', 'effect'],
+      audio: ['src'],
+      bookmark: ['mark'],
+      lexicon: ['uri'],
+      'mstts:express-as': ['style', 'styledegree', 'role'],
+      'mstts:silence': ['type', 'value'],
+    },
+  },
+};
+
+const REQUIRED_ATTRIBUTES = {
+  'say-as': ['interpret-as'],
+  sub: ['alias'],
+  phoneme: ['ph'],
+  audio: ['src'],
+  lang: ['xml:lang'],
+  mark: ['name'],
+  bookmark: ['mark'],
+};
+
+const PROSODY_KEYWORDS = {
+  rate: ['x-slow', 'slow', 'medium', 'fast', 'x-fast', 'default'],
+  pitch: ['x-low', 'low', 'medium', 'high', 'x-high', 'default'],
+  volume: ['silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud', 'default'],
+};
+const BREAK_STRENGTHS = ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'];
+const EMPHASIS_LEVELS = ['strong', 'moderate', 'none', 'reduced'];
+
+// ----------------------
+// Tokenizer
+// ----------------------
+const NAME = '[A-Za-z_][\\w.:-]*';
+const START_TAG = new RegExp(
+  `<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(/?)>`,
+  'y'
+);
+const END_TAG = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"<]*)"|'([^'<]*)')`, 'g');
+const SPECIAL_MARKUP = [
+  ['<!--', '-->', 'comment'],
+  ['<![CDATA[', ']]>', 'cdata'],
+  ['<?', '?>', 'instruction'],
+  ['<!DOCTYPE', '>', 'doctype'],
+];
+const STRAY_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[\da-f]+);)/gi;
+
+function readMarkup(ssml, start) {
+  for (const [open, close, type] of SPECIAL_MARKUP) {
+    if (ssml.startsWith(open, start)) {
+      const end = ssml.indexOf(close, start + open.length);
+      return end === -1 ? null : { type, raw: ssml.slice(start, end + close.length) };
+    }
+  }
+
+  END_TAG.lastIndex = start;
+  let match = END_TAG.exec(ssml);
+  if (match) return { type: 'end', name: match[1], raw: match[0] };
+
+  START_TAG.lastIndex = start;
+  match = START_TAG.exec(ssml);
+  if (!match) return null;
+  const attributes = [...match[2].matchAll(ATTRIBUTE)].map((attr) => ({
+    name: attr[1],
+    value: attr[2] ?? attr[3],
+  }));
+  return {
+    type: 'start',
+    name: match[1],
+    attributes,
+    selfClosing: match[3] === '/',
+    raw: match[0],
+  };
+}
+
+// Split SSML into text, tags and other markup. A "<" that does not begin
+// well-formed markup becomes a 'stray' token.
+function tokenize(ssml) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < ssml.length) {
+    const lt = ssml.indexOf('<', pos);
+    const textEnd = lt === -1 ? ssml.length : lt;
+    if (textEnd > pos) tokens.push({ type: 'text', raw: ssml.slice(pos, textEnd) });
+    if (lt === -1) break;
+
+    const markup = readMarkup(ssml, lt);
+    tokens.push(markup ? { ...markup, offset: lt } : { type: 'stray', raw: '<', offset: lt });
+    pos = lt + (markup ? markup.raw.length : 1);
+  }
+  return tokens;
+}
+
+// ----------------------
+// Attribute values
+// ----------------------
+const NUMBER = '([+-]?(?:\\d+(?:\\.\\d*)?|\\.\\d+))';
+const UNIT_PATTERNS = ['st', 'Hz', 'dB', '%', ''].map((unit) => [
+  unit,
+  new RegExp(`^${NUMBER}${unit}$`, 'i'),
+]);
+
+/**
+ * Parse a prosody attribute value.
+ * @param {string} value - e.g. "1.15", "85%", "-3.0st", "+1.5dB", "x-slow"
+ * @returns {Object|null} - { keyword } or { number, unit, signed }; null when malformed
+ */
+export function parseProsodyValue(value) {
+  const trimmed = value.trim();
+  if (/^[a-z-]+$/i.test(trimmed)) return { keyword: trimmed.toLowerCase() };
+  for (const [unit, pattern] of UNIT_PATTERNS) {
+    const match = trimmed.match(pattern);
+    if (match) return { number: parseFloat(match[1]), unit, signed: /^[+-]/.test(match[1]) };
+  }
+  return null;
+}
+
+// Convert a parsed prosody value to the unit of PROSODY_LIMITS. Returns null
+// when the value is impossible and undefined when it cannot be measured
+// (absolute Hz pitch, absolute Azure volume).
+const PROSODY_MEASURES = {
+  rate: ({ number, unit, signed }) => {
+    const multiplier = unit === '%' ? (signed ? 1 + number / 100 : number / 100) : number;
+    return multiplier > 0 && !(unit === '' && signed) ? multiplier : null;
+  },
+  pitch: ({ number, unit }) => {
+    if (unit === 'st') return number;
+    if (unit === '%') return number > -100 ? 12 * Math.log2(1 + number / 100) : null;
+    return undefined;
+  },
+  volume: ({ number, unit, signed }) => {
+    if (unit === 'dB') return number;
+    if (unit === '%') return number > -100 ? 20 * Math.log10(1 + number / 100) : null;
+    return signed || (number >= 0 && number <= 100) ? undefined : null;
+  },
+};
+
+function unitName(unit) {
+  return unit || 'number';
+}
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+function checkProsody(attribute, value, profile) {
+  const parsed = parseProsodyValue(value);
+  if (parsed?.keyword) {
+    return PROSODY_KEYWORDS[attribute].includes(parsed.keyword)
+      ? null
+      : { error: `Unknown prosody ${attribute} keyword "${value}"` };
+  }
+  const measured = parsed && PROSODY_MEASURES[attribute](parsed);
+  if (!parsed || measured === null) return { error: `Invalid prosody ${attribute} "${value}"` };
+
+  const units = profile.prosodyUnits[attribute];
+  if (!units.includes(parsed.unit)) {
+    return {
+      error:
+        `Prosody ${attribute} "${value}" uses a unit ${profile.label} does not accept ` +
+        `(use ${units.map(unitName).join(', ')} or a keyword)`,
+    };
+  }
+
+  const limits = PROSODY_LIMITS[attribute];
+  if (measured !== undefined && (measured < limits.min || measured > limits.max)) {
+    return {
+      warning:
+        `Prosody ${attribute} "${value}" (${round(measured)}${limits.unit}) is outside the ` +
+        `recommended range (${limits.min} to ${limits.max}${limits.unit})`,
+    };
+  }
+  return null;
+}
+
+function checkBreakTime(value, profile) {
+  const match = value.trim().match(/^(\d+(?:\.\d*)?|\.\d+)(ms|s)$/i);
+  if (!match) return { error: `Invalid <break> time "${value}"` };
+  const seconds = parseFloat(match[1]) / (match[2].toLowerCase() === 'ms' ? 1000 : 1);
+  if (seconds > profile.maxBreakSeconds) {
+    return {
+      error: `<break> time "${value}" exceeds the ${profile.label} maximum of ${profile.maxBreakSeconds}s`,
+      replacement: `${profile.maxBreakSeconds}s`,
+    };
+  }
+  return null;
+}
+
+function checkKeyword(label, keywords) {
+  return (value) =>
+    keywords.includes(value)
+      ? null
+      : { error: `Invalid ${label} "${value}" (use ${keywords.join(', ')})` };
+}
+
+const VALUE_CHECKS = {
+  break: { time: checkBreakTime, strength: checkKeyword('<break> strength', BREAK_STRENGTHS) },
+  emphasis: { level: checkKeyword('<emphasis> level', EMPHASIS_LEVELS) },
+  prosody: {
+    rate: (value, profile) => checkProsody('rate', value, profile),
+    pitch: (value, profile) => checkProsody('pitch', value, profile),
+    volume: (value, profile) => checkProsody('volume', value, profile),
+  },
+};
+
+function attributeAllowed(allowed, name) {
+  return allowed.includes(name) || (name.startsWith('xmlns:') && allowed.includes('xmlns:*'));
+}
+
+// Check one start tag's attributes. Each issue says how repair resolves it:
+// drop the attribute, replace its value, or (for a missing required
+// attribute) drop the element.
+function checkAttributes(token, profile) {
+  const allowed = profile.elements[token.name];
+  const issues = [];
+  const seen = new Set();
+
+  for (const { name, value } of token.attributes) {
+    if (seen.has(name)) {
+      issues.push({
+        attribute: name,
+        kind: 'error',
+        message: `Duplicate attribute "${name}" on <${token.name}>`,
+      });
+      continue;
+    }
+    seen.add(name);
+
+    if (!attributeAllowed(allowed, name)) {
+      issues.push({
+        attribute: name,
+        kind: 'unsupported',
+        message: `Attribute "${name}" on <${token.name}> is not supported by ${profile.label}`,
+      });
+      continue;
+    }
+    const escaped = value.replace(STRAY_AMPERSAND, '&amp;');
+    if (escaped !== value) {
+      issues.push({
+        attribute: name,
+        kind: 'error',
+        message: `Unescaped "&" in attribute "${name}" on <${token.name}>`,
+        replacement: escaped,
+      });
+      continue;
+    }
+
+    const result = VALUE_CHECKS[token.name]?.[name]?.(value, profile);
+    if (result?.error) {
+      issues.push({
+        attribute: name,
+        kind: 'error',
+        message: result.error,
+        replacement: result.replacement,
+      });
+    } else if (result?.warning) {
+      issues.push({ attribute: name, kind: 'warning', message: result.warning });
+    }
+  }
+
+  for (const name of REQUIRED_ATTRIBUTES[token.name] || []) {
+    if (!seen.has(name)) {
+      issues.push({ kind: 'missing', message: `<${token.name}> requires the "${name}" attribute` });
+    }
+  }
+  return issues;
+}
+
+function renderStartTag(name, attributes, selfClosing) {
+  const attrs = attributes.map((attr) => ` ${attr.name}="${attr.value.replace(/"/g, '&quot;')}"`);
+  return `<${name}${attrs.join('')}${selfClosing ? '/' : ''}>`;
+}
+
+// ----------------------
+// Validation and repair
+// ----------------------
+
+// Walk the document once. In repair mode every error is fixed and recorded
+// in `changes`; otherwise errors and warnings are collected.
+function inspect(ssml, profile, { strict, repair }) {
   const errors = [];
   const warnings = [];
-  
-  if (!ssml || typeof ssml !== 'string' || !ssml.trim()) {
-    errors.push('SSML content is empty');
-    return { errors, warnings, isValid: false };
+  const changes = [];
+  const out = [];
+  const stack = [];
+  const rootTags = []; // out indices of top-level <speak> tags
+  let rootCount = 0;
+  let outsideRoot = false;
+  let spoken = '';
+  let unmarked = ''; // spoken text outside <say-as>
+
+  // Strict mode treats markup the provider does not support as an error
+  const unsupported = (message) => (strict ? errors : warnings).push(message);
+
+  for (const token of tokenize(ssml)) {
+    const depth = stack.length;
+
+    if (token.type === 'text') {
+      if (!depth && token.raw.trim()) {
+        outsideRoot = true;
+        if (!repair) errors.push('Text outside <speak>...</speak>');
+      }
+      const escaped = token.raw.replace(STRAY_AMPERSAND, '&amp;');
+      if (escaped !== token.raw) {
+        if (repair) changes.push(`Escaped stray "&" in "${token.raw.trim().slice(0, 40)}"`);
+        else errors.push(`Unescaped "&" in text "${token.raw.trim().slice(0, 40)}" (use &amp;)`);
+      }
+      out.push(repair ? escaped : token.raw);
+      spoken += token.raw;
+      if (!stack.some((open) => open.name === 'say-as')) unmarked += token.raw;
+    } else if (token.type === 'stray') {
+      if (!depth) outsideRoot = true;
+      if (repair) changes.push(`Escaped stray "<" at offset ${token.offset}`);
+      else errors.push(`Unescaped "<" at offset ${token.offset} (use &lt; or fix the tag)`);
+      out.push('&lt;');
+      spoken += '<';
+    } else if (token.type === 'start') {
+      const nested = token.name === 'speak' && depth > 0;
+      if (!depth && token.name === 'speak') rootCount++;
+      else if (!depth) {
+        outsideRoot = true;
+        if (!repair) errors.push(`<${token.name}> outside <speak>...</speak>`);
+      }
+
+      let issues = [];
+      let drop = null;
+      if (nested) {
+        drop = '<speak> cannot be nested';
+      } else if (!profile.elements[token.name]) {
+        drop = `<${token.name}> is not supported by ${profile.label}`;
+      } else {
+        issues = checkAttributes(token, profile);
+        const missing = issues.find((issue) => issue.kind === 'missing');
+        if (missing) drop = missing.message;
+      }
+
+      if (drop && repair) {
+        changes.push(`Removed <${token.name}> (${drop}), keeping its content`);
+        if (!token.selfClosing) stack.push({ name: token.name, dropped: true });
+        continue;
+      }
+      if (drop && profile.elements[token.name]) errors.push(drop);
+      else if (drop) unsupported(drop);
+
+      let { raw } = token;
+      for (const issue of issues) {
+        if (issue.kind === 'warning') warnings.push(issue.message);
+        else if (repair || issue.kind === 'missing') continue;
+        else if (issue.kind === 'unsupported') unsupported(issue.message);
+        else errors.push(issue.message);
+      }
+      if (
+        repair &&
+        issues.some((issue) => issue.kind === 'error' || issue.kind === 'unsupported')
+      ) {
+        const kept = [];
+        const seen = new Set();
+        for (const attr of token.attributes) {
+          const issue = issues.find((i) => i.attribute === attr.name && i.kind !== 'warning');
+          if (seen.has(attr.name) || (issue && issue.replacement === undefined)) {
+            changes.push(
+              `Removed attribute "${attr.name}" from <${token.name}> (${issue?.message || 'duplicate'})`
+            );
+          } else if (issue) {
+            kept.push({ name: attr.name, value: issue.replacement });
+            changes.push(
+              `Changed ${attr.name}="${attr.value}" to "${issue.replacement}" on <${token.name}>`
+            );
+          } else {
+            kept.push(attr);
+          }
+          seen.add(attr.name);
+        }
+        raw = renderStartTag(token.name, kept, token.selfClosing);
+      }
+
+      if (!depth && token.name === 'speak') rootTags.push(out.length);
+      out.push(raw);
+      if (!token.selfClosing) stack.push({ name: token.name, dropped: false });
+    } else if (token.type === 'end') {
+      const index = stack.map((open) => open.name).lastIndexOf(token.name);
+      if (index === -1) {
+        if (repair) changes.push(`Removed unmatched </${token.name}>`);
+        else {
+          errors.push(`Unexpected </${token.name}>`);
+          out.push(token.raw);
+        }
+        continue;
+      }
+      while (stack.length - 1 > index) {
+        const open = stack.pop();
+        if (open.dropped) continue;
+        if (repair) {
+          out.push(`</${open.name}>`);
+          changes.push(`Closed <${open.name}> before </${token.name}>`);
+        } else {
+          errors.push(`<${open.name}> is not closed before </${token.name}>`);
+        }
+      }
+      const open = stack.pop();
+      if (!stack.length && token.name === 'speak') rootTags.push(out.length);
+      if (!(repair && open.dropped)) out.push(token.raw);
+    } else {
+      out.push(token.raw);
+    }
   }
 
-  // Basic structural validation
-  if (!hasSpeakWrap(ssml)) {
-    errors.push('SSML must be wrapped in <speak>...</speak>');
+  while (stack.length) {
+    const open = stack.pop();
+    if (open.dropped) continue;
+    if (!stack.length && open.name === 'speak') rootTags.push(out.length);
+    if (repair) changes.push(`Closed unclosed <${open.name}>`);
+    else errors.push(`Unclosed <${open.name}>`);
+    out.push(`</${open.name}>`);
   }
 
-  if (!hasBalancedTags(ssml)) {
-    errors.push('Mismatched or malformed XML tags');
+  if (rootCount !== 1 || outsideRoot) {
+    if (repair) {
+      for (const index of rootTags) out[index] = '';
+      out.unshift('<speak>');
+      out.push('</speak>');
+      changes.push('Wrapped the document in a single <speak> element');
+    } else if (!rootCount) {
+      errors.push('SSML must be wrapped in <speak>...</speak>');
+    } else if (rootCount > 1) {
+      errors.push('SSML must have a single <speak> root element');
+    }
   }
 
-  // Content validation
-  const contentWarnings = validateContent(ssml);
-  warnings.push(...contentWarnings);
+  return { errors, warnings, changes, ssml: out.join(''), spoken, unmarked };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
 
-  // UK-specific validation if UK voice detected
-  if (process.env.DEFAULT_VOICE?.includes('en-GB')) {
-    const ukWarnings = validateUKContent(ssml);
-    warnings.push(...ukWarnings);
+/**
+ * Text a voice would read from an SSML document: the text outside tags with
+ * entities decoded (aliases and phonemes are not expanded).
+ * @param {string} ssml - SSML document
+ * @returns {string} - Spoken text
+ */
+export function spokenText(ssml) {
+  return tokenize(ssml)
+    .map((token) => (token.type === 'text' || token.type === 'stray' ? token.raw : ' '))
+    .join('')
+    .replace(/&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([\da-f]+));/gi, (_, name, dec, hex) =>
+      name
+        ? ENTITIES[name.toLowerCase()]
+        : String.fromCodePoint(dec ? Number(dec) : parseInt(hex, 16))
+    );
+}
+
+function getProfile(provider) {
+  const profile = PROVIDER_PROFILES[provider];
+  if (!profile) {
+    const error = new Error(
+      `Unknown SSML profile "${provider}". Available: ${Object.keys(PROVIDER_PROFILES).join(', ')}`
+    );
+    error.status = 400;
+    throw error;
   }
+  return profile;
+}
+
+function isUKVoice() {
+  return Boolean(process.env.DEFAULT_VOICE?.includes('en-GB'));
+}
+
+/**
+ * Validate SSML as XML against a provider profile.
+ * @param {string} ssml - SSML document
+ * @param {Object|boolean} [options] - { provider, strict }; provider is a key of
+ *   PROVIDER_PROFILES (default "google"). In strict mode (the default) tags and
+ *   attributes the provider does not support are errors, otherwise warnings.
+ *   A boolean is taken as `strict`.
+ * @returns {Object} - { errors, warnings, isValid, isUK, provider }
+ */
+export function validateSSML(ssml, options = {}) {
+  const { provider = 'google', strict = true } =
+    typeof options === 'boolean' ? { strict: options } : options;
+  const profile = getProfile(provider);
 
-  // Strict mode validation
-  if (strict) {
-    const strictErrors = validateStrictMode(ssml);
-    errors.push(...strictErrors);
+  if (!ssml || typeof ssml !== 'string' || !ssml.trim()) {
+    return { errors: ['SSML content is empty'], warnings: [], isValid: false, provider };
   }
 
-  // Prosody validation
-  const prosodyIssues = validateProsody(ssml);
-  warnings.push(...prosodyIssues);
+  const { errors, warnings, spoken, unmarked } = inspect(ssml, profile, {
+    strict,
+    repair: false,
+  });
+  warnings.push(...validateContent(spoken, ssml));
+  // Dates and amounts already wrapped in <say-as> (see textNormalizer.js) are fine
+  if (isUKVoice()) warnings.push(...validateUKContent(unmarked));
 
   return {
     errors,
     warnings,
     isValid: errors.length === 0,
-    isUK: process.env.DEFAULT_VOICE?.includes('en-GB')
+    isUK: isUKVoice(),
+    provider,
   };
 }
 
-function hasSpeakWrap(ssml) {
-  const trimmed = ssml.trim();
-  return trimmed.startsWith('<speak') && trimmed.endsWith('</speak>');
-}
-
-function hasBalancedTags(ssml) {
-  const tagStack = [];
-  const tagRegex = /<\/?([a-z]+)[^>]*>/gi;
-  let match;
-  
-  while ((match = tagRegex.exec(ssml)) !== null) {
-    const [fullTag, tagName] = match;
-    if (fullTag.startsWith('</')) {
-      if (tagStack.pop() !== tagName) {
-        return false;
-      }
-    } else if (!fullTag.endsWith('/>')) {
-      tagStack.push(tagName);
-    }
-  }
-  
-  return tagStack.length === 0;
+/**
+ * Repair SSML so that it parses and only uses markup the provider supports:
+ * stray "&" and "<" are escaped, open tags closed, unmatched closing tags
+ * and unsupported tags removed (keeping their content), invalid attributes
+ * removed and over-long breaks clamped.
+ * @param {string} ssml - SSML document
+ * @param {Object} [options] - { provider }
+ * @returns {Object} - { ssml, changes } plus the validateSSML result for the
+ *   repaired document; changes lists each fix in document order
+ */
+export function repairSSML(ssml, { provider = 'google' } = {}) {
+  const profile = getProfile(provider);
+  const repaired =
+    ssml && ssml.trim() ? inspect(ssml, profile, { strict: true, repair: true }) : null;
+  const result = { ssml: repaired?.ssml ?? '', changes: repaired?.changes ?? [] };
+  return { ...result, ...validateSSML(result.ssml, { provider }) };
 }
 
-function validateContent(ssml) {
+function validateContent(innerText, ssml) {
   const warnings = [];
-  const innerText = ssml.replace(/<[^>]+>/g, '');
-  
+
   // Long runs without breaks
   if (innerText.length > 200 && !ssml.includes('<break')) {
     warnings.push('Long text segment without breaks - consider adding <break> tags');
@@ -112,9 +619,8 @@ function validateContent(ssml) {
   return warnings;
 }
 
-function validateUKContent(ssml) {
+function validateUKContent(innerText) {
   const warnings = [];
-  const innerText = ssml.replace(/<[^>]+>/g, '');
 
   // Check for non-UK date formats
   if (innerText.match(UK_SPECIFIC_RULES.DATE_FORMAT)) {
@@ -129,60 +635,12 @@ function validateUKContent(ssml) {
   return warnings;
 }
 
-function validateStrictMode(ssml) {
-  const errors = [];
-  const tagRegex = /<([a-z]+)(?:\s|>)/gi;
-  let match;
-
-  while ((match = tagRegex.exec(ssml)) !== null) {
-    const tagName = match[1].toLowerCase();
-    if (FORBIDDEN_TAGS.includes(tagName)) {
-      errors.push(`Tag <${tagName}> is not allowed in strict mode`);
-    }
-  }
-
-  return errors;
-}
-
-function validateProsody(ssml) {
-  const warnings = [];
-  const prosodyRegex = /<prosody\s+([^>]+)>/gi;
-  let match;
-
-  while ((match = prosodyRegex.exec(ssml)) !== null) {
-    const attrs = match[1];
-    const rateMatch = attrs.match(/rate="([^"]+)"/i);
-    const pitchMatch = attrs.match(/pitch="([^"]+)"/i);
-    const volumeMatch = attrs.match(/volume="([^"]+)"/i);
-
-    if (rateMatch) {
-      const rate = parseFloat(rateMatch[1]);
-      if (rate < PROSODY_LIMITS.rate.min || rate > PROSODY_LIMITS.rate.max) {
-        warnings.push(`Prosody rate ${rate}% is outside recommended range (${PROSODY_LIMITS.rate.min}-${PROSODY_LIMITS.rate.max}%)`);
-      }
-    }
-
-    if (pitchMatch) {
-      const pitch = parseFloat(pitchMatch[1]);
-      if (pitch < PROSODY_LIMITS.pitch.min || pitch > PROSODY_LIMITS.pitch.max) {
-        warnings.push(`Prosody pitch ${pitch}st is outside recommended range (${PROSODY_LIMITS.pitch.min}-${PROSODY_LIMITS.pitch.max}st)`);
-      }
-    }
-
-    if (volumeMatch) {
-      const volume = parseFloat(volumeMatch[1]);
-      if (volume < PROSODY_LIMITS.volume.min || volume > PROSODY_LIMITS.volume.max) {
-        warnings.push(`Prosody volume ${volume}dB is outside recommended range (${PROSODY_LIMITS.volume.min}-${PROSODY_LIMITS.volume.max}dB)`);
-      }
-    }
-  }
-
-  return warnings;
-}
-
 export default {
   validateSSML,
+  repairSSML,
+  spokenText,
+  parseProsodyValue,
   UK_SPECIFIC_RULES,
-  FORBIDDEN_TAGS,
-  PROSODY_LIMITS
+  PROVIDER_PROFILES,
+  PROSODY_LIMITS,
 };
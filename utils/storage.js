@@ -0,0 +1,408 @@
+// utils/storage.js
+// Named-bucket object storage with an S3/R2 backend and a local-directory backend
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import express from 'express';
+import fsSync from 'fs';
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+import logger from './logger.js';
+import { dataPath } from './dataStore.js';
+import { recordUsage } from './usage.js';
+
+// Logical bucket name -> env vars holding the R2 bucket and its public base URL
+const BUCKETS = {
+  chunks: { bucketVar: 'R2_BUCKET_CHUNKS', publicVar: 'R2_PUBLIC_BASE_URL_CHUNKS' },
+  merged: { bucketVar: 'R2_BUCKET_CHUNKS_MERGED', publicVar: 'R2_PUBLIC_BASE_URL_CHUNKS_MERGED' },
+  podcast: { bucketVar: 'R2_BUCKET_PODCAST', publicVar: 'R2_PUBLIC_BASE_URL_PODCAST' },
+  assets: { bucketVar: 'R2_BUCKET_ASSETS', publicVar: 'R2_PUBLIC_BASE_URL_ASSETS' },
+};
+
+const DEFAULT_CACHE_CONTROL = 'public, max-age=31536000';
+
+// Session output and uploaded assets are partitioned per tenant
+const TENANT_BUCKETS = new Set(['chunks', 'merged', 'podcast', 'assets']);
+const tenantContext = new AsyncLocalStorage();
+
+export const STORAGE_BACKEND = (
+  process.env.STORAGE_BACKEND || (process.env.R2_ENDPOINT ? 'r2' : 'local')
+).toLowerCase();
+
+export const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || dataPath('storage'));
+
+function bucketConfig(bucket) {
+  const config = BUCKETS[bucket];
+  if (!config) throw new Error(`Unknown storage bucket "${bucket}"`);
+  return config;
+}
+
+function joinUrl(base, key) {
+  return `${base.replace(/\/+$/, '')}/${key.replace(/^\/+/, '')}`;
+}
+
+// ----------------------
+// S3 / R2 backend
+// ----------------------
+let s3Client;
+
+function getS3Client() {
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: 'auto',
+      endpoint: process.env.R2_ENDPOINT,
+      credentials: {
+        // Supports both naming conventions
+        accessKeyId: process.env.R2_ACCESS_KEY_ID || process.env.R2_ACCESS_KEY,
+        secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || process.env.R2_SECRET_KEY,
+      },
+      maxAttempts: 3,
+    });
+  }
+  return s3Client;
+}
+
+function r2Bucket(bucket) {
+  const { bucketVar } = bucketConfig(bucket);
+  const name = process.env[bucketVar];
+  if (!name) {
+    logger.error('R2 Configuration Error', { bucket, missing: bucketVar });
+    throw new Error(`Configuration error: ${bucketVar} is not set`);
+  }
+  return name;
+}
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+const r2Backend = {
+  publicUrl(bucket, key) {
+    const { publicVar } = bucketConfig(bucket);
+    const base = process.env[publicVar];
+    if (!base) throw new Error(`Configuration error: ${publicVar} is not set`);
+    return joinUrl(base, key);
+  },
+
+  async put(bucket, key, body, { contentType, cacheControl, metadata, isPrivate }) {
+    await getS3Client().send(
+      new PutObjectCommand({
+        Bucket: r2Bucket(bucket),
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ACL: isPrivate ? undefined : 'public-read',
+        CacheControl: cacheControl,
+        Metadata: metadata,
+      })
+    );
+  },
+
+  async get(bucket, key) {
+    try {
+      const response = await getS3Client().send(
+        new GetObjectCommand({ Bucket: r2Bucket(bucket), Key: key })
+      );
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  },
+
+  async stream(bucket, key) {
+    try {
+      const response = await getS3Client().send(
+        new GetObjectCommand({ Bucket: r2Bucket(bucket), Key: key })
+      );
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  },
+
+  async list(bucket, prefix) {
+    const objects = [];
+    let ContinuationToken;
+
+    do {
+      const page = await getS3Client().send(
+        new ListObjectsV2Command({ Bucket: r2Bucket(bucket), Prefix: prefix, ContinuationToken })
+      );
+
+      for (const object of page.Contents || []) {
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          etag: object.ETag?.replace(/"/g, ''),
+          lastModified: object.LastModified,
+        });
+      }
+
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return objects;
+  },
+
+  async delete(bucket, key) {
+    await getS3Client().send(new DeleteObjectCommand({ Bucket: r2Bucket(bucket), Key: key }));
+  },
+};
+
+// ----------------------
+// Local directory backend
+// ----------------------
+function localPath(bucket, key) {
+  bucketConfig(bucket);
+  const root = path.resolve(LOCAL_STORAGE_DIR, bucket);
+  const filePath = path.resolve(root, key.replace(/^\/+/, ''));
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+}
+
+// Marks a local object as private: /files does not serve it
+const PRIVATE_MARKER = '.private';
+
+function localBaseUrl() {
+  return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+}
+
+async function walk(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await walk(full)));
+    else if (!entry.name.endsWith('.tmp') && !entry.name.endsWith(PRIVATE_MARKER)) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+const localBackend = {
+  publicUrl(bucket, key) {
+    return joinUrl(localBaseUrl(), `files/${bucket}/${key.replace(/^\/+/, '')}`);
+  },
+
+  async put(bucket, key, body, { isPrivate }) {
+    const filePath = localPath(bucket, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    if (isPrivate) await fs.writeFile(filePath + PRIVATE_MARKER, '');
+    else await fs.rm(filePath + PRIVATE_MARKER, { force: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, filePath);
+  },
+
+  async get(bucket, key) {
+    try {
+      return await fs.readFile(localPath(bucket, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async stream(bucket, key) {
+    const filePath = localPath(bucket, key);
+    try {
+      await fs.access(filePath);
+    } catch {
+      return null;
+    }
+    return fsSync.createReadStream(filePath);
+  },
+
+  async list(bucket, prefix) {
+    const root = path.resolve(LOCAL_STORAGE_DIR, bucket);
+    const objects = [];
+
+    for (const file of await walk(root)) {
+      const key = path.relative(root, file).split(path.sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+
+      const [stats, data] = await Promise.all([fs.stat(file), fs.readFile(file)]);
+      objects.push({
+        key,
+        size: stats.size,
+        etag: crypto.createHash('md5').update(data).digest('hex'),
+        lastModified: stats.mtime,
+      });
+    }
+
+    return objects.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  },
+
+  async delete(bucket, key) {
+    await fs.rm(localPath(bucket, key), { force: true });
+    await fs.rm(localPath(bucket, key) + PRIVATE_MARKER, { force: true });
+  },
+};
+
+const backend = STORAGE_BACKEND === 'local' ? localBackend : r2Backend;
+
+// ----------------------
+// Tenant scoping
+// ----------------------
+
+/**
+ * Run `fn` with storage scoped to a tenant: keys in the chunks, merged and
+ * podcast buckets are read and written under tenants/<tenant>/, so one
+ * tenant can never list or fetch another's sessions. A null tenant (admin
+ * keys, AUTH_DISABLED) uses the bucket root.
+ * @param {string|null} tenant - Tenant id
+ * @param {Function} fn - Work to run
+ * @returns {*} - Result of `fn`
+ */
+export function runAsTenant(tenant, fn) {
+  return tenantContext.run({ tenant: tenant || null }, fn);
+}
+
+/**
+ * Tenant of the current request or job, if any.
+ * @returns {string|null}
+ */
+export function currentTenant() {
+  return tenantContext.getStore()?.tenant ?? null;
+}
+
+function tenantPrefix(bucket) {
+  const tenant = currentTenant();
+  return tenant && TENANT_BUCKETS.has(bucket) ? `tenants/${tenant}/` : '';
+}
+
+function scopedKey(bucket, key) {
+  const prefix = tenantPrefix(bucket);
+  if (prefix && key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return prefix + key;
+}
+
+// ----------------------
+// Public API
+// ----------------------
+
+/**
+ * Public URL for an object.
+ * @param {string} bucket - chunks | merged | podcast | assets
+ * @param {string} key - Object key
+ * @returns {string} - URL
+ */
+export function publicUrl(bucket, key) {
+  return backend.publicUrl(bucket, scopedKey(bucket, key));
+}
+
+/**
+ * Store an object. The bytes written are metered (see usage.js) unless
+ * `metered` is false. Objects are
+ * publicly readable unless `isPrivate` is set; private objects can only be read
+ * through getObject / getObjectStream.
+ * @param {string} bucket - chunks | merged | podcast | assets
+ * @param {string} key - Object key
+ * @param {Buffer|string} body - Contents
+ * @param {Object} options - { contentType, cacheControl, metadata, isPrivate, metered }
+ * @returns {Promise<string>} - Public URL of the stored object
+ */
+export async function putObject(bucket, key, body, options = {}) {
+  const {
+    contentType = 'audio/mpeg',
+    cacheControl = DEFAULT_CACHE_CONTROL,
+    metadata = undefined,
+    isPrivate = false,
+    metered = true,
+  } = options;
+
+  const fullKey = scopedKey(bucket, key);
+  try {
+    await backend.put(bucket, fullKey, body, { contentType, cacheControl, metadata, isPrivate });
+  } catch (error) {
+    logger.error('Storage upload failed', {
+      backend: STORAGE_BACKEND,
+      bucket,
+      key: fullKey,
+      error: error.message,
+    });
+    throw new Error(`Failed to upload ${bucket}/${key}: ${error.message}`);
+  }
+
+  if (metered) recordUsage({ storageBytes: Buffer.byteLength(body) });
+  return backend.publicUrl(bucket, fullKey);
+}
+
+/**
+ * Read an object into memory.
+ * @returns {Promise<Buffer|null>} - Contents, or null if the object does not exist
+ */
+export async function getObject(bucket, key) {
+  return backend.get(bucket, scopedKey(bucket, key));
+}
+
+/**
+ * Open a readable stream for an object.
+ * @returns {Promise<Readable|null>} - Stream, or null if the object does not exist
+ */
+export async function getObjectStream(bucket, key) {
+  return backend.stream(bucket, scopedKey(bucket, key));
+}
+
+/**
+ * List every object under a prefix (all pages). Keys are returned relative
+ * to the current tenant.
+ * @returns {Promise<Object[]>} - [{ key, size, etag, lastModified }]
+ */
+export async function listObjects(bucket, prefix = '') {
+  const tenant = tenantPrefix(bucket);
+  const objects = await backend.list(bucket, scopedKey(bucket, prefix));
+  return objects.map((object) => ({ ...object, key: object.key.slice(tenant.length) }));
+}
+
+/**
+ * Delete an object. Deleting a missing object is not an error.
+ */
+export async function deleteObject(bucket, key) {
+  return backend.delete(bucket, scopedKey(bucket, key));
+}
+
+/**
+ * Express router serving the local backend at /files/<bucket>/<key>, except
+ * private objects. Mounted only when STORAGE_BACKEND is "local".
+ */
+export function localStorageRouter() {
+  const router = express.Router();
+  for (const bucket of Object.keys(BUCKETS)) {
+    router.use(`/${bucket}`, (req, res, next) => {
+      let filePath;
+      try {
+        filePath = localPath(bucket, decodeURIComponent(req.path));
+      } catch {
+        return res.status(404).end();
+      }
+      if (filePath.endsWith(PRIVATE_MARKER) || fsSync.existsSync(filePath + PRIVATE_MARKER)) {
+        return res.status(404).end();
+      }
+      next();
+    });
+    router.use(`/${bucket}`, express.static(path.join(LOCAL_STORAGE_DIR, bucket)));
+  }
+  return router;
+}
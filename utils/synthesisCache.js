@@ -0,0 +1,196 @@
+// utils/synthesisCache.js
+// Content-addressed cache of synthesized chunk audio, shared across sessions.
+// Audio lives in the chunks bucket under cache/<sha256>.mp3 (outside any tenant
+// prefix); the index (sizes, durations, last use) and hit/miss counters are
+// kept under DATA_DIR.
+
+import crypto from 'crypto';
+import { dataPath, readJSON, writeJSON } from './dataStore.js';
+import { deleteObject, getObject, putObject, runAsTenant } from './storage.js';
+import logger from './logger.js';
+
+const INDEX_FILE = dataPath('synthesis-cache.json');
+const CACHE_PREFIX = 'cache/';
+
+let state = null;
+let writeQueue = Promise.resolve();
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Whether the cache is on (SYNTH_CACHE is not "false") and its bounds:
+ * SYNTH_CACHE_TTL_DAYS since last use (default 30) and SYNTH_CACHE_MAX_MB
+ * of audio (default 500).
+ * @returns {Object} - { enabled, ttlMs, maxBytes }
+ */
+export function synthesisCacheLimits() {
+  return {
+    enabled: process.env.SYNTH_CACHE !== 'false',
+    ttlMs: numberFromEnv('SYNTH_CACHE_TTL_DAYS', 30) * 24 * 3600 * 1000,
+    maxBytes: Math.floor(numberFromEnv('SYNTH_CACHE_MAX_MB', 500) * 1024 * 1024),
+  };
+}
+
+// Key order must not change the hash
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, canonical(value[key])])
+  );
+}
+
+/**
+ * Cache key for one chunk. Tenants never share entries, so a hit cannot
+ * reveal what another tenant synthesized.
+ * @param {Object} parts - { provider, voice, audioConfig, ssml, tenant? }
+ * @returns {string} - SHA-256 hex digest
+ */
+export function synthesisCacheKey({ provider, voice, audioConfig, ssml, tenant = null }) {
+  const json = JSON.stringify(
+    canonical({ provider, voice, audioConfig, ssml, ...(tenant && { tenant }) })
+  );
+  return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+function objectKey(key) {
+  return `${CACHE_PREFIX}${key}.mp3`;
+}
+
+// Cached audio is stored at the bucket root whichever tenant is running
+const readAudio = (key) => runAsTenant(null, () => getObject('chunks', objectKey(key)));
+const writeAudio = (key, audio) =>
+  runAsTenant(null, () => putObject('chunks', objectKey(key), audio));
+const removeAudio = (key) => runAsTenant(null, () => deleteObject('chunks', objectKey(key)));
+
+// The index is read once and then kept in memory; writes are serialized
+async function loadState() {
+  if (!state) {
+    state = readJSON(INDEX_FILE, null).then((stored) => ({
+      entries: stored?.entries || {},
+      stats: { hits: 0, misses: 0, evictions: 0, ...stored?.stats },
+    }));
+  }
+  return state;
+}
+
+function persist(current) {
+  writeQueue = writeQueue
+    .then(() => writeJSON(INDEX_FILE, current))
+    .catch((error) => logger.warn('Synthesis cache index write failed', { error: error.message }));
+  return writeQueue;
+}
+
+/**
+ * Look up synthesized audio.
+ * @param {string} key - See synthesisCacheKey
+ * @returns {Promise<Object|null>} - { audio, durationSeconds } on a hit
+ */
+export async function getCachedSynthesis(key) {
+  const current = await loadState();
+  const entry = current.entries[key];
+  const { ttlMs } = synthesisCacheLimits();
+  const fresh = entry && Date.now() - Date.parse(entry.lastUsedAt) <= ttlMs;
+  const audio = fresh ? await readAudio(key) : null;
+
+  if (!audio) {
+    if (entry && !fresh) await removeAudio(key).catch(() => {});
+    if (entry) delete current.entries[key];
+    current.stats.misses++;
+    await persist(current);
+    return null;
+  }
+
+  entry.lastUsedAt = new Date().toISOString();
+  entry.hits = (entry.hits || 0) + 1;
+  current.stats.hits++;
+  await persist(current);
+  return { audio, durationSeconds: entry.durationSeconds };
+}
+
+/**
+ * Store synthesized audio (replacing any entry with the same key) and evict
+ * entries past the age and size bounds.
+ * @param {string} key - See synthesisCacheKey
+ * @param {Buffer} audio - Chunk audio
+ * @param {Object} details - { provider, durationSeconds }
+ */
+export async function storeSynthesis(key, audio, { provider, durationSeconds }) {
+  await writeAudio(key, audio);
+  const current = await loadState();
+  const now = new Date().toISOString();
+  current.entries[key] = {
+    provider,
+    size: audio.length,
+    durationSeconds,
+    createdAt: now,
+    lastUsedAt: now,
+    hits: 0,
+  };
+  await evict(current);
+  await persist(current);
+}
+
+// Least recently used entries go first
+async function evict(current) {
+  const { ttlMs, maxBytes } = synthesisCacheLimits();
+  const now = Date.now();
+  const entries = Object.entries(current.entries).sort(
+    ([, a], [, b]) => Date.parse(a.lastUsedAt) - Date.parse(b.lastUsedAt)
+  );
+  let bytes = entries.reduce((sum, [, entry]) => sum + entry.size, 0);
+
+  for (const [key, entry] of entries) {
+    if (now - Date.parse(entry.lastUsedAt) <= ttlMs && bytes <= maxBytes) break;
+    await removeAudio(key).catch((error) =>
+      logger.warn('Synthesis cache eviction failed', { key, error: error.message })
+    );
+    delete current.entries[key];
+    bytes -= entry.size;
+    current.stats.evictions++;
+  }
+}
+
+/**
+ * Cache size, hit/miss counters and bounds.
+ * @returns {Promise<Object>} - { enabled, entries, bytes, hits, misses, evictions, hitRate,
+ *   ttlDays, maxBytes }
+ */
+export async function synthesisCacheStats() {
+  const current = await loadState();
+  const { enabled, ttlMs, maxBytes } = synthesisCacheLimits();
+  const entries = Object.values(current.entries);
+  const { hits, misses, evictions } = current.stats;
+  return {
+    enabled,
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    hits,
+    misses,
+    evictions,
+    hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+    ttlDays: ttlMs / (24 * 3600 * 1000),
+    maxBytes,
+  };
+}
+
+/**
+ * Remove every cached chunk and reset the counters.
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function clearSynthesisCache() {
+  const current = await loadState();
+  const keys = Object.keys(current.entries);
+  for (const key of keys) {
+    await removeAudio(key).catch(() => {});
+    delete current.entries[key];
+  }
+  current.stats = { hits: 0, misses: 0, evictions: 0 };
+  await persist(current);
+  return keys.length;
+}
@@ -0,0 +1,285 @@
+// utils/textNormalizer.js
+// Locale text normalisation: wraps dates, money, times, ordinals, postcodes and
+// phone numbers in <say-as> markup before chunking
+
+import ssmlValidator from './ssmlValidator.js';
+
+const { UK_SPECIFIC_RULES } = ssmlValidator;
+
+export const DATE_FORMATS = ['dmy', 'mdy', 'ymd'];
+export const TIME_FORMATS = ['hms12', 'hms24'];
+
+// Text inside these elements already has an explicit reading
+const PROTECTED_ELEMENTS = ['say-as', 'sub', 'phoneme', 'audio'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function sayAs(interpretAs, text, attributes = {}) {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value)
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join('');
+  return `<say-as interpret-as="${interpretAs}"${attrs}>${text}</say-as>`;
+}
+
+// ----------------------
+// Rules shared by locales
+// ----------------------
+// See rewriteUnmarkedText for the rule shape
+
+const slashDateRule = {
+  name: 'date',
+  pattern: /\b(\d{1,4})\/(\d{1,2})\/(\d{1,4})\b/g,
+  render(match, { dateFormat }) {
+    const parts = {};
+    [...dateFormat].forEach((field, i) => {
+      parts[field] = match[i + 1];
+    });
+    const day = Number(parts.d);
+    const month = Number(parts.m);
+    if (parts.y.length !== 4 || day < 1 || day > 31 || month < 1 || month > 12) return null;
+    return sayAs('date', match[0], { format: dateFormat });
+  },
+};
+
+const isoDateRule = {
+  name: 'date',
+  pattern: /\b\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])\b/g,
+  render: (match) => sayAs('date', match[0], { format: 'ymd' }),
+};
+
+const currencyRule = {
+  name: 'currency',
+  enabledBy: 'currencies',
+  // "£5m" and "$3bn" are left to the voice
+  pattern: /[£$€](?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d{2})?(?![\w,.]\d|\w)/g,
+  render: (match, { locale }) => sayAs('currency', match[0], { language: locale }),
+};
+
+const twelveHourTimeRule = {
+  name: 'time',
+  pattern: /\b(?:1[0-2]|0?[1-9])(?:[:.][0-5]\d)?\s?[ap]\.?m\b/gi,
+  render: (match) => sayAs('time', match[0], { format: 'hms12' }),
+};
+
+const clockTimeRule = {
+  name: 'time',
+  pattern: /\b([01]?\d|2[0-3]):[0-5]\d(?::[0-5]\d)?\b/g,
+  // "00:15" and "14:30" can only be 24-hour times
+  render: (match, { timeFormat }) =>
+    sayAs('time', match[0], {
+      format: Number(match[1]) > 12 || Number(match[1]) === 0 ? 'hms24' : timeFormat,
+    }),
+};
+
+const ORDINAL_SUFFIXES = { 1: 'st', 2: 'nd', 3: 'rd' };
+
+const ordinalRule = {
+  name: 'ordinal',
+  pattern: /\b(\d+)(st|nd|rd|th)\b/gi,
+  render(match) {
+    const n = Number(match[1]);
+    const expected = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ORDINAL_SUFFIXES[n % 10] || 'th';
+    return match[2].toLowerCase() === expected ? sayAs('ordinal', match[1]) : null;
+  },
+};
+
+function telephoneRule(pattern, countryCode, isValid) {
+  return {
+    name: 'telephone',
+    pattern,
+    render: (match) =>
+      isValid(match[0].replace(/\D/g, ''))
+        ? sayAs('telephone', match[0], { format: countryCode })
+        : null,
+  };
+}
+
+// ----------------------
+// Locales
+// ----------------------
+// Earlier rules win where matches overlap
+const locales = {
+  'en-GB': {
+    dateFormat: 'dmy',
+    timeFormat: 'hms24',
+    rules: [
+      isoDateRule,
+      slashDateRule,
+      twelveHourTimeRule,
+      clockTimeRule,
+      currencyRule,
+      {
+        name: 'postcode',
+        pattern: new RegExp(`\\b${UK_SPECIFIC_RULES.POSTCODES.source}\\b`, 'g'),
+        render: (match) => sayAs('characters', match[0]),
+      },
+      telephoneRule(/(?:\+44\s?|\b0)\d{2,4}\s?\d{3,4}\s?\d{3,4}\b/g, '44', (digits) =>
+        digits.startsWith('44') ? digits.length === 12 : digits.length === 11
+      ),
+      ordinalRule,
+    ],
+  },
+  'en-US': {
+    dateFormat: 'mdy',
+    timeFormat: 'hms12',
+    rules: [
+      isoDateRule,
+      slashDateRule,
+      twelveHourTimeRule,
+      clockTimeRule,
+      currencyRule,
+      telephoneRule(
+        /(?:\+1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]\d{4}\b/g,
+        '1',
+        (digits) => digits.length === 10 || (digits.length === 11 && digits.startsWith('1'))
+      ),
+      ordinalRule,
+    ],
+  },
+};
+
+/**
+ * Register (or replace) a locale. Locales are looked up by exact code, then
+ * by language ("en-AU" falls back to the first registered "en-" locale).
+ * @param {string} code - BCP 47 code, e.g. "en-IE"
+ * @param {Object} locale - { dateFormat, timeFormat, rules: [{ name, pattern, render }] }
+ */
+export function registerLocale(code, locale) {
+  locales[code] = locale;
+}
+
+export function listLocales() {
+  return Object.keys(locales);
+}
+
+function findLocale(code) {
+  if (!code) return null;
+  const exact = Object.keys(locales).find((key) => key.toLowerCase() === code.toLowerCase());
+  if (exact) return exact;
+  const language = code.split('-')[0].toLowerCase();
+  return Object.keys(locales).find((key) => key.split('-')[0].toLowerCase() === language) || null;
+}
+
+/**
+ * Validate the `normalize` option of a synthesis request.
+ * @param {Object|boolean} [options] - false disables normalisation; otherwise
+ *   { locale, dateFormat, timeFormat, currencies } (all optional)
+ * @returns {Object|boolean} - The options, or false
+ */
+export function resolveNormalizeOptions(options = {}) {
+  if (options === false) return false;
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw badRequest('normalize must be an object or false');
+  }
+  const { locale, dateFormat, timeFormat, currencies } = options;
+  if (locale !== undefined && !findLocale(locale)) {
+    throw badRequest(
+      `Unknown normalize.locale "${locale}". Available: ${listLocales().join(', ')}`
+    );
+  }
+  if (dateFormat !== undefined && !DATE_FORMATS.includes(dateFormat)) {
+    throw badRequest(`normalize.dateFormat must be one of ${DATE_FORMATS.join(', ')}`);
+  }
+  if (timeFormat !== undefined && !TIME_FORMATS.includes(timeFormat)) {
+    throw badRequest(`normalize.timeFormat must be one of ${TIME_FORMATS.join(', ')}`);
+  }
+  if (currencies !== undefined && typeof currencies !== 'boolean') {
+    throw badRequest('normalize.currencies must be a boolean');
+  }
+  return { locale, dateFormat, timeFormat, currencies };
+}
+
+// The service's home locale, from DEFAULT_VOICE (e.g. "en-GB-Wavenet-B")
+function homeLocale() {
+  const voice = process.env.DEFAULT_VOICE || 'en-GB-Wavenet-B';
+  return findLocale(voice.split('-').slice(0, 2).join('-'));
+}
+
+// Request options win. SSML_DATE_FORMAT / SSML_TIME_FORMAT describe how the
+// home locale's scripts are written; other locales use their own defaults.
+function resolveSettings(code, locale, options) {
+  const env = (name, allowed) =>
+    code === homeLocale() && allowed.includes(process.env[name]) ? process.env[name] : undefined;
+  return {
+    locale: code,
+    dateFormat: options.dateFormat ?? env('SSML_DATE_FORMAT', DATE_FORMATS) ?? locale.dateFormat,
+    timeFormat: options.timeFormat ?? env('SSML_TIME_FORMAT', TIME_FORMATS) ?? locale.timeFormat,
+    currencies: options.currencies ?? process.env.SSML_CURRENCIES !== 'false',
+  };
+}
+
+function rewriteSegment(text, rules, settings) {
+  const replacements = [];
+  const taken = new Uint8Array(text.length);
+  for (const rule of rules) {
+    if (rule.enabledBy && !settings[rule.enabledBy]) continue;
+    for (const match of text.matchAll(rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.subarray(start, end).includes(1)) continue;
+      const markup = rule.render(match, settings);
+      if (!markup) continue;
+      replacements.push({ start, end, markup });
+      taken.fill(1, start, end);
+    }
+  }
+
+  replacements.sort((a, b) => a.start - b.start);
+  let out = '';
+  let pos = 0;
+  for (const { start, end, markup } of replacements) {
+    out += text.slice(pos, start) + markup;
+    pos = end;
+  }
+  return out + text.slice(pos);
+}
+
+/**
+ * Apply markup rules to the text of a script, never inside tags or inside
+ * <say-as>, <sub>, <phoneme> or <audio> (whose reading is already fixed).
+ * Earlier rules win where matches overlap, so applying the output again
+ * changes nothing.
+ * @param {string} text - Script text (may contain inline SSML)
+ * @param {Object[]} rules - [{ pattern (global RegExp), render(match, settings), enabledBy? }];
+ *   render returns the markup for a match, or null to leave it as written
+ * @param {Object} [settings] - Passed to render; a rule with `enabledBy` only runs when
+ *   that setting is truthy
+ * @returns {string} - Text with markup
+ */
+export function rewriteUnmarkedText(text, rules, settings = {}) {
+  let protectedDepth = 0;
+  return text
+    .split(/(<[^<>]*>)/)
+    .map((part, i) => {
+      if (i % 2 === 1) {
+        const [, closing, name] = part.match(/^<\s*(\/?)\s*([\w:-]*)/);
+        const selfClosing = /\/\s*>$/.test(part);
+        if (PROTECTED_ELEMENTS.includes(name) && !selfClosing) {
+          protectedDepth = Math.max(0, protectedDepth + (closing ? -1 : 1));
+        }
+        return part;
+      }
+      return protectedDepth ? part : rewriteSegment(part, rules, settings);
+    })
+    .join('');
+}
+
+/**
+ * Wrap locale-specific numbers (dates, currency amounts, times, ordinals,
+ * postcodes, phone numbers) in <say-as> markup.
+ * @param {string} text - Script text (may contain inline SSML)
+ * @param {Object} options - { locale, dateFormat, timeFormat, currencies }; locale is a
+ *   BCP 47 code, usually the voice's languageCode
+ * @returns {string} - Text with <say-as> markup; unchanged for unknown locales
+ */
+export function normalizeForLocale(text, options = {}) {
+  const code = findLocale(options.locale);
+  if (!code) return text;
+  const locale = locales[code];
+  return rewriteUnmarkedText(text, locale.rules, resolveSettings(code, locale, options));
+}
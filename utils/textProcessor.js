@@ -4,8 +4,11 @@
  * Text processing utilities
  */
 
+import { extractTextFromUrls } from './extractText.js';
+
 /**
- * Process text from multiple URLs
+ * Fetch the main article text of multiple URLs (see extractText.js) and
+ * join it into one script
  * @param {string[]} urls - Array of URLs to fetch text from
  * @param {Object} options - Processing options
  * @returns {Promise<Object>} - Processed text result
@@ -27,38 +30,25 @@ export async function processTextFromURLs(urls, options = {}) {
         timeout = 10000 
     } = options;
 
-    const results = [];
     const errors = [];
+    let results = [];
 
     try {
-        // Process each URL
-        for (const url of urls) {
-            try {
-                // Basic URL validation
-                if (!url || typeof url !== 'string' || !url.startsWith('http')) {
-                    errors.push(`Invalid URL: ${url}`);
-                    continue;
-                }
-
-                // For now, return a placeholder since we can't fetch external URLs
-                // In a real implementation, you would use fetch() or a similar library
-                const mockText = `Content from ${url}`;
-                
-                results.push({
-                    url,
-                    text: mockText,
-                    success: true
-                });
-
-            } catch (error) {
-                errors.push(`Failed to process ${url}: ${error.message}`);
-                results.push({
-                    url,
-                    text: '',
-                    success: false,
-                    error: error.message
-                });
+        const valid = urls.filter(url => {
+            if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+                errors.push(`Invalid URL: ${url}`);
+                return false;
             }
+            return true;
+        });
+
+        results = (await extractTextFromUrls(valid, { timeout })).map(result =>
+            result.status === 'success'
+                ? { url: result.url, title: result.title, text: result.text, success: true }
+                : { url: result.url, text: '', success: false, error: result.error }
+        );
+        for (const result of results) {
+            if (!result.success) errors.push(`Failed to process ${result.url}: ${result.error}`);
         }
 
         // Combine all successful text results
@@ -100,7 +90,9 @@ export async function processTextFromURLs(urls, options = {}) {
 }
 
 /**
- * Clean and normalize text for TTS processing
+ * Clean and normalize text for TTS processing. Punctuation, quotes and
+ * symbols (£, €, %) are kept, as are line breaks, so headings and paragraph
+ * breaks survive; only control and zero-width characters are removed.
  * @param {string} text - Input text to process
  * @returns {string} - Processed text
  */
@@ -110,9 +102,14 @@ export function cleanText(text) {
     }
     
     return text
-        .trim()
-        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-        .replace(/[^\w\s.,!?;:-]/g, ''); // Remove special characters except basic punctuation
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200D\u2060\uFEFF]/g, '') // Control and zero-width characters
+        .replace(/[^\S\n]+/g, ' ') // Collapse spaces and tabs, keeping line breaks
+        .replace(/ ?\n ?/g, '\n')
+        .replace(/\n{3,}/g, '\n\n') // At most one blank line between paragraphs
+        .trim();
 }
 
 /**
@@ -1,16 +1,75 @@
-import { S3Client, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { getObject, listObjects, publicUrl, putObject } from "./storage.js";
 import logger from "./logger.js";
 
-const r2Client = new S3Client({
-  region: "auto",
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID || process.env.R2_ACCESS_KEY,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || process.env.R2_SECRET_KEY,
-  },
-  maxAttempts: 3,
-});
+const CHUNK_KEY_PATTERN = /\/chunk_(\d+)\.mp3$/;
 
+/**
+ * List the audio chunks stored for a session, ordered by chunk index
+ * (chunk_10 after chunk_9).
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object[]>} - [{ index, key, size, etag, lastModified, url }]
+ */
 export async function getURLsBySessionId(sessionId) {
-  // ... unchanged
+  const chunks = [];
+
+  for (const object of await listObjects("chunks", `${sessionId}/`)) {
+    const match = object.key.match(CHUNK_KEY_PATTERN);
+    if (!match) continue;
+
+    chunks.push({
+      index: parseInt(match[1], 10),
+      ...object,
+      url: publicUrl("chunks", object.key),
+    });
+  }
+
+  chunks.sort((a, b) => a.index - b.index);
+  logger.debug("Listed session chunks", { sessionId, count: chunks.length });
+  return chunks;
+}
+
+function manifestKey(sessionId) {
+  return `${sessionId}/manifest.json`;
+}
+
+/**
+ * Read a session manifest, or null if the session has none.
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object|null>} - Manifest document
+ */
+export async function readSessionManifest(sessionId) {
+  const body = await getObject("chunks", manifestKey(sessionId));
+  return body ? JSON.parse(body.toString("utf8")) : null;
+}
+
+/**
+ * Write a session manifest (chunk text, SSML, voice, merged/podcast URLs). It
+ * holds job options and chunk status, so it is stored private and served only
+ * through GET /api/tts/:sessionId/manifest.
+ * @param {string} sessionId - Session id
+ * @param {Object} manifest - Manifest document
+ * @returns {Promise<string>} - API path of the manifest
+ */
+export async function writeSessionManifest(sessionId, manifest) {
+  const document = { ...manifest, sessionId, updatedAt: new Date().toISOString() };
+
+  await putObject("chunks", manifestKey(sessionId), JSON.stringify(document, null, 2), {
+    contentType: "application/json",
+    cacheControl: "no-cache",
+    isPrivate: true,
+    // Rewritten as every chunk finishes, so it is not billed as storage
+    metered: false,
+  });
+  return `/api/tts/${sessionId}/manifest`;
+}
+
+/**
+ * Merge fields into an existing manifest (e.g. podcastUrl once mastered).
+ * @param {string} sessionId - Session id
+ * @param {Object} patch - Fields to merge
+ * @returns {Promise<string>} - API path of the manifest
+ */
+export async function updateSessionManifest(sessionId, patch) {
+  const current = (await readSessionManifest(sessionId)) || {};
+  return writeSessionManifest(sessionId, { ...current, ...patch });
 }
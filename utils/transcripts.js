@@ -0,0 +1,178 @@
+// utils/transcripts.js
+// Sentence-level timed transcripts (WebVTT, SRT, Podcasting 2.0 JSON) from chunk timings
+
+import { putObject } from './storage.js';
+import { PODCAST_CACHE_CONTROL } from './episodeTags.js';
+import { sentenceSpans } from './ssmlTools.js';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const TRANSCRIPT_FORMATS = {
+  vtt: { extension: 'vtt', contentType: 'text/vtt', rel: 'captions' },
+  srt: { extension: 'srt', contentType: 'application/x-subrip', rel: 'captions' },
+  json: { extension: 'transcript.json', contentType: 'application/json', rel: null },
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name]);
+}
+
+function breakSeconds(tag) {
+  const match = tag.match(/time\s*=\s*["']\s*([\d.]+)\s*(ms|s)\s*["']/i);
+  if (!match) return 0;
+  const value = parseFloat(match[1]);
+  return match[2].toLowerCase() === 'ms' ? value / 1000 : value;
+}
+
+/**
+ * Spoken text of an SSML document and the pauses inserted by <break> tags.
+ * @param {string} ssml - SSML
+ * @returns {Object} - { text, pauses: [{ offset, seconds }] } where offset is the
+ *   position in text the pause follows
+ */
+export function parseSpokenSSML(ssml) {
+  let text = '';
+  const pauses = [];
+  for (const [token] of ssml.matchAll(/<break\b[^>]*>|<[^>]*>|[^<]+/g)) {
+    if (/^<break\b/i.test(token))
+      pauses.push({ offset: text.length, seconds: breakSeconds(token) });
+    else if (!token.startsWith('<')) text += decodeEntities(token);
+  }
+  return { text, pauses };
+}
+
+/**
+ * Time each sentence of one chunk. Speech time (chunk duration less the
+ * <break> pauses) is shared out in proportion to the non-blank characters.
+ * @param {Object} chunk - Manifest chunk ({ ssml, text, durationSeconds })
+ * @returns {Object[]} - [{ startTime, endTime, text }] relative to the chunk
+ */
+export function timeChunkSentences(chunk) {
+  const { text, pauses } = parseSpokenSSML(chunk.ssml || chunk.text);
+  const duration = chunk.durationSeconds || 0;
+
+  // Cumulative weight before each character
+  const weightBefore = [0];
+  for (const char of text) weightBefore.push(weightBefore.at(-1) + (/\s/.test(char) ? 0 : 1));
+  const totalWeight = weightBefore.at(-1);
+  if (!totalWeight) return [];
+
+  // Providers that ignore <break> (or a mis-measured chunk) can leave no room
+  // for the pauses; fall back to pure character proportions then
+  const pauseTotal = pauses.reduce((sum, pause) => sum + pause.seconds, 0);
+  const timedPauses = pauseTotal < duration ? pauses : [];
+  const speechTime = timedPauses.length ? duration - pauseTotal : duration;
+  const rate = speechTime / totalWeight;
+
+  const pausedBefore = (offset) =>
+    timedPauses.reduce((sum, pause) => (pause.offset <= offset ? sum + pause.seconds : sum), 0);
+  const timeAt = (offset) => weightBefore[offset] * rate + pausedBefore(offset);
+
+  const sentences = [];
+  for (const { start, end } of sentenceSpans(text)) {
+    // Start at the first character, end after the last (before any trailing pause)
+    sentences.push({
+      startTime: timeAt(start),
+      endTime: weightBefore[end] * rate + pausedBefore(end - 1),
+      text: text.slice(start, end).replace(/\s+/g, ' '),
+    });
+  }
+  return sentences;
+}
+
+/**
+ * Timed cues for a whole episode.
+ * @param {Object} manifest - Session manifest ({ chunks } with measured durations)
+ * @param {number} contentStart - Where the narration starts in the episode (seconds)
+ * @returns {Object[]} - [{ startTime, endTime, text, chunk, speaker }] (speaker is null
+ *   outside dialogue scripts)
+ */
+export function buildTranscriptCues(manifest, contentStart) {
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+  const cues = [];
+  let offset = contentStart;
+
+  for (const chunk of manifest.chunks) {
+    for (const sentence of timeChunkSentences(chunk)) {
+      cues.push({
+        startTime: round(offset + sentence.startTime),
+        endTime: round(offset + sentence.endTime),
+        text: sentence.text,
+        chunk: chunk.index,
+        speaker: chunk.speaker ?? null,
+      });
+    }
+    offset += chunk.durationSeconds || 0;
+  }
+  return cues;
+}
+
+function timestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const hh = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const mm = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const ss = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  return `${hh}:${mm}:${ss}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// Cue payloads may not contain "-->" or raw "&" / "<"
+function vttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '->');
+}
+
+export function toWebVTT(cues) {
+  const blocks = cues.map((cue) => {
+    // Voice spans name the speaker in dialogue episodes
+    const text = cue.speaker
+      ? `<v ${vttText(cue.speaker)}>${vttText(cue.text)}`
+      : vttText(cue.text);
+    return `${timestamp(cue.startTime, '.')} --> ${timestamp(cue.endTime, '.')}\n${text}`;
+  });
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+export function toSRT(cues) {
+  return cues
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${timestamp(cue.startTime, ',')} --> ${timestamp(cue.endTime, ',')}\n` +
+        `${cue.speaker ? `${cue.speaker}: ` : ''}${cue.text}\n`
+    )
+    .join('\n');
+}
+
+export function toTranscriptJson(cues) {
+  return {
+    version: '1.0.0',
+    segments: cues.map(({ startTime, endTime, text, speaker }) => ({
+      startTime,
+      endTime,
+      ...(speaker && { speaker }),
+      body: text,
+    })),
+  };
+}
+
+/**
+ * Render the cues in every format and upload them next to the episode.
+ * @param {string} sessionId - Session id (episode key prefix)
+ * @param {Object[]} cues - Transcript cues
+ * @returns {Promise<Object[]>} - [{ format, url, type, rel }]
+ */
+export async function publishTranscripts(sessionId, cues) {
+  const bodies = {
+    vtt: toWebVTT(cues),
+    srt: toSRT(cues),
+    json: JSON.stringify(toTranscriptJson(cues), null, 2),
+  };
+
+  return Promise.all(
+    Object.entries(TRANSCRIPT_FORMATS).map(async ([format, { extension, contentType, rel }]) => {
+      const url = await putObject('podcast', `${sessionId}.${extension}`, bodies[format], {
+        contentType,
+        cacheControl: PODCAST_CACHE_CONTROL,
+      });
+      return { format, url, type: contentType, rel };
+    })
+  );
+}
@@ -0,0 +1,409 @@
+// utils/ttsPipeline.js
+// Text -> chunked synthesis -> merged MP3, reporting progress through job stages
+
+import pLimit from 'p-limit';
+import { probeChunkDuration, processTTSChunk } from './processorTTS.js';
+import { mergeChunksWithFFmpeg } from './mergeTTSChunks.js';
+import { chunkScript, convertToSSML } from './ssmlTools.js';
+import { repairSSML } from './ssmlValidator.js';
+import { normalizeForLocale } from './textNormalizer.js';
+import { applyLexicon, loadLexicon } from './lexicon.js';
+import { enhanceChunkSSML, resolveEnhanceConfig } from './chatgptSSMLGenerator.js';
+import { getShow } from './shows.js';
+import { getTTSProvider, supportsElement } from './ttsProviders.js';
+import { documentToScript } from './documentScript.js';
+import {
+  getCachedSynthesis,
+  storeSynthesis,
+  synthesisCacheKey,
+  synthesisCacheLimits,
+} from './synthesisCache.js';
+import { getURLsBySessionId, readSessionManifest, writeSessionManifest } from './textchunksR2.js';
+import { isTransientError, withRetry } from './retry.js';
+import { parseScriptSections } from './chapters.js';
+import { parseDialogueTurns } from './dialogue.js';
+import { acquireProviderCapacity } from './rateLimiter.js';
+import { recordUsage, voiceTier } from './usage.js';
+import { currentTenant } from './storage.js';
+import logger from './logger.js';
+
+const noopStage = async () => {};
+
+// Sessions with a pipeline in progress in this process
+const activeSessions = new Set();
+
+// The cache only saves work; a storage or index failure never fails the job
+async function readCache(key, sessionId) {
+  try {
+    return await getCachedSynthesis(key);
+  } catch (error) {
+    logger.warn('Synthesis cache lookup failed', { sessionId, key, error: error.message });
+    return null;
+  }
+}
+
+async function writeCache(key, audio, details, sessionId) {
+  try {
+    await storeSynthesis(key, audio, details);
+  } catch (error) {
+    logger.warn('Synthesis cache store failed', { sessionId, key, error: error.message });
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Whether a TTS pipeline (new or resumed) is running for the session.
+ * @param {string} sessionId - Session id
+ * @returns {boolean}
+ */
+export function isSessionActive(sessionId) {
+  return activeSessions.has(sessionId);
+}
+
+/**
+ * Synthesize a script chunk by chunk and merge the result. Markdown and HTML
+ * scripts (`format`) are first read into a plain script (see documentScript.js);
+ * `sectionGap` seconds of silence follow each "# Heading" section. With a speaker
+ * map the script is read as dialogue ("HOST: ..." lines), each turn in its
+ * speaker's voice with `turnGap` seconds of silence between turns. Each turn
+ * is normalised for its voice's locale (see textNormalizer.js) unless
+ * `normalize` is false, and read with the pronunciation lexicon of `show`
+ * (global entries only without a show). Chunk SSML may then be refined by an
+ * LLM as configured by `enhance`, the show and the environment (see
+ * chatgptSSMLGenerator.js). Chunks whose provider, voice, audioConfig and final
+ * SSML were synthesized before are taken from the synthesis cache (see
+ * synthesisCache.js); `noCache` skips the lookup but still stores the result.
+ * Up to `concurrency` chunks are synthesized at once, within the provider's
+ * rate limit (see rateLimiter.js). The chunk plan is written to the manifest
+ * before synthesis starts and each chunk's status as it finishes, so a failed
+ * session can be resumed with resumeTTSPipeline.
+ * @param {Object} params - { sessionId, text, provider, voice, audioConfig, format?, sectionGap?,
+ *   normalize?, enhance?, noCache?, concurrency?, show?, speakers?, turnGap? }
+ * @param {Function} setStage - Progress reporter (stage, progress)
+ * @returns {Promise<Object>} - { sessionId, chunkCount, cachedChunks, mergedUrl, manifestUrl }
+ */
+export async function runTTSPipeline(
+  {
+    sessionId,
+    text,
+    provider: providerName,
+    voice,
+    audioConfig,
+    format = 'text',
+    sectionGap = 0,
+    normalize = {},
+    enhance = {},
+    noCache = false,
+    concurrency = 1,
+    show = null,
+    speakers = null,
+    turnGap = 0,
+  },
+  setStage = noopStage
+) {
+  const provider = getTTSProvider(providerName);
+
+  await setStage('chunking');
+  const lexicon = await loadLexicon(show);
+  // "# Heading" lines split the script into sections, dialogue scripts split
+  // each section into speaker turns, and each turn is chunked to fit the
+  // provider's SSML byte limit, so every chunk belongs to one section and turn
+  // <emphasis> from the document is only written if every voice accepts it
+  const voices = [voice, ...Object.values(speakers || {}).map((speaker) => speaker.voice)];
+  const script = documentToScript(text, format, {
+    emphasis: voices.every((v) => supportsElement(provider, v, 'emphasis')),
+  });
+  const sections = parseScriptSections(script);
+  const splitTurns = (sectionText) =>
+    speakers
+      ? parseDialogueTurns(sectionText, Object.keys(speakers))
+      : [{ speaker: null, text: sectionText }];
+  const turns = sections.flatMap(({ text: sectionText }, section) =>
+    splitTurns(sectionText).map((turn) => ({ ...turn, section }))
+  );
+  // Normalising before chunking keeps the <say-as> markup inside the byte budget
+  const normalizeTurn = (turnText, speaker) =>
+    normalize === false
+      ? turnText
+      : normalizeForLocale(turnText, {
+          ...normalize,
+          locale: normalize.locale || ((speaker && speakers[speaker]?.voice) || voice).languageCode,
+        });
+  const chunkOptions = {
+    maxBytes: provider.maxInputBytes,
+    pauseAfter: Math.max(speakers ? turnGap : 0, sectionGap),
+    lexicon,
+  };
+  const chunks = turns.flatMap(({ section, speaker, text: turnText }, turn) =>
+    chunkScript(normalizeTurn(turnText, speaker), chunkOptions).map((chunkText) => ({
+      section,
+      speaker,
+      turn,
+      text: chunkText,
+    }))
+  );
+  if (!chunks.length) {
+    throw httpError(400, 'Script has no text to synthesize');
+  }
+
+  const manifest = {
+    sessionId,
+    createdAt: new Date().toISOString(),
+    status: 'synthesizing',
+    provider: provider.name,
+    voice,
+    audioConfig,
+    show,
+    format,
+    sectionGap,
+    speakers,
+    turnGap: speakers ? turnGap : null,
+    enhance,
+    noCache,
+    concurrency,
+    sections: sections.map(({ title }, index) => ({
+      index,
+      title,
+      firstChunk: chunks.findIndex((chunk) => chunk.section === index),
+    })),
+    chunks: chunks.map(({ section, speaker, turn, text: chunkText }, i) => {
+      const endsTurn = i + 1 < chunks.length && chunks[i + 1].turn !== turn;
+      const endsSection = i + 1 < chunks.length && chunks[i + 1].section !== section;
+      return {
+        index: i,
+        key: `${sessionId}/chunk_${i}.mp3`,
+        status: 'pending',
+        section,
+        speaker,
+        turn,
+        text: chunkText,
+        pauseAfter: Math.max(speakers && endsTurn ? turnGap : 0, endsSection ? sectionGap : 0),
+      };
+    }),
+    mergedUrl: null,
+    podcastUrl: null,
+  };
+  await writeSessionManifest(sessionId, manifest);
+
+  return synthesizeSession(manifest, setStage);
+}
+
+/**
+ * Indices of a session's chunks that still need synthesis: those not marked
+ * done in the manifest and those whose audio is missing from the bucket.
+ * @param {Object} manifest - Session manifest
+ * @returns {Promise<number[]>}
+ */
+export async function unfinishedChunks(manifest) {
+  const stored = new Set(
+    (await getURLsBySessionId(manifest.sessionId)).map((chunk) => chunk.index)
+  );
+  return manifest.chunks
+    .filter((chunk) => (chunk.status && chunk.status !== 'done') || !stored.has(chunk.index))
+    .map((chunk) => chunk.index);
+}
+
+/**
+ * Continue a session from its manifest: re-synthesize only the missing or
+ * failed chunks with the session's original settings, then merge.
+ * Throws 404 for an unknown session and 409 while it is still running.
+ * @param {Object} params - { sessionId }
+ * @param {Function} setStage - Progress reporter (stage, progress)
+ * @returns {Promise<Object>} - { sessionId, chunkCount, cachedChunks, resumedChunks, mergedUrl,
+ *   manifestUrl }
+ */
+export async function resumeTTSPipeline({ sessionId }, setStage = noopStage) {
+  if (isSessionActive(sessionId)) throw httpError(409, 'Session is already being synthesized');
+  const manifest = await readSessionManifest(sessionId);
+  if (!manifest?.chunks) throw httpError(404, 'Session not found');
+
+  await setStage('chunking');
+  const resumed = new Set(await unfinishedChunks(manifest));
+  for (const chunk of manifest.chunks) {
+    if (resumed.has(chunk.index)) chunk.status = 'pending';
+  }
+  logger.info('Resuming TTS session', { sessionId, chunks: [...resumed] });
+
+  const result = await synthesizeSession(manifest, setStage);
+  return { ...result, resumedChunks: resumed.size };
+}
+
+// SSML for one chunk: convert, repair against the provider's profile, then
+// let the LLM refine it if it passes the gate
+async function buildChunkSSML(chunk, { provider, lexicon, enhancement, sessionId }) {
+  const ssmlProfile = provider.ssmlProfile || 'google';
+  const repaired = repairSSML(
+    convertToSSML(chunk.text, { pauseAfter: chunk.pauseAfter ?? 0, lexicon }),
+    { provider: ssmlProfile }
+  );
+  const { changes } = repaired;
+  if (changes.length)
+    logger.warn('Repaired chunk SSML', { sessionId, chunk: chunk.index, changes });
+  // Refined SSML replaces the deterministic version only if it passes the gate
+  const { ssml, enhanced, reason } = await enhanceChunkSSML(
+    repaired.ssml,
+    applyLexicon(chunk.text, lexicon),
+    enhancement,
+    { provider: ssmlProfile, maxBytes: provider.maxInputBytes }
+  );
+  return {
+    ssml,
+    ...(changes.length && { ssmlRepairs: changes }),
+    ...(enhancement.mode !== 'deterministic' && { enhancement: { accepted: enhanced, reason } }),
+  };
+}
+
+async function synthesizeChunk(chunk, context) {
+  const { manifest, provider, cacheEnabled, sessionId } = context;
+  const { voice, audioConfig, speakers, noCache } = manifest;
+  // Lines before the first speaker tag fall back to the request voice
+  const speech = (chunk.speaker && speakers?.[chunk.speaker]) || { voice, audioConfig };
+  // Chunks whose audio went missing after synthesis keep their recorded SSML
+  const markup = chunk.ssml ? { ssml: chunk.ssml } : await buildChunkSSML(chunk, context);
+  const { ssml } = markup;
+  const retryContext = { sessionId, chunk: chunk.index };
+
+  const cacheKey = synthesisCacheKey({
+    provider: provider.name,
+    voice: speech.voice,
+    audioConfig: speech.audioConfig,
+    ssml,
+    tenant: currentTenant(),
+  });
+  const hit = cacheEnabled && !noCache ? await readCache(cacheKey, sessionId) : null;
+  let audio;
+  let durationSeconds;
+  if (hit) {
+    ({ audio, durationSeconds } = hit);
+  } else {
+    // Every attempt, retries included, counts against the provider's quota
+    ({ audio } = await withRetry(
+      async () => {
+        await acquireProviderCapacity(provider, ssml.length);
+        const synthesized = await provider.synthesize({ ssml, text: chunk.text, ...speech });
+        // Billed by input characters, SSML markup included
+        recordUsage({
+          ttsRequests: 1,
+          ttsCharacters: { [voiceTier(provider.name, speech.voice)]: ssml.length },
+        });
+        return synthesized;
+      },
+      { label: 'TTS synthesis', context: retryContext }
+    ));
+    durationSeconds = await probeChunkDuration(sessionId, chunk.index, audio);
+    if (cacheEnabled) {
+      await writeCache(cacheKey, audio, { provider: provider.name, durationSeconds }, sessionId);
+    }
+  }
+
+  const url = await withRetry(() => processTTSChunk(sessionId, chunk.index, audio), {
+    label: 'Chunk upload',
+    context: retryContext,
+  });
+  return { url, ...markup, cacheKey, cached: Boolean(hit), durationSeconds };
+}
+
+// Synthesize every chunk not yet done, `concurrency` at a time, recording
+// each one's status in the manifest, then merge in chunk order. A permanent
+// failure only fails its own chunk; once retries are exhausted on a transient
+// one the provider is treated as down and chunks not yet started stay pending.
+async function synthesizeSession(manifest, setStage) {
+  const { sessionId } = manifest;
+  if (activeSessions.has(sessionId)) throw httpError(409, 'Session is already being synthesized');
+  activeSessions.add(sessionId);
+
+  try {
+    const context = {
+      manifest,
+      sessionId,
+      provider: getTTSProvider(manifest.provider),
+      lexicon: await loadLexicon(manifest.show),
+      enhancement: resolveEnhanceConfig(
+        manifest.enhance || {},
+        manifest.show ? (await getShow(manifest.show)).enhance : null
+      ),
+      cacheEnabled: synthesisCacheLimits().enabled,
+    };
+    const total = manifest.chunks.length;
+    let completed = manifest.chunks.filter((chunk) => chunk.status === 'done').length;
+    let cachedChunks = 0;
+    let providerDown = false;
+    manifest.status = 'synthesizing';
+    manifest.mergedUrl = null;
+
+    // Chunks finish out of order; manifest writes are queued so the last
+    // write always carries the latest state
+    let saving = Promise.resolve();
+    const saveManifest = () => {
+      saving = saving.then(() => writeSessionManifest(sessionId, manifest));
+      return saving;
+    };
+
+    const limit = pLimit(manifest.concurrency || 1);
+    await setStage('synthesizing', { completed, total });
+    await Promise.all(
+      manifest.chunks
+        .filter((chunk) => chunk.status !== 'done')
+        .map((chunk) =>
+          limit(async () => {
+            if (providerDown) return;
+            try {
+              const result = await synthesizeChunk(chunk, context);
+              delete chunk.error;
+              delete chunk.attempts;
+              Object.assign(chunk, result, { status: 'done' });
+              completed++;
+              if (result.cached) cachedChunks++;
+            } catch (error) {
+              chunk.status = 'failed';
+              chunk.error = error.message;
+              chunk.attempts = error.attempts ?? 1;
+              logger.error('TTS chunk failed', {
+                sessionId,
+                chunk: chunk.index,
+                attempts: chunk.attempts,
+                transient: isTransientError(error),
+                error: error.message,
+              });
+              if (isTransientError(error)) providerDown = true;
+            }
+            await saveManifest();
+            await setStage('synthesizing', { completed, total });
+          })
+        )
+    );
+
+    const unfinished = manifest.chunks.filter((chunk) => chunk.status !== 'done');
+    if (unfinished.length) {
+      manifest.status = 'incomplete';
+      await saveManifest();
+      throw httpError(
+        502,
+        `${unfinished.length} of ${total} chunks were not synthesized; ` +
+          `resume with POST /api/tts/${sessionId}/resume`
+      );
+    }
+
+    // Merge all uploaded chunks into one file
+    await setStage('merging');
+    const mergedUrl = await mergeChunksWithFFmpeg(
+      sessionId,
+      manifest.chunks.map((chunk) => chunk.key)
+    );
+
+    manifest.status = 'complete';
+    manifest.mergedUrl = mergedUrl;
+    await saving;
+    const manifestUrl = await writeSessionManifest(sessionId, manifest);
+
+    logger.info('TTS completed successfully', { sessionId, mergedUrl, cachedChunks });
+    return { sessionId, chunkCount: total, cachedChunks, mergedUrl, manifestUrl };
+  } finally {
+    activeSessions.delete(sessionId);
+  }
+}
@@ -0,0 +1,307 @@
+// utils/ttsProviders.js
+// Pluggable TTS providers: Google Cloud TTS and a deterministic offline MP3 generator
+
+import { TextToSpeechClient } from '@google-cloud/text-to-speech';
+import logger from './logger.js';
+import {
+  createDefaultAudioConfig,
+  estimateAudioDuration,
+  getMimeType,
+  validateAudioConfig,
+} from './audioUtils.js';
+import { SPEAKER_NAME_PATTERN } from './dialogue.js';
+import { resolveNormalizeOptions } from './textNormalizer.js';
+import { resolveEnhanceRequest } from './chatgptSSMLGenerator.js';
+import { PROVIDER_PROFILES } from './ssmlValidator.js';
+import { DOCUMENT_FORMATS } from './documentScript.js';
+
+const DEFAULT_VOICE = process.env.DEFAULT_VOICE || 'en-GB-Wavenet-B';
+const DEFAULT_TURN_GAP = 0.5;
+const DEFAULT_SECTION_GAP = 1.5;
+// Longest <break> Google accepts
+const MAX_GAP = 10;
+// Chunks synthesized at once per job; the provider rate limit applies on top
+const DEFAULT_CONCURRENCY = parseInt(process.env.TTS_CONCURRENCY, 10) || 4;
+const MAX_CONCURRENCY = parseInt(process.env.TTS_MAX_CONCURRENCY, 10) || 16;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Build the voice selection for a request, filling in the language code
+ * from the voice name (e.g. "en-GB-Wavenet-B" -> "en-GB") when omitted.
+ * A string is taken as the voice name.
+ * @param {Object|string} overrides - Voice fields (or name) from the request
+ * @param {string} label - Field name for error messages
+ * @returns {Object} - Voice selection ({ languageCode, name, ... })
+ */
+export function resolveVoice(overrides = {}, label = 'voice') {
+  if (typeof overrides === 'string') overrides = { name: overrides };
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw badRequest(`${label} must be a voice name or object`);
+  }
+  for (const field of ['name', 'languageCode']) {
+    if (
+      overrides[field] !== undefined &&
+      (typeof overrides[field] !== 'string' || !overrides[field])
+    ) {
+      throw badRequest(`${label}.${field} must be a non-empty string`);
+    }
+  }
+  const name = overrides.name || DEFAULT_VOICE;
+  const languageCode = overrides.languageCode || name.split('-').slice(0, 2).join('-');
+  return { ...overrides, languageCode, name };
+}
+
+/**
+ * Build and validate the audio configuration for a request.
+ * @param {Object} overrides - audioConfig fields from the request
+ * @returns {Object} - Validated audio configuration
+ */
+export function resolveAudioConfig(overrides = {}) {
+  const audioConfig = createDefaultAudioConfig(overrides);
+  const { valid, errors } = validateAudioConfig(audioConfig);
+  if (!valid) {
+    throw badRequest(`Invalid audioConfig: ${errors.join('; ')}`);
+  }
+  return audioConfig;
+}
+
+// ----------------------
+// Google Cloud TTS
+// ----------------------
+let googleClient;
+
+function getGoogleClient() {
+  if (!googleClient) {
+    // GOOGLE_CREDENTIALS holds inline JSON; otherwise fall back to
+    // GOOGLE_APPLICATION_CREDENTIALS / ambient credentials.
+    const options = process.env.GOOGLE_CREDENTIALS
+      ? { credentials: JSON.parse(process.env.GOOGLE_CREDENTIALS) }
+      : {};
+    if (process.env.GCP_PROJECT_ID) options.projectId = process.env.GCP_PROJECT_ID;
+    googleClient = new TextToSpeechClient(options);
+  }
+  return googleClient;
+}
+
+const googleProvider = {
+  name: 'google',
+  // Google rejects inputs above 5000 bytes; chunks are sized against this limit
+  // including the SSML wrapper, with some headroom
+  maxInputBytes: 4800,
+  // Tag/attribute profile chunk SSML is repaired against (see ssmlValidator.js)
+  ssmlProfile: 'google',
+  // Default quota, overridable with GOOGLE_TTS_RPM / GOOGLE_TTS_CPM (see rateLimiter.js)
+  rateLimits: { requestsPerMinute: 1000, charactersPerMinute: 500000 },
+
+  // Studio voices reject <emphasis>, <mark> and <lang>
+  voiceSupports(voice, element) {
+    return !(/-Studio-/i.test(voice?.name || '') && ['emphasis', 'mark', 'lang'].includes(element));
+  },
+
+  async synthesize({ ssml, text, voice, audioConfig }) {
+    const [response] = await getGoogleClient().synthesizeSpeech({
+      input: ssml ? { ssml } : { text },
+      voice,
+      audioConfig,
+    });
+
+    return {
+      audio: Buffer.from(response.audioContent),
+      contentType: getMimeType(audioConfig.audioEncoding),
+    };
+  },
+};
+
+// ----------------------
+// Offline provider
+// ----------------------
+// MPEG-2 Layer III, 24 kHz, 32 kbps, mono, no CRC. Each frame holds 576
+// samples (24 ms) and is exactly 72 * 32000 / 24000 = 96 bytes, so no padding
+// bit is needed. Zeroed side info and main data decode as digital silence.
+const SILENT_FRAME_HEADER = Buffer.from([0xff, 0xf3, 0x44, 0xc0]);
+const SILENT_FRAME_BYTES = 96;
+const SILENT_FRAME_SECONDS = 576 / 24000;
+
+/**
+ * Build a decodable MP3 stream of silence.
+ * @param {number} seconds - Duration of the stream
+ * @returns {Buffer} - MP3 data (at least one frame)
+ */
+export function createSilentMp3(seconds) {
+  const frameCount = Math.max(1, Math.round(seconds / SILENT_FRAME_SECONDS));
+  const frame = Buffer.alloc(SILENT_FRAME_BYTES);
+  SILENT_FRAME_HEADER.copy(frame, 0);
+
+  const out = Buffer.alloc(frameCount * SILENT_FRAME_BYTES);
+  for (let i = 0; i < frameCount; i++) {
+    frame.copy(out, i * SILENT_FRAME_BYTES);
+  }
+  return out;
+}
+
+const offlineProvider = {
+  name: 'offline',
+  maxInputBytes: 4800,
+  ssmlProfile: 'google',
+
+  async synthesize({ ssml, text, audioConfig }) {
+    if (audioConfig.audioEncoding.toUpperCase() !== 'MP3') {
+      throw new Error('Offline provider only produces MP3 audio');
+    }
+
+    const spoken = (text || ssml).replace(/<[^>]+>/g, ' ');
+    const seconds = estimateAudioDuration(spoken, audioConfig.speakingRate);
+
+    return {
+      audio: createSilentMp3(seconds),
+      contentType: 'audio/mpeg',
+    };
+  },
+};
+
+const providers = {
+  [googleProvider.name]: googleProvider,
+  [offlineProvider.name]: offlineProvider,
+};
+
+/**
+ * Look up a TTS provider by name, falling back to TTS_PROVIDER (default "google").
+ * @param {string} [name] - Provider name from the request
+ * @returns {Object} - Provider ({ name, maxInputBytes, ssmlProfile, synthesize })
+ */
+export function getTTSProvider(name) {
+  const key = (name || process.env.TTS_PROVIDER || 'google').toLowerCase();
+  const provider = providers[key];
+  if (!provider) {
+    throw badRequest(
+      `Unknown TTS provider "${name}". Available: ${Object.keys(providers).join(', ')}`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Register an additional provider (e.g. for tests or another vendor).
+ * @param {Object} provider - Provider implementing { name, maxInputBytes, synthesize } and
+ *   optionally ssmlProfile (a PROVIDER_PROFILES key, default "google"),
+ *   voiceSupports(voice, element) for voices that accept less than the profile and
+ *   rateLimits ({ requestsPerMinute, charactersPerMinute }, see rateLimiter.js)
+ */
+export function registerTTSProvider(provider) {
+  providers[provider.name.toLowerCase()] = provider;
+  logger.debug('TTS provider registered', { provider: provider.name });
+}
+
+export function listTTSProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Whether a provider accepts an SSML element for a voice.
+ * @param {Object} provider - Provider (see getTTSProvider)
+ * @param {Object} voice - Resolved voice
+ * @param {string} element - Element name, e.g. "emphasis"
+ * @returns {boolean}
+ */
+export function supportsElement(provider, voice, element) {
+  const profile = PROVIDER_PROFILES[provider.ssmlProfile || 'google'];
+  return Boolean(profile?.elements[element]) && (provider.voiceSupports?.(voice, element) ?? true);
+}
+
+function resolveGap(value, fallback, label) {
+  const gap = value ?? fallback;
+  if (typeof gap !== 'number' || !(gap >= 0 && gap <= MAX_GAP)) {
+    throw badRequest(`${label} must be a number of seconds between 0 and ${MAX_GAP}`);
+  }
+  return gap;
+}
+
+function resolveConcurrency(value) {
+  const concurrency = value ?? Math.min(DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw badRequest(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+  }
+  return concurrency;
+}
+
+/**
+ * Resolve a dialogue speaker map. Each speaker gets its own voice and an
+ * audioConfig derived from the request's, with its speaking rate and pitch.
+ * @param {Object} speakers - { HOST: { voice, speakingRate, pitch }, ... }; voice is a
+ *   voice name or a voice object
+ * @param {Object} audioConfig - Resolved request audioConfig
+ * @returns {Object} - { HOST: { voice, audioConfig }, ... }
+ */
+export function resolveSpeakers(speakers, audioConfig) {
+  if (speakers === null || typeof speakers !== 'object' || Array.isArray(speakers)) {
+    throw badRequest('speakers must be an object mapping speaker names to voices');
+  }
+  const entries = Object.entries(speakers);
+  if (!entries.length) throw badRequest('speakers must name at least one speaker');
+
+  return Object.fromEntries(
+    entries.map(([name, speaker]) => {
+      if (!SPEAKER_NAME_PATTERN.test(name)) {
+        throw badRequest(`Invalid speaker name "${name}"`);
+      }
+      if (speaker === null || typeof speaker !== 'object') {
+        throw badRequest(`speakers.${name} must be an object`);
+      }
+      const { voice, speakingRate, pitch } = speaker;
+
+      const overrides = Object.fromEntries(
+        Object.entries({ speakingRate, pitch }).filter(([, v]) => v !== undefined)
+      );
+      return [
+        name,
+        {
+          voice: resolveVoice(voice ?? {}, `speakers.${name}.voice`),
+          audioConfig: resolveAudioConfig({ ...audioConfig, ...overrides }),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Resolve provider name, voice, audioConfig, script format, section gap, text
+ * normalisation, LLM SSML enhancement, the synthesis cache override and chunk
+ * concurrency (TTS_CONCURRENCY, at most TTS_MAX_CONCURRENCY) from a request
+ * body, plus the speaker map and turn gap for dialogue scripts.
+ * Throws an error with status 400 for an unknown provider or invalid options.
+ * @param {Object} body - Request body ({ provider, voice, audioConfig, format, sectionGap,
+ *   normalize, enhance, noCache, concurrency, speakers, turnGap })
+ * @returns {Object} - { provider, voice, audioConfig, format, sectionGap, normalize, enhance,
+ *   noCache, concurrency, speakers?, turnGap? }
+ */
+export function resolveSynthesisOptions(body = {}) {
+  const options = {
+    provider: getTTSProvider(body.provider).name,
+    voice: resolveVoice(body.voice),
+    audioConfig: resolveAudioConfig(body.audioConfig),
+    format: body.format ?? 'text',
+    sectionGap: resolveGap(body.sectionGap, DEFAULT_SECTION_GAP, 'sectionGap'),
+    normalize: resolveNormalizeOptions(body.normalize),
+    enhance: resolveEnhanceRequest(body.enhance),
+    noCache: body.noCache ?? false,
+    concurrency: resolveConcurrency(body.concurrency),
+  };
+  if (!DOCUMENT_FORMATS.includes(options.format)) {
+    throw badRequest(`format must be one of ${DOCUMENT_FORMATS.join(', ')}`);
+  }
+  if (typeof options.noCache !== 'boolean') {
+    throw badRequest('noCache must be a boolean');
+  }
+  if (body.speakers === undefined) return options;
+
+  return {
+    ...options,
+    speakers: resolveSpeakers(body.speakers, options.audioConfig),
+    turnGap: resolveGap(body.turnGap, DEFAULT_TURN_GAP, 'turnGap'),
+  };
+}
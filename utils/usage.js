@@ -0,0 +1,376 @@
+// utils/usage.js
+// Usage metering: TTS characters by voice tier, LLM tokens, storage bytes and
+// ffmpeg wall-clock time, aggregated per day by API key, show and session,
+// priced from a configurable table and checked against monthly budgets
+
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+import { dataPath, listJSON, readJSON, writeJSON } from './dataStore.js';
+import logger from './logger.js';
+
+const USAGE_DIR = dataPath('usage');
+const BUDGETS_FILE = dataPath('usage-budgets.json');
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const VOICE_TIERS = ['standard', 'wavenet', 'neural2', 'studio', 'premium', 'offline'];
+
+// USD. TTS per million characters, LLM per million tokens, storage per GB
+// written and ffmpeg per hour of wall-clock run time
+const DEFAULT_PRICES = {
+  currency: 'USD',
+  ttsPerMillionCharacters: {
+    standard: 4,
+    wavenet: 16,
+    neural2: 16,
+    studio: 160,
+    premium: 30,
+    offline: 0,
+  },
+  llmPerMillionTokens: { prompt: 0.15, completion: 0.6 },
+  storagePerGB: 0.015,
+  ffmpegPerHour: 0,
+};
+
+const context = new AsyncLocalStorage();
+const days = new Map();
+const pendingWrites = new Set();
+let writeQueue = Promise.resolve();
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function emptyMetrics() {
+  return {
+    ttsCharacters: Object.fromEntries(VOICE_TIERS.map((tier) => [tier, 0])),
+    ttsRequests: 0,
+    llmPromptTokens: 0,
+    llmCompletionTokens: 0,
+    llmRequests: 0,
+    storageBytes: 0,
+    ffmpegWallSeconds: 0,
+  };
+}
+
+// Adds b into a, numbers and one level of nested counters
+function addMetrics(a, b) {
+  for (const [name, value] of Object.entries(b)) {
+    if (typeof value === 'number') a[name] = (a[name] || 0) + value;
+    else if (value && typeof value === 'object') a[name] = addMetrics(a[name] || {}, value);
+  }
+  return a;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function dayFile(day) {
+  return dataPath('usage', `${day}.json`);
+}
+
+async function loadDay(day) {
+  if (!days.has(day)) {
+    days.set(
+      day,
+      readJSON(dayFile(day), null).then((stored) => stored || { day, entries: {} })
+    );
+  }
+  return days.get(day);
+}
+
+// Writes are coalesced: a day already waiting in the queue is not queued twice
+function saveDay(day) {
+  if (pendingWrites.has(day)) return writeQueue;
+  pendingWrites.add(day);
+  writeQueue = writeQueue
+    .then(async () => {
+      pendingWrites.delete(day);
+      await writeJSON(dayFile(day), await days.get(day));
+    })
+    .catch((error) => logger.warn('Usage write failed', { day, error: error.message }));
+  return writeQueue;
+}
+
+/**
+ * Run `fn` with usage attributed to a session, show and API key. Everything
+ * metered inside it (including nested async work) is recorded against them.
+ * @param {Object} attribution - { sessionId?, show?, apiKey? }
+ * @param {Function} fn - Work to run
+ * @returns {*} - Result of `fn`
+ */
+export function runWithUsage(attribution, fn) {
+  return context.run(
+    {
+      sessionId: attribution.sessionId ?? null,
+      show: attribution.show ?? null,
+      apiKey: attribution.apiKey ?? null,
+    },
+    fn
+  );
+}
+
+/**
+ * Record usage against the current attribution (see runWithUsage). Usage
+ * outside a job is recorded without a session, show or key. Never throws.
+ * @param {Object} metrics - Any of { ttsCharacters: { [tier]: n }, ttsRequests,
+ *   llmPromptTokens, llmCompletionTokens, llmRequests, storageBytes, ffmpegWallSeconds }
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(metrics) {
+  const { sessionId = null, show = null, apiKey = null } = context.getStore() || {};
+  const day = today();
+  try {
+    const record = await loadDay(day);
+    const key = JSON.stringify([apiKey, show, sessionId]);
+    record.entries[key] ??= { apiKey, show, sessionId, metrics: emptyMetrics() };
+    addMetrics(record.entries[key].metrics, metrics);
+    await saveDay(day);
+  } catch (error) {
+    logger.warn('Failed to record usage', { error: error.message });
+  }
+}
+
+/**
+ * Billing tier of a Google-style voice name (en-GB-Wavenet-B -> wavenet).
+ * Offline synthesis is its own free tier.
+ * @param {string} providerName - TTS provider name
+ * @param {Object} voice - { name }
+ * @returns {string} - One of VOICE_TIERS
+ */
+export function voiceTier(providerName, voice) {
+  if (providerName === 'offline') return 'offline';
+  const name = voice?.name || '';
+  if (/-Standard-/i.test(name)) return 'standard';
+  if (/-Wavenet-/i.test(name)) return 'wavenet';
+  if (/-Neural2-/i.test(name)) return 'neural2';
+  if (/-Studio-/i.test(name)) return 'studio';
+  return 'premium';
+}
+
+/**
+ * Wrap an async function (an ffmpeg or ffprobe run) so its wall-clock run
+ * time is recorded as ffmpegWallSeconds. This is not CPU time: Node does not
+ * report CPU time per child process, and concurrent runs share the
+ * process-wide children totals.
+ * @param {Function} run - async (...args) => result
+ * @returns {Function} - Same signature, metered
+ */
+export function meterFFmpeg(run) {
+  return async (...args) => {
+    const started = process.hrtime.bigint();
+    try {
+      return await run(...args);
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      recordUsage({ ffmpegWallSeconds: seconds });
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergePrices(base, override) {
+  const merged = { ...base };
+  for (const [name, value] of Object.entries(override || {})) {
+    merged[name] =
+      isPlainObject(value) && isPlainObject(base[name]) ? mergePrices(base[name], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Price table: the defaults with USAGE_PRICES (JSON, same shape, partial
+ * allowed) applied on top. Costs are computed when usage is read, so a
+ * price change reprices past usage too.
+ * @returns {Object}
+ */
+export function usagePrices() {
+  if (!process.env.USAGE_PRICES) return DEFAULT_PRICES;
+  try {
+    return mergePrices(DEFAULT_PRICES, JSON.parse(process.env.USAGE_PRICES));
+  } catch (error) {
+    logger.warn('Ignoring invalid USAGE_PRICES', { error: error.message });
+    return DEFAULT_PRICES;
+  }
+}
+
+function round(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+function withCost(metrics, prices) {
+  return {
+    ...metrics,
+    ffmpegWallSeconds: Math.round(metrics.ffmpegWallSeconds * 1000) / 1000,
+    cost: usageCost(metrics, prices),
+  };
+}
+
+/**
+ * Cost of a set of metrics.
+ * @param {Object} metrics - Metrics as recorded
+ * @param {Object} prices - See usagePrices
+ * @returns {Object} - { tts, llm, storage, ffmpeg, total }
+ */
+export function usageCost(metrics, prices = usagePrices()) {
+  const tts = Object.entries(metrics.ttsCharacters || {}).reduce(
+    (sum, [tier, characters]) =>
+      sum + (characters / 1e6) * (prices.ttsPerMillionCharacters[tier] ?? 0),
+    0
+  );
+  const llm =
+    ((metrics.llmPromptTokens || 0) / 1e6) * prices.llmPerMillionTokens.prompt +
+    ((metrics.llmCompletionTokens || 0) / 1e6) * prices.llmPerMillionTokens.completion;
+  const storage = ((metrics.storageBytes || 0) / 1024 ** 3) * prices.storagePerGB;
+  const ffmpeg = ((metrics.ffmpegWallSeconds || 0) / 3600) * prices.ffmpegPerHour;
+  return {
+    tts: round(tts),
+    llm: round(llm),
+    storage: round(storage),
+    ffmpeg: round(ffmpeg),
+    total: round(tts + llm + storage + ffmpeg),
+  };
+}
+
+async function listDays(from, to) {
+  const stored = (await listJSON(USAGE_DIR))
+    .map((file) => path.basename(file, '.json'))
+    .filter((day) => DAY_PATTERN.test(day));
+  // Days recorded in memory but not yet flushed count too
+  const all = new Set([...stored, ...days.keys()]);
+  return [...all].filter((day) => day >= from && day <= to).sort();
+}
+
+const GROUP_FIELDS = {
+  day: null,
+  apiKey: 'apiKey',
+  show: 'show',
+  session: 'sessionId',
+};
+
+/**
+ * Aggregate recorded usage with its cost.
+ * @param {Object} [query] - { from, to (YYYY-MM-DD, inclusive; default this month),
+ *   groupBy ("day" | "apiKey" | "show" | "session"), apiKey, show, sessionId }
+ * @returns {Promise<Object>} - { from, to, currency, totals, groups? }; totals and each group
+ *   hold the metrics plus `cost` ({ tts, llm, storage, ffmpeg, total })
+ */
+export async function summarizeUsage(query = {}) {
+  const to = query.to || today();
+  const from = query.from || `${to.slice(0, 7)}-01`;
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to)) {
+    throw httpError(400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+  if (query.groupBy !== undefined && !(query.groupBy in GROUP_FIELDS)) {
+    throw httpError(400, `groupBy must be one of ${Object.keys(GROUP_FIELDS).join(', ')}`);
+  }
+
+  const prices = usagePrices();
+  const totals = emptyMetrics();
+  const groups = new Map();
+  for (const day of await listDays(from, to)) {
+    const record = await loadDay(day);
+    for (const entry of Object.values(record.entries)) {
+      if (query.apiKey !== undefined && entry.apiKey !== query.apiKey) continue;
+      if (query.show !== undefined && entry.show !== query.show) continue;
+      if (query.sessionId !== undefined && entry.sessionId !== query.sessionId) continue;
+
+      addMetrics(totals, entry.metrics);
+      if (!query.groupBy) continue;
+      const key = query.groupBy === 'day' ? day : entry[GROUP_FIELDS[query.groupBy]];
+      if (!groups.has(key)) groups.set(key, emptyMetrics());
+      addMetrics(groups.get(key), entry.metrics);
+    }
+  }
+
+  const summary = {
+    from,
+    to,
+    currency: prices.currency,
+    totals: withCost(totals, prices),
+  };
+  if (query.groupBy) {
+    summary.groupBy = query.groupBy;
+    summary.groups = [...groups].map(([key, metrics]) => ({
+      [query.groupBy]: key,
+      ...withCost(metrics, prices),
+    }));
+  }
+  return summary;
+}
+
+// ----------------------
+// Monthly budgets
+// ----------------------
+
+/**
+ * Monthly budgets in the price table's currency: `total` across everything
+ * (default USAGE_MONTHLY_BUDGET), plus per show and per API key. null means
+ * no limit.
+ * @returns {Promise<Object>} - { total, shows: { [id]: n }, apiKeys: { [id]: n } }
+ */
+export async function getBudgets() {
+  const envTotal = Number(process.env.USAGE_MONTHLY_BUDGET);
+  const stored = await readJSON(BUDGETS_FILE, {});
+  return {
+    total: stored.total !== undefined ? stored.total : envTotal > 0 ? envTotal : null,
+    shows: stored.shows || {},
+    apiKeys: stored.apiKeys || {},
+  };
+}
+
+function validAmount(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+/**
+ * Replace the budgets. Amounts are non-negative numbers or null. Leaving
+ * `total` out keeps the USAGE_MONTHLY_BUDGET default; null removes the cap.
+ * @param {Object} budgets - { total?, shows?, apiKeys? }
+ * @returns {Promise<Object>} - Saved budgets, as getBudgets returns them
+ */
+export async function saveBudgets(budgets = {}) {
+  const { total, shows = {}, apiKeys = {} } = budgets;
+  if (total !== undefined && !validAmount(total)) {
+    throw httpError(400, 'total must be a non-negative number or null');
+  }
+  for (const [label, map] of Object.entries({ shows, apiKeys })) {
+    if (!isPlainObject(map) || !Object.values(map).every(validAmount)) {
+      throw httpError(400, `${label} must map ids to non-negative numbers or null`);
+    }
+  }
+
+  // A missing total is left out so getBudgets falls back to the env default
+  await writeJSON(BUDGETS_FILE, { total, shows, apiKeys });
+  return getBudgets();
+}
+
+/**
+ * Reject new work once a monthly budget it counts against is spent.
+ * Throws an error with status 402 naming the exhausted budget.
+ * @param {Object} attribution - { show?, apiKey? }
+ */
+export async function assertWithinBudget({ show = null, apiKey = null } = {}) {
+  const budgets = await getBudgets();
+  const checks = [
+    ['Monthly budget', budgets.total, {}],
+    [`Monthly budget for show "${show}"`, show && budgets.shows[show], { show }],
+    [`Monthly budget for API key "${apiKey}"`, apiKey && budgets.apiKeys[apiKey], { apiKey }],
+  ];
+
+  for (const [label, budget, filter] of checks) {
+    if (budget === null || budget === undefined) continue;
+    const { totals, currency } = await summarizeUsage(filter);
+    if (totals.cost.total >= budget) {
+      throw httpError(
+        402,
+        `${label} of ${budget} ${currency} is exhausted (${totals.cost.total} spent)`
+      );
+    }
+  }
+}